@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { UsageError } from './exitCodes.js';
+
+/**
+ * CLI Config
+ * Builds a migration request for the CLI from, in increasing precedence:
+ * a JSON config file, environment variables and command-line flags.
+ *
+ * The config file has the same shape as the POST /api/migration/start body:
+ *
+ *   {
+ *     "smugmug": { "apiKey", "apiSecret", "accessToken", "accessTokenSecret" },
+ *     "destinationType": "b2" | "local",
+ *     "backblaze": { "accountId", "applicationKey", "bucketName" },
+ *     "localStorage": { "path" },
+ *     "excludeVideos", "pathTemplate", "syncMode", "dedupe", "sidecarFormat",
+ *     "embedMetadata", "keepOriginals", "includeComments", "stateDir",
+ *     "selection": { "albumKeys", "folderIds", "patterns" },
+ *     "filter": { "match": "all" | "any", "rules": [...] }, ...
+ *   }
+ *
+ * It holds credentials, so it is written with mode 0600.
+ */
+class CliConfig {
+  /**
+   * Default config file location
+   */
+  static DEFAULT_PATH = path.join(os.homedir(), '.smugmug-retrieve', 'config.json');
+
+  /**
+   * Environment variables and where they go in the request
+   */
+  static ENV_MAP = {
+    SMUGMUG_API_KEY: ['smugmug', 'apiKey'],
+    SMUGMUG_API_SECRET: ['smugmug', 'apiSecret'],
+    SMUGMUG_ACCESS_TOKEN: ['smugmug', 'accessToken'],
+    SMUGMUG_ACCESS_TOKEN_SECRET: ['smugmug', 'accessTokenSecret'],
+    B2_ACCOUNT_ID: ['backblaze', 'accountId'],
+    B2_APPLICATION_KEY: ['backblaze', 'applicationKey'],
+    B2_BUCKET_NAME: ['backblaze', 'bucketName'],
+    LOCAL_DESTINATION_PATH: ['localStorage', 'path'],
+    DESTINATION_TYPE: ['destinationType'],
+  };
+
+  /**
+   * Resolve which config file to use
+   * @param {string|undefined} flagPath - --config flag
+   * @param {object} env - Environment
+   * @returns {{filePath: string, explicit: boolean}}
+   */
+  static resolvePath(flagPath, env = process.env) {
+    const explicitPath = flagPath || env.SMUGMUG_RETRIEVE_CONFIG;
+    return {
+      filePath: path.resolve(explicitPath || CliConfig.DEFAULT_PATH),
+      explicit: Boolean(explicitPath),
+    };
+  }
+
+  /**
+   * Load the migration request
+   * @param {object} flags - Parsed command-line flags
+   * @param {object} env - Environment
+   * @returns {Promise<{body: object, filePath: string}>}
+   */
+  static async load(flags = {}, env = process.env) {
+    const { filePath, explicit } = CliConfig.resolvePath(flags.config, env);
+    const body = await CliConfig.readFile(filePath, explicit);
+
+    for (const [name, keys] of Object.entries(CliConfig.ENV_MAP)) {
+      if (env[name]) {
+        CliConfig.setPath(body, keys, env[name]);
+      }
+    }
+
+    // A local destination path (from any source) implies a local destination
+    // unless one was chosen explicitly
+    if (!body.destinationType && body.localStorage?.path && !body.backblaze?.bucketName) {
+      body.destinationType = 'local';
+    }
+
+    CliConfig.applyFlags(body, flags);
+    return { body, filePath };
+  }
+
+  /**
+   * Read and parse the config file
+   * @param {string} filePath - Config file path
+   * @param {boolean} required - Fail if the file does not exist
+   * @returns {Promise<object>} Parsed config
+   */
+  static async readFile(filePath, required) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' && !required) {
+        return {};
+      }
+      throw new UsageError(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new UsageError(`Config file ${filePath} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply command-line flags to the request
+   * @param {object} body - Migration request
+   * @param {object} flags - Parsed flags
+   */
+  static applyFlags(body, flags) {
+    if (flags.local) {
+      body.destinationType = 'local';
+      CliConfig.setPath(body, ['localStorage', 'path'], path.resolve(flags.local));
+    }
+    if (flags.bucket) {
+      body.destinationType = 'b2';
+      CliConfig.setPath(body, ['backblaze', 'bucketName'], flags.bucket);
+    }
+    if (flags.test) {
+      body.testMode = true;
+    }
+    if (flags.limit !== undefined) {
+      const limit = Number(flags.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new UsageError(`--limit must be a positive integer, got "${flags.limit}"`);
+      }
+      body.testMode = true;
+      body.testAssetLimit = limit;
+    }
+    if (flags['exclude-videos']) {
+      body.excludeVideos = true;
+    }
+    if (flags.sync) {
+      body.syncMode = true;
+    }
+    if (flags.dedupe) {
+      body.dedupe = true;
+    }
+    if (flags.sidecars) {
+      body.sidecarFormat = flags.sidecars;
+    }
+    if (flags['embed-metadata']) {
+      body.embedMetadata = true;
+    }
+    if (flags['keep-originals']) {
+      body.embedMetadata = true;
+      body.keepOriginals = true;
+    }
+    if (flags.comments) {
+      body.includeComments = true;
+    }
+    if (flags['path-template']) {
+      body.pathTemplate = flags['path-template'];
+    }
+    if (flags['state-dir']) {
+      body.stateDir = path.resolve(flags['state-dir']);
+    }
+
+    // Selection flags replace the config file's selection rather than adding to it
+    if (flags.album || flags.folder || flags.match) {
+      body.selection = {
+        albumKeys: flags.album || [],
+        folderIds: flags.folder || [],
+        patterns: flags.match || [],
+      };
+    }
+
+    if (flags.filter) {
+      try {
+        body.filter = JSON.parse(flags.filter);
+      } catch (error) {
+        throw new UsageError(`--filter must be a JSON asset filter: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Store SmugMug access tokens in the config file, keeping everything else
+   * @param {string} filePath - Config file path
+   * @param {{accessToken: string, accessTokenSecret: string}} tokens - Access tokens
+   * @param {{apiKey: string, apiSecret: string}} credentials - API key the tokens belong to
+   * @returns {Promise<string>} Config file path
+   */
+  static async saveTokens(filePath, tokens, credentials) {
+    const existing = await CliConfig.readFile(filePath, false);
+
+    existing.smugmug = {
+      ...(existing.smugmug || {}),
+      apiKey: credentials.apiKey,
+      apiSecret: credentials.apiSecret,
+      accessToken: tokens.accessToken,
+      accessTokenSecret: tokens.accessTokenSecret,
+    };
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    await fs.writeFile(filePath, JSON.stringify(existing, null, 2), { mode: 0o600 });
+    // writeFile only applies the mode when it creates the file
+    await fs.chmod(filePath, 0o600);
+
+    return filePath;
+  }
+
+  /**
+   * Set a nested value, creating intermediate objects
+   * @param {object} target - Object to modify
+   * @param {Array<string>} keys - Property path
+   * @param {*} value - Value
+   */
+  static setPath(target, keys, value) {
+    let current = target;
+    for (const key of keys.slice(0, -1)) {
+      current[key] = current[key] || {};
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+}
+
+export default CliConfig;
@@ -0,0 +1,135 @@
+/**
+ * Terminal Progress
+ * Prints a migration's ProgressTracker events to a terminal.
+ *
+ * On a TTY the counters are redrawn in place on one status line; otherwise
+ * (cron, CI, piped output) phases and errors are printed as plain lines and the
+ * counters at most once per `logInterval`, so logs stay readable.
+ */
+class TerminalProgress {
+  /**
+   * @param {object} options - Options
+   * @param {WritableStream} options.stream - Output stream (default stderr, keeping stdout for results)
+   * @param {number} options.logInterval - Ms between counter lines when not on a TTY
+   */
+  constructor({ stream = process.stderr, logInterval = 30000 } = {}) {
+    this.stream = stream;
+    this.isTTY = Boolean(stream.isTTY);
+    this.logInterval = logInterval;
+    this.lastLogged = 0;
+    this.statusVisible = false;
+    this.progress = null;
+    this.operation = '';
+
+    this.orchestrator = null;
+    this.subscriptionId = null;
+  }
+
+  /**
+   * Start printing an orchestrator's progress
+   * @param {MigrationOrchestrator} orchestrator - Orchestrator to follow
+   */
+  attach(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.subscriptionId = orchestrator.subscribeToProgress(event => this.handleEvent(event));
+  }
+
+  /**
+   * Stop printing and leave the cursor on a fresh line
+   */
+  detach() {
+    if (this.orchestrator) {
+      this.orchestrator.unsubscribeFromProgress(this.subscriptionId);
+      this.orchestrator = null;
+    }
+    this.clearStatus();
+  }
+
+  /**
+   * Handle one ProgressTracker event
+   * @param {{type: string, data: object}} event - Progress event
+   */
+  handleEvent({ type, data }) {
+    switch (type) {
+      case 'phase':
+        this.printLine(`[${data.phase}] ${data.message}`);
+        break;
+      case 'operation':
+        this.operation = data.message;
+        this.drawStatus();
+        break;
+      case 'progress':
+        this.progress = data;
+        this.drawStatus();
+        break;
+      case 'control':
+        this.printLine(`[control] ${data.message}`);
+        break;
+      case 'error':
+        this.printLine(`✗ ${data.message}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Format the counters
+   * @returns {string} Status text
+   */
+  formatProgress() {
+    const p = this.progress;
+    if (!p) {
+      return this.operation;
+    }
+
+    return `Downloaded ${p.downloaded}/${p.discovered} (${p.percentDownloaded}%) · ` +
+      `Uploaded ${p.uploaded}/${p.discovered} (${p.percentUploaded}%) · ` +
+      `Errors ${p.errors}`;
+  }
+
+  /**
+   * Redraw the status line (TTY) or log the counters periodically (non-TTY)
+   */
+  drawStatus() {
+    if (!this.isTTY) {
+      if (this.progress && Date.now() - this.lastLogged >= this.logInterval) {
+        this.lastLogged = Date.now();
+        this.stream.write(`${this.formatProgress()}\n`);
+      }
+      return;
+    }
+
+    const text = this.progress && this.operation
+      ? `${this.formatProgress()} · ${this.operation}`
+      : this.formatProgress();
+    const width = this.stream.columns || 100;
+
+    this.stream.write(`\r\x1b[K${text.length >= width ? `${text.slice(0, width - 2)}…` : text}`);
+    this.statusVisible = true;
+  }
+
+  /**
+   * Clear the status line if one is showing
+   */
+  clearStatus() {
+    if (this.statusVisible) {
+      this.stream.write('\r\x1b[K');
+      this.statusVisible = false;
+    }
+  }
+
+  /**
+   * Print a permanent line above the status line
+   * @param {string} text - Line to print
+   */
+  printLine(text) {
+    this.clearStatus();
+    this.stream.write(`${text}\n`);
+    if (this.isTTY && this.progress) {
+      this.drawStatus();
+    }
+  }
+}
+
+export default TerminalProgress;
@@ -0,0 +1,467 @@
+import fs from 'fs/promises';
+import readline from 'readline/promises';
+import SmugMugService from '../services/SmugMugService.js';
+import AccountDiscoveryService from '../services/AccountDiscoveryService.js';
+import MigrationOrchestrator from '../services/MigrationOrchestrator.js';
+import MigrationConfig from '../services/MigrationConfig.js';
+import MigrationPlanner from '../services/MigrationPlanner.js';
+import VerificationService from '../services/VerificationService.js';
+import SessionStore from '../services/SessionStore.js';
+import CliConfig from './CliConfig.js';
+import TerminalProgress from './TerminalProgress.js';
+import { EXIT_CODES, UsageError } from './exitCodes.js';
+
+/**
+ * smugmug-retrieve subcommands
+ * Each command takes the command context and resolves to an exit code.
+ *
+ * Context:
+ * - args: positional arguments after the command name
+ * - flags: parsed flags
+ * - body: migration request from CliConfig.load()
+ * - configPath: config file in use
+ * - out: writes results to stdout (or --output)
+ * - log: writes status messages to stderr
+ */
+
+/**
+ * Write a command's result as JSON or text
+ * @param {object} context - Command context
+ * @param {object} data - Result for --json
+ * @param {Function} formatText - Returns the text form
+ */
+async function writeResult(context, data, formatText) {
+  await context.out(context.flags.json ? JSON.stringify(data, null, 2) : formatText());
+}
+
+/**
+ * Require a session ID argument
+ * @param {object} context - Command context
+ * @returns {string} Session ID
+ */
+function requireSessionId(context) {
+  const [sessionId] = context.args;
+  if (!sessionId) {
+    throw new UsageError(`${context.command} requires a session ID`);
+  }
+  return sessionId;
+}
+
+/**
+ * Build and validate the orchestrator configuration
+ * @param {object} context - Command context
+ * @returns {object} Orchestrator configuration
+ */
+function buildConfig(context) {
+  const { config, error } = MigrationConfig.build(context.body, { allowStateDir: true });
+  if (error) {
+    throw new UsageError(error);
+  }
+  return config;
+}
+
+/**
+ * Connect to SmugMug with the configured access tokens
+ * @param {object} context - Command context
+ * @returns {Promise<{smugmugService: SmugMugService, user: object}>}
+ */
+async function connectSmugMug(context) {
+  const { apiKey, apiSecret, accessToken, accessTokenSecret } = context.body.smugmug || {};
+  if (!apiKey || !apiSecret || !accessToken || !accessTokenSecret) {
+    throw new UsageError('SmugMug API credentials and access tokens are required. Run "smugmug-retrieve auth" first.');
+  }
+
+  const smugmugService = new SmugMugService(apiKey, apiSecret);
+  smugmugService.setAccessToken(accessToken, accessTokenSecret);
+  const { user } = await smugmugService.testConnection();
+
+  return { smugmugService, user };
+}
+
+/**
+ * Discover the account and report progress to stderr
+ * @param {object} context - Command context
+ * @param {SmugMugService} smugmugService - Connected SmugMug service
+ * @returns {Promise<AccountStructure>}
+ */
+async function discoverAccount(context, smugmugService) {
+  const discoveryService = new AccountDiscoveryService(smugmugService);
+  discoveryService.setProgressCallback((phase, current, total, message) => {
+    if (!context.flags.quiet) {
+      context.log(`[${phase}] ${message}`);
+    }
+  });
+
+  return discoveryService.discoverAccount(true);
+}
+
+/**
+ * Verify stored access tokens, or run the OAuth flow to get new ones
+ * smugmug-retrieve auth [--login] [--save]
+ */
+export async function auth(context) {
+  const { apiKey, apiSecret, accessToken, accessTokenSecret } = context.body.smugmug || {};
+  if (!apiKey || !apiSecret) {
+    throw new UsageError('SmugMug API key and secret are required (config file, or SMUGMUG_API_KEY and SMUGMUG_API_SECRET)');
+  }
+
+  const smugmugService = new SmugMugService(apiKey, apiSecret);
+
+  if (accessToken && accessTokenSecret && !context.flags.login) {
+    smugmugService.setAccessToken(accessToken, accessTokenSecret);
+    const { user } = await smugmugService.testConnection();
+
+    await writeResult(context, { authenticated: true, user }, () =>
+      `Authenticated as ${user.name} (${user.nickName})`
+    );
+    return EXIT_CODES.OK;
+  }
+
+  const { authorizeUrl } = await smugmugService.getRequestToken('oob');
+  context.log('Open this URL in a browser and authorize read access:\n');
+  context.log(`  ${authorizeUrl}\n`);
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  let verifier;
+  try {
+    verifier = (await prompt.question('Enter the 6-digit verification code: ')).trim();
+  } finally {
+    prompt.close();
+  }
+
+  if (!verifier) {
+    throw new UsageError('Verification code is required');
+  }
+
+  const tokens = await smugmugService.getAccessToken(verifier);
+  const user = await smugmugService.getAuthenticatedUser();
+
+  if (context.flags.save) {
+    const savedTo = await CliConfig.saveTokens(context.configPath, tokens, { apiKey, apiSecret });
+    context.log(`Access tokens saved to ${savedTo}`);
+  }
+
+  await writeResult(context, { authenticated: true, user: { name: user.Name, nickName: user.NickName }, ...tokens }, () => [
+    `Authenticated as ${user.Name} (${user.NickName})`,
+    ...(context.flags.save ? [] : [
+      '',
+      'Add these to your config file or environment:',
+      `SMUGMUG_ACCESS_TOKEN=${tokens.accessToken}`,
+      `SMUGMUG_ACCESS_TOKEN_SECRET=${tokens.accessTokenSecret}`,
+    ]),
+  ].join('\n'));
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * List the account's folders and albums
+ * smugmug-retrieve discover
+ */
+export async function discover(context) {
+  const { smugmugService } = await connectSmugMug(context);
+  const accountStructure = await discoverAccount(context, smugmugService);
+  const stats = accountStructure.getStats();
+
+  await writeResult(context, accountStructure.toJSON(), () => [
+    `${stats.totalFolders} folders, ${stats.totalAlbums} albums, ` +
+      `${stats.totalImages} images, ${stats.totalVideos} videos`,
+    '',
+    ...accountStructure.allFolders.map(folder => `${folder.path.join('/')}/  [${folder.folderId}]`),
+    ...accountStructure.getAllAlbums().map(album =>
+      `${album.getFullPath()}  (${album.imageCount} images, ${album.videoCount} videos)  [${album.albumKey}]`
+    ),
+  ].join('\n'));
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Format a byte count for the terminal
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(2)} ${units[unit]}`;
+}
+
+/**
+ * Dry run: show what a migration with the current settings would do
+ * smugmug-retrieve plan [--format csv]
+ */
+export async function plan(context) {
+  const orchestrator = new MigrationOrchestrator(buildConfig(context));
+  const progress = context.flags.quiet ? null : new TerminalProgress();
+
+  progress?.attach(orchestrator);
+  let migrationPlan;
+  try {
+    migrationPlan = await orchestrator.planMigration();
+  } finally {
+    progress?.detach();
+  }
+
+  if (context.flags.format === 'csv') {
+    await context.out(MigrationPlanner.exportAsCSV(migrationPlan));
+    return EXIT_CODES.OK;
+  }
+
+  const { totals } = migrationPlan;
+  await writeResult(context, migrationPlan, () => [
+    `Destination: ${migrationPlan.destination} (${migrationPlan.pathTemplate})`,
+    `Assets: ${totals.assets} (${totals.images} images, ${totals.videos} videos)`,
+    `Total size: ${formatBytes(totals.bytes)}${totals.unknownSize ? ` (+${totals.unknownSize} assets of unknown size)` : ''}`,
+    `Already at destination: ${totals.existingObjects} objects`,
+    `Clashes: ${totals.clashes} (${totals.renamed} renamed)`,
+    `Videos skipped: ${totals.skippedVideos} (${formatBytes(totals.skippedVideoBytes)})`,
+    ...(migrationPlan.dedupe
+      ? [`Duplicates stored once: ${totals.duplicates} (${formatBytes(totals.duplicateBytes)} saved)`]
+      : []),
+    ...migrationPlan.items
+      .filter(item => item.clash)
+      .map(item => `  ${item.action}  ${item.destinationKey}${item.plannedKey !== item.destinationKey ? ` -> ${item.plannedKey}` : ''}`),
+    '',
+    `Full plan: smugmug-retrieve plan --format csv, or GET /api/migration/plan/${migrationPlan.sessionId}?format=csv`,
+  ].join('\n'));
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Run an orchestrator in the foreground, printing progress and recording the session
+ * @param {object} context - Command context
+ * @param {MigrationOrchestrator} orchestrator - Orchestrator to run
+ * @param {Function} run - Starts the workflow and returns its promise
+ * @param {string} kind - How the session was started (start, resume)
+ * @returns {Promise<number>} Exit code
+ */
+async function runSession(context, orchestrator, run, kind) {
+  const sessionStore = new SessionStore();
+  const progress = context.flags.quiet ? null : new TerminalProgress();
+  const sessionId = orchestrator.getSessionId();
+  const warnStore = error => console.warn(`Failed to record session ${sessionId}: ${error.message}`);
+
+  // First signal cancels gracefully (unfinished assets stay resumable); a second one exits
+  let interrupted = false;
+  const onSignal = () => {
+    if (interrupted) {
+      process.exit(EXIT_CODES.CANCELLED);
+    }
+    interrupted = true;
+    context.log('\nCancelling - waiting for in-flight transfers (press Ctrl+C again to exit now)');
+    orchestrator.cancel();
+  };
+
+  context.log(`Session ${sessionId}`);
+  progress?.attach(orchestrator);
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  await sessionStore.recordStart(orchestrator, kind).catch(warnStore);
+
+  let summary = null;
+  let failure = null;
+  try {
+    summary = await run();
+  } catch (error) {
+    failure = error;
+  } finally {
+    progress?.detach();
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    await sessionStore.recordFinish(orchestrator, failure).catch(warnStore);
+  }
+
+  if (failure) {
+    throw failure;
+  }
+
+  await writeResult(context, summary, () => formatSummary(summary));
+
+  if (summary.cancelled) {
+    return EXIT_CODES.CANCELLED;
+  }
+  return summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+/**
+ * Format a migration summary for the terminal
+ * @param {object} summary - Summary from MigrationOrchestrator.generateSummary()
+ * @returns {string}
+ */
+function formatSummary(summary) {
+  const lines = [
+    `${summary.cancelled ? 'Cancelled' : 'Finished'}: ${summary.successful} of ${summary.totalAssets} assets ` +
+      `transferred (${summary.successRate}%), ${summary.failed} failed`,
+    `Destination: ${summary.destination}`,
+  ];
+
+  if (summary.duration !== null && summary.duration !== undefined) {
+    lines.push(`Duration: ${summary.duration}s`);
+  }
+  if (summary.sync) {
+    lines.push(`Sync: ${summary.sync.added} new, ${summary.sync.modified} modified, ${summary.sync.unchanged} unchanged`);
+  }
+  if (summary.dedup) {
+    lines.push(
+      `Dedup: ${summary.dedup.duplicates} duplicates of ${summary.dedup.uniqueFiles} files, ` +
+        `${formatBytes(summary.dedup.bytesSaved)} saved (${summary.dedup.manifestPath})`
+    );
+  }
+  if (summary.comments) {
+    lines.push(
+      `Comments: ${summary.comments.total} on ${summary.comments.assetsWithComments} assets` +
+        (summary.comments.failed > 0 ? `, ${summary.comments.failed} assets could not be read` : '')
+    );
+  }
+  if (summary.archiveManifest) {
+    lines.push(`Manifests: manifest.json and ${summary.archiveManifest.albumManifests} album.json files`);
+  }
+  if (summary.failed > 0) {
+    lines.push(`Error log: ${summary.errorLogPath}`);
+  }
+  if (summary.cancelled || summary.failed > 0) {
+    lines.push(`Resume with: smugmug-retrieve resume ${summary.sessionId}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Run a migration in the foreground
+ * smugmug-retrieve migrate
+ */
+export async function migrate(context) {
+  const orchestrator = new MigrationOrchestrator(buildConfig(context));
+  return runSession(context, orchestrator, () => orchestrator.runMigration(), 'start');
+}
+
+/**
+ * Resume an interrupted session from its checkpoint journal
+ * smugmug-retrieve resume <sessionId>
+ */
+export async function resume(context) {
+  const sessionId = requireSessionId(context);
+  const orchestrator = new MigrationOrchestrator(buildConfig(context), sessionId);
+
+  const checkpoint = await orchestrator.loadCheckpoint();
+  context.log(`Resuming: ${checkpoint.complete} of ${checkpoint.assets} tracked assets already complete`);
+
+  return runSession(context, orchestrator, () => orchestrator.resumeMigration(), 'resume');
+}
+
+/**
+ * Verify a finished session against its destination
+ * smugmug-retrieve verify <sessionId> [--format csv]
+ */
+export async function verify(context) {
+  const sessionId = requireSessionId(context);
+
+  const journal = MigrationConfig.getSessionJournal(sessionId, context.body.stateDir);
+  if (!(await journal.exists())) {
+    throw new Error(`No checkpoint journal found for session ${sessionId}`);
+  }
+
+  const { storageService, error } = await MigrationConfig.connectDestination(context.body);
+  if (error) {
+    throw new UsageError(error);
+  }
+
+  const verificationService = new VerificationService(storageService, journal);
+  verificationService.setProgressCallback((current, total, message) => {
+    if (!context.flags.quiet) {
+      context.log(message);
+    }
+  });
+
+  const report = await verificationService.run();
+  const { totals } = report;
+
+  if (context.flags.format === 'csv') {
+    await context.out(VerificationService.exportAsCSV(report));
+  } else {
+    await writeResult(context, report, () => [
+      `Verified ${totals.expected} assets against ${report.destinationObjects} destination objects`,
+      `OK: ${totals.ok}${totals.checksumNotChecked ? ` (${totals.checksumNotChecked} without a checksum to compare)` : ''}`,
+      `Missing: ${totals.missing}`,
+      `Size mismatch: ${totals.sizeMismatch}`,
+      `Checksum mismatch: ${totals.checksumMismatch}`,
+      ...report.items
+        .filter(item => item.status !== VerificationService.STATUS.OK)
+        .map(item => `  ${item.status}  ${item.destinationKey}`),
+    ].join('\n'));
+  }
+
+  return totals.missing + totals.sizeMismatch + totals.checksumMismatch > 0
+    ? EXIT_CODES.VERIFY_MISMATCH
+    : EXIT_CODES.OK;
+}
+
+/**
+ * List past sessions, or show one session's summary and errors
+ * smugmug-retrieve report [sessionId] [--errors]
+ */
+export async function report(context) {
+  const sessionStore = new SessionStore();
+  const [sessionId] = context.args;
+
+  if (!sessionId) {
+    const sessions = (await sessionStore.list()).map(SessionStore.toOverview);
+
+    await writeResult(context, sessions, () => sessions.length === 0
+      ? 'No migration sessions recorded'
+      : sessions.map(session => [
+        session.startedAt,
+        session.state.padEnd(21),
+        session.sessionId,
+        session.totalAssets !== null ? `${session.successful}/${session.totalAssets}` : '-',
+        session.failed ? `${session.failed} failed` : '',
+      ].join('  ')).join('\n'));
+
+    return EXIT_CODES.OK;
+  }
+
+  const session = await sessionStore.get(sessionId);
+  if (!session) {
+    throw new Error(`Migration session ${sessionId} not found`);
+  }
+
+  let errorLog = null;
+  if (context.flags.errors && session.errorLogPath) {
+    errorLog = await fs.readFile(session.errorLogPath, 'utf8').then(JSON.parse).catch(() => null);
+  }
+
+  await writeResult(context, { ...session, errorLog }, () => {
+    const lines = [
+      `Session ${session.sessionId} (${session.kind})`,
+      `State: ${session.state}`,
+      `Started: ${session.startedAt}`,
+      `Finished: ${session.finishedAt || '-'}`,
+    ];
+    if (session.parentSessionId) {
+      lines.push(`Retry of: ${session.parentSessionId}`);
+    }
+    if (session.error) {
+      lines.push(`Error: ${session.error}`);
+    }
+    if (session.summary) {
+      lines.push(formatSummary(session.summary));
+    }
+    if (errorLog) {
+      lines.push('', `${errorLog.totalErrors} errors:`);
+      lines.push(...errorLog.errors.map(entry =>
+        `  [${entry.phase}] ${entry.filename || entry.assetId || '-'}: ${entry.errorMessage}`
+      ));
+    }
+    return lines.join('\n');
+  });
+
+  return EXIT_CODES.OK;
+}
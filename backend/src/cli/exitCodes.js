@@ -0,0 +1,40 @@
+import { AuthError } from '../services/MigrationErrors.js';
+
+/**
+ * Process exit codes of the smugmug-retrieve CLI
+ * Stable so cron jobs and wrapper scripts can branch on them.
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // Run aborted or unexpected error
+  USAGE: 2, // Unknown command, bad flags or invalid configuration
+  AUTH: 3, // SmugMug or destination rejected the credentials
+  PARTIAL: 4, // Run finished but some assets failed
+  VERIFY_MISMATCH: 5, // Verification found missing or mismatched objects
+  CANCELLED: 130, // Interrupted with Ctrl+C / SIGTERM
+};
+
+/**
+ * Invalid command line or configuration
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Map an error that ended a command to an exit code
+ * @param {Error} error - Error
+ * @returns {number} Exit code
+ */
+export function getExitCode(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof AuthError) {
+    return EXIT_CODES.AUTH;
+  }
+  return EXIT_CODES.FAILED;
+}
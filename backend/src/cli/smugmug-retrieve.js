@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import CliConfig from './CliConfig.js';
+import * as commands from './commands.js';
+import { EXIT_CODES, UsageError, getExitCode } from './exitCodes.js';
+
+/**
+ * smugmug-retrieve
+ * Headless command-line interface to the migration services, for scripted and
+ * scheduled runs without the web UI.
+ */
+
+const USAGE = `Usage: smugmug-retrieve <command> [options]
+
+Commands:
+  auth                  Check the SmugMug access tokens, or get new ones (--login)
+  discover              List the account's folders and albums
+  plan                  Show what a migration would transfer, without transferring
+  migrate               Run a migration
+  resume <sessionId>    Resume an interrupted or partly failed migration
+  verify <sessionId>    Check a finished migration against the destination
+  report [sessionId]    List past migrations, or show one (--errors for its error log)
+
+Options:
+  -c, --config <file>       Config file (default: $SMUGMUG_RETRIEVE_CONFIG or
+                            ~/.smugmug-retrieve/config.json)
+      --local <dir>         Migrate to a local directory
+      --bucket <name>       Migrate to this B2 bucket
+      --test                Test mode (10 assets unless --limit is given)
+      --limit <n>           Test mode limited to n assets
+      --exclude-videos      Skip videos
+      --sync                Only transfer assets new or changed since the last sync
+      --dedupe              Store files that sit in several albums once
+      --sidecars <format>   Sidecar files: json (default), xmp or both
+      --embed-metadata      Write title, caption, keywords and GPS into JPEGs
+      --keep-originals      With --embed-metadata, also store the unmodified JPEGs
+                            under _originals/
+      --comments            Fetch each image's SmugMug comments into sidecars and
+                            album manifests (one extra request per image)
+      --path-template <t>   Destination path template, e.g. "{yyyy}/{mm}/{filename}"
+      --album <key>         Only this album (repeatable)
+      --folder <id>         Only albums under this folder node (repeatable)
+      --match <pattern>     Only albums or folders matching this name pattern, e.g.
+                            "Family/20*" (repeatable)
+      --filter <json>       Asset filter, e.g. '{"rules":[{"field":"format","formats":["raw"]}]}'
+      --state-dir <dir>     Directory for checkpoint journals
+      --login               auth: run the OAuth flow even if tokens are configured
+      --save                auth: store the new tokens in the config file
+      --errors              report: include the error log
+      --format <json|csv>   plan, verify: result format
+  -o, --output <file>       Write the result to a file instead of stdout
+      --json                Print results as JSON
+  -q, --quiet               No progress output
+  -v, --verbose             Show service log output
+  -h, --help                Show this help
+
+Credentials can also come from SMUGMUG_API_KEY, SMUGMUG_API_SECRET,
+SMUGMUG_ACCESS_TOKEN, SMUGMUG_ACCESS_TOKEN_SECRET, B2_ACCOUNT_ID,
+B2_APPLICATION_KEY, B2_BUCKET_NAME and LOCAL_DESTINATION_PATH.
+
+Exit codes:
+  0 success, 1 failed, 2 usage or configuration error, 3 authentication failed,
+  4 finished with failed assets, 5 verification mismatches, 130 cancelled`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  local: { type: 'string' },
+  bucket: { type: 'string' },
+  test: { type: 'boolean' },
+  limit: { type: 'string' },
+  'exclude-videos': { type: 'boolean' },
+  sync: { type: 'boolean' },
+  dedupe: { type: 'boolean' },
+  sidecars: { type: 'string' },
+  'embed-metadata': { type: 'boolean' },
+  'keep-originals': { type: 'boolean' },
+  comments: { type: 'boolean' },
+  'path-template': { type: 'string' },
+  album: { type: 'string', multiple: true },
+  folder: { type: 'string', multiple: true },
+  match: { type: 'string', multiple: true },
+  filter: { type: 'string' },
+  'state-dir': { type: 'string' },
+  login: { type: 'boolean' },
+  save: { type: 'boolean' },
+  errors: { type: 'boolean' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Write text to stdout and wait until it is flushed
+ * @param {string} text - Text to write
+ * @returns {Promise<void>}
+ */
+function writeStdout(text) {
+  return new Promise(resolve => process.stdout.write(`${text}\n`, () => resolve()));
+}
+
+/**
+ * Parse arguments and run a command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (flags.help || !command) {
+    await writeStdout(USAGE);
+    return command || flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  if (!Object.hasOwn(commands, command)) {
+    throw new UsageError(`Unknown command "${command}". Run smugmug-retrieve --help for usage.`);
+  }
+
+  if (flags.format && !['json', 'csv'].includes(flags.format)) {
+    throw new UsageError(`--format must be json or csv, got "${flags.format}"`);
+  }
+
+  // Services log freely with console.log; keep stdout for results only
+  const serviceLog = flags.verbose ? (...values) => console.error(...values) : () => {};
+  console.log = serviceLog;
+  console.info = serviceLog;
+
+  const { body, filePath } = await CliConfig.load(flags);
+
+  return commands[command]({
+    command,
+    args,
+    flags,
+    body,
+    configPath: filePath,
+    out: text => (flags.output ? fs.writeFile(flags.output, `${text}\n`) : writeStdout(text)),
+    log: message => process.stderr.write(`${message}\n`),
+  });
+}
+
+dotenv.config();
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exit(getExitCode(error));
+  });
@@ -12,8 +12,10 @@ class AccountStructure {
     };
 
     this.rootFolders = [];
+    this.rootAlbums = [];
     this.allAlbums = [];
     this.allFolders = [];
+    this.albumsByKey = new Map();
 
     // Discovery metadata
     this.discoveryStarted = null;
@@ -26,10 +28,24 @@ class AccountStructure {
 
   /**
    * Add root folder
+   * Call addFolder() as well to include it in the folder totals.
    */
   addRootFolder(folder) {
     this.rootFolders.push(folder);
-    this.allFolders.push(folder);
+  }
+
+  /**
+   * Add album that sits directly under the account root
+   */
+  addRootAlbum(album) {
+    this.rootAlbums.push(album);
+  }
+
+  /**
+   * Find an album by its album key
+   */
+  getAlbumByKey(albumKey) {
+    return this.albumsByKey.get(albumKey) || null;
   }
 
   /**
@@ -37,6 +53,7 @@ class AccountStructure {
    */
   addAlbum(album) {
     this.allAlbums.push(album);
+    this.albumsByKey.set(album.albumKey, album);
     this.totalAlbums++;
     this.totalImages += album.imageCount || 0;
     this.totalVideos += album.videoCount || 0;
@@ -104,6 +121,7 @@ class AccountStructure {
       user: this.user,
       stats: this.getStats(),
       rootFolders: this.rootFolders.map(f => f.toJSON()),
+      rootAlbums: this.rootAlbums.map(a => a.toJSON()),
       allAlbums: this.allAlbums.map(a => a.toJSON()),
     };
   }
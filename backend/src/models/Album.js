@@ -17,6 +17,13 @@ class Album {
     this.created = data.Date || data.created;
     this.modified = data.LastUpdated || data.modified;
 
+    // How SmugMug orders the album's images ('Position' is the manual order)
+    this.sortMethod = data.SortMethod || data.sortMethod || null;
+    this.sortDirection = data.SortDirection || data.sortDirection || null;
+
+    // Cover image (expanded from the HighlightImage relation)
+    this.highlightImageKey = data.HighlightImage?.ImageKey || data.highlightImageKey || null;
+
     // Privacy and permissions
     this.privacy = data.Privacy || data.privacy;
     this.canShare = data.CanShare || data.canShare || false;
@@ -28,6 +35,9 @@ class Album {
     this.folderUri = data.Folder?.Uri || data.folderUri;
     this.folderName = data.Folder?.Name || data.folderName;
 
+    // Folder names from the account root down to this album (set during node traversal)
+    this.folderPath = data.folderPath || [];
+
     // Store raw data for reference
     this.rawData = data;
   }
@@ -39,6 +49,24 @@ class Album {
     return this.imageCount > 0 || this.videoCount > 0;
   }
 
+  /**
+   * Place album inside a folder discovered through the Node API
+   * @param {Folder|null} folder - Containing folder (null for the account root)
+   * @param {Array<string>} folderPath - Folder names from the root down
+   */
+  setFolder(folder, folderPath) {
+    this.folderUri = folder ? folder.uri : null;
+    this.folderName = folder ? folder.name : null;
+    this.folderPath = folderPath;
+  }
+
+  /**
+   * Get full path of the album, e.g. "Family/2019/Beach Trip"
+   */
+  getFullPath() {
+    return [...this.folderPath, this.name].join('/');
+  }
+
   /**
    * Get total media count
    */
@@ -63,11 +91,16 @@ class Album {
       videoCount: this.videoCount,
       created: this.created,
       modified: this.modified,
+      sortMethod: this.sortMethod,
+      sortDirection: this.sortDirection,
+      highlightImageKey: this.highlightImageKey,
       privacy: this.privacy,
       canShare: this.canShare,
       albumType: this.albumType,
       folderUri: this.folderUri,
       folderName: this.folderName,
+      folderPath: this.folderPath,
+      fullPath: this.getFullPath(),
     };
   }
 }
@@ -21,6 +21,7 @@ class Asset {
     this.title = data.Title || data.title;
     this.caption = data.Caption || data.caption;
     this.keywords = data.Keywords || data.keywords || [];
+    this.rating = data.Rating ?? data.rating ?? null;
 
     // Dates
     this.dateUploaded = data.Date || data.dateUploaded;
@@ -32,12 +33,18 @@ class Asset {
     this.originalSize = data.OriginalSize || data.originalSize || 0;
     this.originalHeight = data.OriginalHeight || data.originalHeight;
     this.originalWidth = data.OriginalWidth || data.originalWidth;
+    this.archivedMD5 = data.ArchivedMD5 || data.archivedMD5;
+    this.archivedSize = data.ArchivedSize || data.archivedSize;
 
     // Download URLs
     this.archivedUri = data.ArchivedUri || data.archivedUri;
     this.originalUri = data.Uris?.LargestImage?.Uri || data.originalUri;
     this.largestImageUri = data.Uris?.LargestImage?.Uri;
     this.largestVideoUri = data.Uris?.LargestVideo?.Uri;
+    this.commentsUri = data.Uris?.Comments?.Uri || data.commentsUri;
+
+    // Resolved from the LargestVideo endpoint when the asset is downloaded
+    this.largestVideo = null;
 
     // EXIF data
     this.exif = this.extractExif(data);
@@ -52,8 +59,15 @@ class Asset {
       this.albumName = album.name;
       this.albumKey = album.albumKey;
       this.albumUri = album.uri;
+      this.folderPath = album.folderPath || [];
     }
 
+    // 1-based position in the album's image listing (set during enumeration)
+    this.albumPosition = data.albumPosition ?? null;
+
+    // Comments left on SmugMug: { author, date, text }, or null when not fetched
+    this.comments = data.comments ?? null;
+
     // Store raw data for reference
     this.rawData = data;
   }
@@ -108,7 +122,7 @@ class Asset {
    */
   getDownloadUrl() {
     if (this.isVideo) {
-      return this.largestVideoUri || this.originalUri || this.archivedUri;
+      return this.archivedUri || this.largestVideo?.url || null;
     }
     return this.originalUri || this.largestImageUri || this.archivedUri;
   }
@@ -138,6 +152,21 @@ class Asset {
     return `${this.assetId}.${ext}`;
   }
 
+  /**
+   * Get path of the containing album, e.g. "Family/2019/Beach Trip"
+   */
+  getAlbumPath() {
+    return [...(this.folderPath || []), this.albumName].filter(Boolean).join('/');
+  }
+
+  /**
+   * Get key identifying this asset within its album
+   * The same image can be placed in several albums, so ImageKey alone is not unique.
+   */
+  getInventoryKey() {
+    return `${this.albumKey || 'no-album'}:${this.imageKey || this.assetId}`;
+  }
+
   /**
    * Check if asset has GPS coordinates
    */
@@ -183,6 +212,7 @@ class Asset {
       title: this.title,
       caption: this.caption,
       keywords: this.keywords,
+      comments: this.comments,
 
       // File properties
       format: this.format,
@@ -218,9 +248,11 @@ class Asset {
       caption: this.caption,
       keywords: this.keywords,
       dateUploaded: this.dateUploaded,
+      dateModified: this.dateModified,
       dateTaken: this.dateTaken,
       format: this.format,
       originalSize: this.originalSize,
+      archivedMD5: this.archivedMD5,
       dimensions: {
         width: this.originalWidth,
         height: this.originalHeight,
@@ -228,6 +260,8 @@ class Asset {
       downloadUrl: this.getDownloadUrl(),
       albumName: this.albumName,
       albumKey: this.albumKey,
+      albumPath: this.getAlbumPath(),
+      albumPosition: this.albumPosition,
       hasGPS: this.hasGPS(),
     };
   }
@@ -23,6 +23,9 @@ class Folder {
     this.created = data.DateAdded || data.created;
     this.modified = data.DateModified || data.modified;
 
+    // Folder names from the account root down to and including this folder
+    this.path = data.path || [];
+
     // Children (populated during traversal)
     this.albums = [];
     this.subfolders = [];
@@ -82,6 +85,7 @@ class Folder {
       privacy: this.privacy,
       created: this.created,
       modified: this.modified,
+      path: this.path.join('/'),
       albumCount: this.albums.length,
       subfolderCount: this.subfolders.length,
       albums: this.albums.map(a => a.toJSON ? a.toJSON() : a),
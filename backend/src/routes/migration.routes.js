@@ -1,111 +1,416 @@
+import fs from 'fs/promises';
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import SmugMugService from '../services/SmugMugService.js';
 import BackBlazeB2Service from '../services/BackBlazeB2Service.js';
 import LocalStorageService from '../services/LocalStorageService.js';
 import AccountDiscoveryService from '../services/AccountDiscoveryService.js';
 import AssetInventoryService from '../services/AssetInventoryService.js';
 import MigrationOrchestrator from '../services/MigrationOrchestrator.js';
+import MigrationConfig from '../services/MigrationConfig.js';
+import MigrationPlanner from '../services/MigrationPlanner.js';
+import DestinationPathTemplate from '../services/DestinationPathTemplate.js';
+import VerificationService from '../services/VerificationService.js';
+import FileSystemManager from '../services/FileSystemManager.js';
+import SessionStore from '../services/SessionStore.js';
+import AlbumSelection from '../services/AlbumSelection.js';
+import AssetFilter from '../services/AssetFilter.js';
 
 const router = express.Router();
 
-// Store active migration sessions (in-memory for MVP)
+// Orchestrators of sessions started by this process (live progress and control)
 const activeMigrations = new Map();
 
+// History of every session, kept on disk across restarts
+const sessionStore = new SessionStore();
+
+// Unfiltered inventories enumerated for filter previews, reused while filters are edited
+const inventoryPreviews = new Map();
+const INVENTORY_PREVIEW_TTL_MS = 30 * 60 * 1000;
+const INVENTORY_PREVIEW_MAX = 3;
+
+/**
+ * Send a verification report as JSON or CSV
+ * @param {object} res - Express response
+ * @param {object} report - Verification report
+ * @param {string} format - 'json' or 'csv'
+ */
+function sendVerificationReport(res, report, format) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="verify-report-${report.sessionId}.csv"`);
+    return res.send(VerificationService.exportAsCSV(report));
+  }
+
+  res.json({
+    success: true,
+    ...report
+  });
+}
+
+/**
+ * Send a migration plan as JSON or CSV
+ * @param {object} res - Express response
+ * @param {object} plan - Migration plan
+ * @param {string} format - 'json' or 'csv'
+ */
+function sendMigrationPlan(res, plan, format) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="migration-plan-${plan.sessionId}.csv"`);
+    return res.send(MigrationPlanner.exportAsCSV(plan));
+  }
+
+  res.json({
+    success: true,
+    ...plan
+  });
+}
+
+/**
+ * Reconcile a stored session with this process
+ * A session stored as running that this process is not running was cut short
+ * by a restart or crash.
+ * @param {object} session - Stored session
+ * @returns {object} Session with its effective state
+ */
+function withLiveState(session) {
+  const orchestrator = activeMigrations.get(session.sessionId);
+
+  if (session.state === SessionStore.STATE.RUNNING && !orchestrator?.isRunning) {
+    return { ...session, state: SessionStore.STATE.INTERRUPTED };
+  }
+
+  if (orchestrator?.isRunning) {
+    return { ...session, progress: orchestrator.getProgress() };
+  }
+
+  return session;
+}
+
+/**
+ * Reject requests whose :sessionId is not a valid session ID
+ * The ID ends up in tmp, state and session file paths, so it must not be able to
+ * traverse out of them (e.g. an encoded "..%2F").
+ */
+function validateSessionId(req, res, next) {
+  const { sessionId } = req.params;
+
+  if (!SessionStore.isValidSessionId(sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid session ID: ${sessionId}`
+    });
+  }
+
+  next();
+}
+
+/**
+ * Register an orchestrator and run it in the background
+ * @param {MigrationOrchestrator} orchestrator - Orchestrator to track
+ * @param {Function} run - Starts the workflow and returns its promise
+ * @param {string} kind - How the session was started (start, resume, retry)
+ */
+function launchMigration(orchestrator, run, kind = 'start') {
+  const sessionId = orchestrator.getSessionId();
+  const logStoreError = error => console.error(`Failed to record session ${sessionId}:`, error.message);
+
+  // Store in active migrations
+  activeMigrations.set(sessionId, orchestrator);
+  const recorded = sessionStore.recordStart(orchestrator, kind).catch(logStoreError);
+
+  // Start migration asynchronously (don't await - run in background)
+  run()
+    .then(summary => {
+      console.log(`Migration ${sessionId} completed:`, summary);
+      return null;
+    })
+    .catch(error => {
+      console.error(`Migration ${sessionId} failed:`, error);
+      return error;
+    })
+    .then(error => recorded.then(() => sessionStore.recordFinish(orchestrator, error)))
+    .catch(logStoreError)
+    .finally(() => {
+      // Live state is dropped after an hour; the session store keeps the history
+      setTimeout(() => {
+        if (activeMigrations.get(sessionId) === orchestrator) {
+          activeMigrations.delete(sessionId);
+        }
+      }, 60 * 60 * 1000);
+    });
+}
+
 /**
  * Start migration endpoint
  * POST /api/migration/start
  */
 router.post('/start', async (req, res) => {
   try {
-    const { smugmug, backblaze, localStorage, destinationType, testMode, testAssetLimit, excludeVideos } = req.body;
+    const { config, error } = MigrationConfig.build(req.body);
 
-    // Validate SmugMug configuration
-    if (!smugmug?.apiKey || !smugmug?.apiSecret) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'SmugMug API credentials are required'
+        error
+      });
+    }
+
+    // Initialize MigrationOrchestrator
+    const orchestrator = new MigrationOrchestrator(config);
+    const sessionId = orchestrator.getSessionId();
+
+    launchMigration(orchestrator, () => orchestrator.runMigration());
+
+    // Return immediately with session ID
+    res.json({
+      success: true,
+      message: 'Migration started',
+      sessionId
+    });
+  } catch (error) {
+    console.error('Migration start error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Resume an interrupted migration from its checkpoint journal
+ * POST /api/migration/resume/:sessionId
+ *
+ * Takes the same body as /start; credentials are never persisted, so they must be resent.
+ * Settings that shape destination keys and sidecars come from the interrupted session.
+ */
+router.post('/resume/:sessionId', validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const existing = activeMigrations.get(sessionId);
+    if (existing?.isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Migration session is still running'
       });
     }
 
-    if (!smugmug?.accessToken || !smugmug?.accessTokenSecret) {
+    const { config, error } = MigrationConfig.build(req.body);
+
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'SmugMug access tokens are required. Please complete OAuth flow first.'
+        error
       });
     }
 
-    // Validate storage destination based on type
-    const destType = destinationType || 'b2';
+    const orchestrator = new MigrationOrchestrator(config, sessionId);
 
-    if (destType === 'local') {
-      if (!localStorage?.path) {
-        return res.status(400).json({
-          success: false,
-          error: 'Local destination path is required'
-        });
-      }
-    } else {
-      // Default to B2
-      if (!backblaze?.accountId || !backblaze?.applicationKey || !backblaze?.bucketName) {
-        return res.status(400).json({
-          success: false,
-          error: 'BackBlaze B2 credentials are required'
-        });
-      }
+    let checkpoint;
+    try {
+      checkpoint = await orchestrator.loadCheckpoint();
+    } catch (loadError) {
+      return res.status(404).json({
+        success: false,
+        error: loadError.message
+      });
     }
 
-    // Create migration configuration
-    const config = {
-      smugmug: {
-        apiKey: smugmug.apiKey,
-        apiSecret: smugmug.apiSecret,
-        accessToken: smugmug.accessToken,
-        accessTokenSecret: smugmug.accessTokenSecret
-      },
-      destinationType: destType,
-      backblaze: destType === 'b2' ? {
-        accountId: backblaze.accountId,
-        applicationKey: backblaze.applicationKey,
-        bucketName: backblaze.bucketName
-      } : null,
-      localStorage: destType === 'local' ? {
-        path: localStorage.path
-      } : null,
-      testMode: testMode || false,
-      testAssetLimit: testAssetLimit || 10,
-      excludeVideos: excludeVideos !== false // Default to true
-    };
+    launchMigration(orchestrator, () => orchestrator.resumeMigration(), 'resume');
+
+    res.json({
+      success: true,
+      message: 'Migration resumed',
+      sessionId,
+      completedAssets: checkpoint.complete,
+      trackedAssets: checkpoint.assets
+    });
+  } catch (error) {
+    console.error('Migration resume error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List past and running sessions, newest first
+ * GET /api/migration/sessions
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await sessionStore.list();
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => SessionStore.toOverview(withLiveState(session)))
+    });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get one session's stored config, state, progress and summary
+ * GET /api/migration/sessions/:sessionId
+ */
+router.get('/sessions/:sessionId', validateSessionId, async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Migration session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      session: withLiveState(session)
+    });
+  } catch (error) {
+    console.error('Session read error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Retry the failed assets of a finished session under a new child session
+ * POST /api/migration/:sessionId/retry-failed
+ *
+ * Takes the same body as /start (credentials are never persisted), plus optional
+ * onlyRetryable to skip assets whose logged error was not retryable. Destination
+ * key settings are taken from the original session.
+ */
+router.post('/:sessionId/retry-failed', validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const parent = activeMigrations.get(sessionId);
+    if (parent?.isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Migration session is still running'
+      });
+    }
+
+    const { config, error } = MigrationConfig.build(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
 
-    // Initialize MigrationOrchestrator
     const orchestrator = new MigrationOrchestrator(config);
-    const sessionId = orchestrator.getSessionId();
 
-    // Store in active migrations
-    activeMigrations.set(sessionId, orchestrator);
-
-    // Start migration asynchronously (don't await - run in background)
-    orchestrator.runMigration()
-      .then(summary => {
-        console.log(`Migration ${sessionId} completed:`, summary);
-      })
-      .catch(error => {
-        console.error(`Migration ${sessionId} failed:`, error);
-      })
-      .finally(() => {
-        // Keep migration in map for 1 hour for error log retrieval
-        setTimeout(() => {
-          activeMigrations.delete(sessionId);
-        }, 60 * 60 * 1000);
+    let retry;
+    try {
+      retry = await orchestrator.prepareRetry(sessionId, {
+        errors: parent ? (await parent.getErrorLog()).errors : null,
+        onlyRetryable: req.body.onlyRetryable === true,
+      });
+    } catch (loadError) {
+      return res.status(/^No .* found/.test(loadError.message) ? 404 : 500).json({
+        success: false,
+        error: loadError.message
       });
+    }
+
+    if (retry.selected === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'No failed assets to retry in this session'
+      });
+    }
+
+    launchMigration(orchestrator, () => orchestrator.runMigration(), 'retry');
 
-    // Return immediately with session ID
     res.json({
       success: true,
-      message: 'Migration started',
-      sessionId
+      message: 'Retrying failed assets',
+      sessionId: orchestrator.getSessionId(),
+      parentSessionId: sessionId,
+      assetsToRetry: retry.selected
     });
   } catch (error) {
-    console.error('Migration start error:', error);
+    console.error('Retry failed assets error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Dry run: plan a migration without transferring anything
+ * POST /api/migration/plan?format=json|csv
+ *
+ * Takes the same body as /start. The plan lists every asset with its destination
+ * key, clashes and how they would be resolved, skipped videos and total bytes.
+ * It is also saved for GET /plan/:sessionId.
+ */
+router.post('/plan', async (req, res) => {
+  try {
+    const { config, error } = MigrationConfig.build(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const orchestrator = new MigrationOrchestrator(config);
+    const plan = await orchestrator.planMigration();
+
+    sendMigrationPlan(res, plan, req.query.format);
+  } catch (error) {
+    console.error('Migration plan error:', error);
+    res.status(error.code === 'AUTH_FAILED' ? 401 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Download a saved migration plan
+ * GET /api/migration/plan/:sessionId?format=json|csv
+ */
+router.get('/plan/:sessionId', validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const planPath = new FileSystemManager(sessionId).getLogFilePath(MigrationPlanner.FILE_NAME);
+
+    let plan;
+    try {
+      plan = JSON.parse(await fs.readFile(planPath, 'utf8'));
+    } catch (readError) {
+      if (readError.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          error: `No migration plan found for session ${sessionId}`
+        });
+      }
+      throw readError;
+    }
+
+    sendMigrationPlan(res, plan, req.query.format);
+  } catch (error) {
+    console.error('Migration plan read error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -113,6 +418,110 @@ router.post('/start', async (req, res) => {
   }
 });
 
+/**
+ * Verify a finished session against its destination
+ * POST /api/migration/:sessionId/verify?format=json|csv
+ *
+ * Body carries the destination settings (destinationType, backblaze or localStorage).
+ * The journal is read from the server's STATE_DIR (or the session's log directory);
+ * a stateDir in the request is ignored. The report is also saved for GET /:sessionId/verify.
+ */
+router.post('/:sessionId/verify', validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (activeMigrations.get(sessionId)?.isRunning) {
+      return res.status(409).json({
+        success: false,
+        error: 'Migration session is still running'
+      });
+    }
+
+    const journal = MigrationConfig.getSessionJournal(sessionId);
+    if (!(await journal.exists())) {
+      return res.status(404).json({
+        success: false,
+        error: `No checkpoint journal found for session ${sessionId}`
+      });
+    }
+
+    const { storageService, error } = await MigrationConfig.connectDestination(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const verificationService = new VerificationService(storageService, journal);
+    const report = await verificationService.run();
+
+    sendVerificationReport(res, report, req.query.format);
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(/^No .* found/.test(error.message) ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get the report from the last verification of a session
+ * GET /api/migration/:sessionId/verify?format=json|csv
+ */
+router.get('/:sessionId/verify', validateSessionId, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const journal = MigrationConfig.getSessionJournal(sessionId);
+    const report = await new VerificationService(null, journal).loadReport();
+
+    sendVerificationReport(res, report, req.query.format);
+  } catch (error) {
+    console.error('Verification report error:', error);
+    res.status(/^No .* found/.test(error.message) ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a finished session's final progress and completion as a one-shot SSE stream
+ * @param {object} res - Express response
+ * @param {string} sessionId - Session ID
+ */
+async function sendStoredProgress(res, sessionId) {
+  let session = null;
+  try {
+    session = await sessionStore.get(sessionId);
+  } catch (error) {
+    console.error('Session read error:', error);
+  }
+
+  if (!session?.progress) {
+    res.status(404).json({
+      success: false,
+      error: 'Migration session not found'
+    });
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Replaying stored session', sessionId })}\n\n`);
+  res.write(`event: progress\n`);
+  res.write(`data: ${JSON.stringify(session.progress)}\n\n`);
+
+  if (session.summary) {
+    res.write(`event: complete\n`);
+    res.write(`data: ${JSON.stringify(session.summary)}\n\n`);
+  }
+
+  res.end();
+}
+
 /**
  * Progress stream endpoint (Server-Sent Events)
  * GET /api/migration/progress/:sessionId
@@ -123,10 +532,7 @@ router.get('/progress/:sessionId', (req, res) => {
   // Get migration orchestrator
   const orchestrator = activeMigrations.get(sessionId);
   if (!orchestrator) {
-    res.status(404).json({
-      success: false,
-      error: 'Migration session not found'
-    });
+    sendStoredProgress(res, sessionId);
     return;
   }
 
@@ -160,7 +566,7 @@ router.get('/progress/:sessionId', (req, res) => {
     }
   };
 
-  orchestrator.subscribeToProgress(callback);
+  const subscriptionId = orchestrator.subscribeToProgress(callback);
 
   // Keep connection alive with heartbeat
   const keepAlive = setInterval(() => {
@@ -174,11 +580,77 @@ router.get('/progress/:sessionId', (req, res) => {
   // Cleanup on disconnect
   req.on('close', () => {
     clearInterval(keepAlive);
-    orchestrator.unsubscribeFromProgress(callback);
+    orchestrator.unsubscribeFromProgress(subscriptionId);
     res.end();
   });
 });
 
+/**
+ * Build a handler that applies a control action to a running migration
+ * @param {string} action - Orchestrator method: pause, resume or cancel
+ * @param {string} successMessage - Message returned when the action applies
+ * @param {string} conflictMessage - Message returned when it does not
+ * @returns {Function} Express route handler
+ */
+function controlHandler(action, successMessage, conflictMessage) {
+  return (req, res) => {
+    const { sessionId } = req.params;
+
+    const orchestrator = activeMigrations.get(sessionId);
+    if (!orchestrator) {
+      return res.status(404).json({
+        success: false,
+        error: 'Migration session not found'
+      });
+    }
+
+    if (!orchestrator[action]()) {
+      return res.status(409).json({
+        success: false,
+        error: conflictMessage,
+        state: orchestrator.getControlState()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      sessionId,
+      state: orchestrator.getControlState()
+    });
+  };
+}
+
+/**
+ * Pause a running migration (in-flight transfers finish)
+ * POST /api/migration/:sessionId/pause
+ */
+router.post('/:sessionId/pause', controlHandler(
+  'pause',
+  'Migration paused',
+  'Migration is not running or is already paused'
+));
+
+/**
+ * Resume a paused migration
+ * POST /api/migration/:sessionId/resume
+ */
+router.post('/:sessionId/resume', controlHandler(
+  'resume',
+  'Migration resumed',
+  'Migration is not paused'
+));
+
+/**
+ * Cancel a running migration
+ * POST /api/migration/:sessionId/cancel
+ */
+router.post('/:sessionId/cancel', controlHandler(
+  'cancel',
+  'Migration cancellation requested',
+  'Migration is not running or is already cancelled'
+));
+
 /**
  * Test SmugMug connection
  * POST /api/migration/test/smugmug
@@ -319,6 +791,8 @@ router.post('/discover', async (req, res) => {
       user: accountStructure.user,
       stats: stats,
       albums: accountStructure.getAllAlbums().map(a => a.toJSON()),
+      folders: accountStructure.rootFolders.map(f => f.toJSON()),
+      rootAlbums: accountStructure.rootAlbums.map(a => a.toJSON()),
     });
   } catch (error) {
     console.error('Discovery error:', error);
@@ -382,6 +856,129 @@ router.post('/enumerate', async (req, res) => {
   }
 });
 
+/**
+ * Validate a destination path template and preview it against sample assets
+ * POST /api/migration/path-template/preview
+ */
+router.post('/path-template/preview', (req, res) => {
+  const { template } = req.body;
+  const { valid, errors, warnings } = DestinationPathTemplate.validate(template);
+
+  if (!valid) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid destination path template: ${errors.join('; ')}`,
+      errors,
+      warnings
+    });
+  }
+
+  const sampleAssets = [
+    {
+      folderPath: ['Family', 'Holidays'],
+      albumName: 'Beach Trip',
+      albumKey: 'k9XfQz',
+      imageKey: 'Hd8sP2w',
+      filename: 'IMG_0042.JPG',
+      dateTaken: '2019-07-14T10:23:45+02:00'
+    },
+    {
+      folderPath: [],
+      albumName: 'Portfolio',
+      albumKey: 'Pm3vRt',
+      imageKey: 'Zq7LmN4',
+      filename: 'sunset.png',
+      dateTaken: '2023-01-05T18:02:11+00:00'
+    }
+  ];
+
+  const pathTemplate = new DestinationPathTemplate(template);
+
+  res.json({
+    success: true,
+    template,
+    warnings,
+    examples: sampleAssets.map(asset => pathTemplate.render(asset))
+  });
+});
+
+/**
+ * Count the assets a selection and filter would migrate
+ * POST /api/migration/filter/preview
+ *
+ * The first call enumerates the whole account (slow for large accounts) and returns an
+ * inventoryId; passing it back re-counts against the cached inventory without calling
+ * SmugMug, so the count can follow the filters as they are edited.
+ */
+router.post('/filter/preview', async (req, res) => {
+  try {
+    const { inventoryId, smugmug, excludeVideos } = req.body;
+
+    const selection = AlbumSelection.normalize(req.body.selection);
+    const filter = AssetFilter.normalize(req.body.filter);
+    if (selection.error || filter.error) {
+      return res.status(400).json({
+        success: false,
+        error: selection.error || `Invalid asset filter: ${filter.error}`
+      });
+    }
+
+    const now = Date.now();
+    for (const [id, entry] of inventoryPreviews) {
+      if (now - entry.createdAt > INVENTORY_PREVIEW_TTL_MS) {
+        inventoryPreviews.delete(id);
+      }
+    }
+
+    let id = inventoryId;
+    let entry = inventoryPreviews.get(id);
+
+    if (!entry) {
+      if (!smugmug?.apiKey || !smugmug?.apiSecret || !smugmug?.accessToken || !smugmug?.accessTokenSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'API credentials and access tokens are required'
+        });
+      }
+
+      const smugmugService = new SmugMugService(smugmug.apiKey, smugmug.apiSecret);
+      smugmugService.setAccessToken(smugmug.accessToken, smugmug.accessTokenSecret);
+
+      const accountStructure = await new AccountDiscoveryService(smugmugService).discoverAccount(true);
+      const inventoryService = new AssetInventoryService(smugmugService, accountStructure);
+      await inventoryService.buildInventory(0);
+
+      // Keep only the most recent previews; each holds a full inventory in memory
+      while (inventoryPreviews.size >= INVENTORY_PREVIEW_MAX) {
+        inventoryPreviews.delete(inventoryPreviews.keys().next().value);
+      }
+
+      id = uuidv4();
+      entry = { inventoryService, createdAt: now };
+      inventoryPreviews.set(id, entry);
+    }
+
+    const preview = entry.inventoryService.previewFilter(
+      selection.selection ? new AlbumSelection(selection.selection) : null,
+      excludeVideos === true,
+      filter.filter ? new AssetFilter(filter.filter) : null
+    );
+
+    res.json({
+      success: true,
+      inventoryId: id,
+      enumeratedAt: new Date(entry.createdAt).toISOString(),
+      ...preview
+    });
+  } catch (error) {
+    console.error('Filter preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Test local path validity and writeability
  * POST /api/migration/test/local-path
@@ -454,18 +1051,26 @@ router.get('/error-log/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // Get migration orchestrator
+    // Live sessions serve the in-memory log; past ones read the saved file
     const orchestrator = activeMigrations.get(sessionId);
-    if (!orchestrator) {
+    let errorLog;
+
+    if (orchestrator) {
+      errorLog = await orchestrator.getErrorLog();
+    } else {
+      const session = await sessionStore.get(sessionId);
+      errorLog = session?.errorLogPath
+        ? await fs.readFile(session.errorLogPath, 'utf8').then(JSON.parse).catch(() => null)
+        : null;
+    }
+
+    if (!errorLog) {
       return res.status(404).json({
         success: false,
-        error: 'Migration session not found or expired'
+        error: 'Error log not found for this session'
       });
     }
 
-    // Get error log
-    const errorLog = await orchestrator.getErrorLog();
-
     // Set headers for file download
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Content-Disposition', `attachment; filename="error-log-${sessionId}.json"`);
@@ -11,10 +11,8 @@ class AccountDiscoveryService {
     this.smugmugService = smugmugService;
     this.accountStructure = null;
     this.progressCallback = null;
-
-    // Rate limiting
-    this.requestDelay = 100; // ms between requests
-    this.lastRequestTime = 0;
+    this.includeEmptyAlbums = true;
+    this.skippedAlbumKeys = new Set();
   }
 
   /**
@@ -34,22 +32,6 @@ class AccountDiscoveryService {
     }
   }
 
-  /**
-   * Rate limit requests to respect SmugMug API
-   */
-  async respectRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-
-    if (timeSinceLastRequest < this.requestDelay) {
-      await new Promise(resolve =>
-        setTimeout(resolve, this.requestDelay - timeSinceLastRequest)
-      );
-    }
-
-    this.lastRequestTime = Date.now();
-  }
-
   /**
    * Discover complete account structure
    * @param {boolean} includeEmptyAlbums - Include albums with no media
@@ -68,13 +50,18 @@ class AccountDiscoveryService {
 
       // Discover user's albums
       this.reportProgress('discover', 0, 1, 'Discovering albums...');
+      this.includeEmptyAlbums = includeEmptyAlbums;
       await this.discoverUserAlbums(user, includeEmptyAlbums);
 
+      // Place albums into their folders
+      await this.discoverNodeTree(user);
+
       // Complete discovery
       this.accountStructure.completeDiscovery();
 
       const stats = this.accountStructure.getStats();
       console.log('\n✓ Discovery complete');
+      console.log(`  Folders: ${stats.totalFolders}`);
       console.log(`  Albums: ${stats.totalAlbums}`);
       console.log(`  Images: ${stats.totalImages}`);
       console.log(`  Videos: ${stats.totalVideos}`);
@@ -96,8 +83,6 @@ class AccountDiscoveryService {
    */
   async discoverUserAlbums(user, includeEmpty = true) {
     try {
-      await this.respectRateLimit();
-
       console.log('\nFetching albums...');
       const albums = await this.smugmugService.getAlbums(user.Uris.UserAlbums.Uri);
 
@@ -112,6 +97,7 @@ class AccountDiscoveryService {
         // Skip empty albums if requested
         if (!includeEmpty && !album.hasMedia()) {
           console.log(`  Skipping empty album: ${album.name}`);
+          this.skippedAlbumKeys.add(album.albumKey);
           continue;
         }
 
@@ -125,9 +111,6 @@ class AccountDiscoveryService {
         console.log(`  [${processedCount}/${albums.length}] ${album.name} (${album.getTotalMediaCount()} assets)`);
 
         this.accountStructure.addAlbum(album);
-
-        // Small delay to be respectful
-        await this.respectRateLimit();
       }
     } catch (error) {
       console.error('Error discovering albums:', error);
@@ -136,52 +119,133 @@ class AccountDiscoveryService {
   }
 
   /**
-   * Discover folder hierarchy (recursive)
-   * Note: This requires Node API access which may need different permissions
-   * @param {string} folderUri - Starting folder URI
-   * @param {Folder} parentFolder - Parent folder object
+   * Discover the folder tree starting at the user's root node
+   * Failure here fails discovery: folder paths are part of destination keys, so
+   * carrying on without them would store this run (and later syncs and resumes)
+   * under different keys.
+   * @param {object} user - User object
    */
-  async discoverFolderHierarchy(folderUri, parentFolder = null) {
+  async discoverNodeTree(user) {
+    const rootNodeUri = user.Uris?.Node?.Uri;
+    if (!rootNodeUri) {
+      console.log('\nNo root node available, skipping folder hierarchy');
+      return;
+    }
+
     try {
-      await this.respectRateLimit();
+      console.log('\nDiscovering folder hierarchy...');
+      this.reportProgress('discover', 0, 0, 'Discovering folder hierarchy...');
+      await this.discoverFolderHierarchy(rootNodeUri);
+      console.log(`Found ${this.accountStructure.totalFolders} folders`);
+    } catch (error) {
+      console.error('Folder hierarchy discovery failed:', error.message);
+      throw new Error(`Folder hierarchy discovery failed: ${error.message}`);
+    }
+  }
 
-      // Get folder details
-      const folderData = await this.smugmugService.makeAuthenticatedRequest(folderUri);
-      const folder = new Folder(folderData.Response.Folder || folderData.Response.Node);
+  /**
+   * Discover folder hierarchy (recursive)
+   * Walks /node/{id}!children from the given node, building Folder objects and
+   * placing each already-discovered album into its folder with its full path.
+   * Albums that only show up in the node tree are fetched and added.
+   * @param {string} nodeUri - Folder node URI to walk
+   * @param {Folder} parentFolder - Folder object for nodeUri (null for the account root)
+   * @param {Array<string>} folderPath - Folder names from the root down to nodeUri
+   * @returns {Promise<void>}
+   */
+  async discoverFolderHierarchy(nodeUri, parentFolder = null, folderPath = []) {
+    const children = await this.getAllNodeChildren(nodeUri);
+
+    for (const node of children) {
+      if (node.Type === 'Folder') {
+        const path = [...folderPath, node.Name];
+        const folder = new Folder({ ...node, path });
+
+        if (parentFolder) {
+          parentFolder.addSubfolder(folder);
+        } else {
+          this.accountStructure.addRootFolder(folder);
+        }
+        this.accountStructure.addFolder(folder);
 
-      if (parentFolder) {
-        parentFolder.addSubfolder(folder);
-      } else {
-        this.accountStructure.addRootFolder(folder);
-      }
+        this.reportProgress('discover', this.accountStructure.totalFolders, 0, `Scanning folder: ${path.join('/')}`);
+        console.log(`  Folder: ${path.join('/')}`);
+
+        await this.discoverFolderHierarchy(node.Uri, folder, path);
+      } else if (node.Type === 'Album') {
+        const album = await this.resolveAlbumNode(node);
+        if (!album) {
+          continue;
+        }
+
+        album.setFolder(parentFolder, folderPath);
 
-      this.accountStructure.addFolder(folder);
-
-      console.log(`  Folder: ${folder.name}`);
-
-      // Get albums in this folder
-      if (folder.uri) {
-        try {
-          const albums = await this.smugmugService.getAlbums(`${folder.uri}!albums`);
-          for (const albumData of albums) {
-            const album = new Album(albumData);
-            folder.addAlbum(album);
-            this.accountStructure.addAlbum(album);
-          }
-        } catch (error) {
-          // Folder might not have albums endpoint
-          console.log(`    No albums in folder: ${folder.name}`);
+        if (parentFolder) {
+          parentFolder.addAlbum(album);
+        } else {
+          this.accountStructure.addRootAlbum(album);
         }
       }
+      // Pages and other node types carry no media
+    }
+  }
+
+  /**
+   * Fetch every child of a folder node (with pagination)
+   * @param {string} nodeUri - Folder node URI
+   * @returns {Promise<Array<object>>} Child nodes
+   */
+  async getAllNodeChildren(nodeUri) {
+    const nodes = [];
+    let start = 1;
+    const count = 100;
+    let hasMore = true;
+
+    while (hasMore) {
+      const result = await this.smugmugService.getNodeChildren(nodeUri, start, count);
+      nodes.push(...result.nodes);
+
+      hasMore = result.pages?.NextPage !== undefined;
+      start += count;
+    }
 
-      // Recursively discover subfolders
-      // Note: This would require Node API which may need additional permissions
-      // For MVP, we're focusing on flat album discovery
+    return nodes;
+  }
 
-      return folder;
+  /**
+   * Map an album node to its Album object
+   * @param {object} node - Node with Type 'Album'
+   * @returns {Promise<Album|null>} Album, or null if it was filtered out or unreadable
+   */
+  async resolveAlbumNode(node) {
+    const albumUri = node.Uris?.Album?.Uri;
+    if (!albumUri) {
+      return null;
+    }
+
+    const albumKey = albumUri.split('/').pop();
+    const existing = this.accountStructure.getAlbumByKey(albumKey);
+    if (existing) {
+      return existing;
+    }
+
+    // Album was skipped as empty, or is missing from the flat album list
+    if (this.skippedAlbumKeys.has(albumKey)) {
+      return null;
+    }
+
+    try {
+      const album = new Album(await this.smugmugService.getAlbum(albumUri));
+
+      if (!this.includeEmptyAlbums && !album.hasMedia()) {
+        return null;
+      }
+
+      this.accountStructure.addAlbum(album);
+      return album;
     } catch (error) {
-      console.error('Error discovering folder:', error);
-      throw error;
+      console.error(`  Could not read album node ${node.Name}:`, error.message);
+      return null;
     }
   }
 
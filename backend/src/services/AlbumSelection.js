@@ -0,0 +1,156 @@
+/**
+ * Album Selection
+ * Narrows a migration to chosen albums and folder subtrees.
+ *
+ * A selection names albums by key, folders by node ID, and either by name
+ * pattern. Choosing a folder chooses every album beneath it, so albums added to
+ * the folder later are picked up by the next run. Patterns are case-insensitive
+ * globs: `*` and `?` stay within one path segment, `**` spans segments. A
+ * pattern without "/" matches an album or folder by name anywhere in the tree;
+ * one with "/" matches the path from the account root, e.g. "Family/20*".
+ */
+class AlbumSelection {
+  /**
+   * @param {object} selection - Selection from the migration request
+   * @param {Array<string>} selection.albumKeys - Album keys
+   * @param {Array<string>} selection.folderIds - Folder node IDs
+   * @param {Array<string>} selection.patterns - Album or folder name patterns
+   */
+  constructor({ albumKeys = [], folderIds = [], patterns = [] } = {}) {
+    this.albumKeys = new Set(albumKeys);
+    this.folderIds = new Set(folderIds);
+    this.patterns = patterns.map(pattern => ({
+      pattern,
+      byPath: pattern.includes('/'),
+      regex: AlbumSelection.globToRegExp(pattern.replace(/^\/+|\/+$/g, '')),
+    }));
+  }
+
+  /**
+   * Validate and normalise a selection from a migration request
+   * @param {object|null|undefined} selection - Requested selection
+   * @returns {{selection?: object|null, error?: string}} Normalised selection (null for everything) or error
+   */
+  static normalize(selection) {
+    if (selection === undefined || selection === null) {
+      return { selection: null };
+    }
+
+    if (typeof selection !== 'object' || Array.isArray(selection)) {
+      return { error: 'Selection must be an object with albumKeys, folderIds or patterns' };
+    }
+
+    const normalized = {};
+    for (const field of ['albumKeys', 'folderIds', 'patterns']) {
+      const values = selection[field] || [];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        return { error: `Selection ${field} must be a list of strings` };
+      }
+      normalized[field] = [...new Set(values.map(value => value.trim()).filter(Boolean))];
+    }
+
+    const isEmpty = Object.values(normalized).every(values => values.length === 0);
+    return { selection: isEmpty ? null : normalized };
+  }
+
+  /**
+   * Convert a glob pattern to a case-insensitive regular expression
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp}
+   */
+  static globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      if (char === '*' && pattern[i + 1] === '*' && pattern[i + 2] === '/') {
+        source += '(?:.*/)?'; // "**/" also matches no folders at all
+        i += 2;
+      } else if (char === '*' && pattern[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Check whether a pattern selects an album, directly or through a folder above it
+   * @param {Album} album - Album
+   * @returns {boolean}
+   */
+  matchesPattern(album) {
+    const segments = [...(album.folderPath || []), album.name];
+
+    return this.patterns.some(({ byPath, regex }) => {
+      if (!byPath) {
+        return segments.some(segment => regex.test(segment));
+      }
+      return segments.some((_, index) => regex.test(segments.slice(0, index + 1).join('/')));
+    });
+  }
+
+  /**
+   * Collect the keys of every album in a folder subtree
+   * @param {Folder} folder - Folder
+   * @param {Set<string>} keys - Keys collected so far
+   */
+  static collectAlbumKeys(folder, keys) {
+    folder.albums.forEach(album => keys.add(album.albumKey));
+    folder.subfolders.forEach(subfolder => AlbumSelection.collectAlbumKeys(subfolder, keys));
+  }
+
+  /**
+   * Pick the selected albums from a discovered account
+   * @param {AccountStructure} accountStructure - Discovered account
+   * @returns {{albums: Array<Album>, unmatched: Array<string>}} Selected albums, and keys or IDs not found
+   */
+  apply(accountStructure) {
+    const keys = new Set();
+    const unmatched = [];
+
+    for (const albumKey of this.albumKeys) {
+      if (accountStructure.getAlbumByKey(albumKey)) {
+        keys.add(albumKey);
+      } else {
+        unmatched.push(albumKey);
+      }
+    }
+
+    for (const folderId of this.folderIds) {
+      const folder = accountStructure.allFolders.find(f => f.folderId === folderId);
+      if (folder) {
+        AlbumSelection.collectAlbumKeys(folder, keys);
+      } else {
+        unmatched.push(folderId);
+      }
+    }
+
+    const albums = accountStructure.getAllAlbums().filter(
+      album => keys.has(album.albumKey) || (this.patterns.length > 0 && this.matchesPattern(album))
+    );
+
+    return { albums, unmatched };
+  }
+
+  /**
+   * Describe the selection for logs
+   * @returns {string}
+   */
+  toString() {
+    const parts = [];
+    if (this.albumKeys.size > 0) parts.push(`${this.albumKeys.size} album(s)`);
+    if (this.folderIds.size > 0) parts.push(`${this.folderIds.size} folder(s)`);
+    if (this.patterns.length > 0) parts.push(`patterns ${this.patterns.map(p => `"${p.pattern}"`).join(', ')}`);
+    return parts.join(', ');
+  }
+}
+
+export default AlbumSelection;
@@ -0,0 +1,172 @@
+/**
+ * Archive Manifest
+ * Builds the files that let a migrated archive describe itself without this tool:
+ *
+ * - album.json in each album's directory: the album's description, keywords,
+ *   privacy, sort order and cover image, and its assets in SmugMug's order (with
+ *   their comments when those were fetched). Only written when the path template
+ *   gives every album its own directory (not for e.g. "{yyyy}/{mm}/{filename}").
+ * - manifest.json at the destination root: the account, every album (with the key
+ *   of its album.json) and every asset with the key it is stored under.
+ *
+ * Assets that are not stored (failed, or not yet transferred) are listed with a
+ * null destinationKey so the album order stays complete.
+ */
+class ArchiveManifest {
+  /**
+   * @param {object} options
+   * @param {string} options.sessionId - Migration session ID
+   * @param {AccountStructure} options.accountStructure - Discovered account
+   * @param {DestinationPathTemplate} options.pathTemplate - Template assets were stored with
+   * @param {MetadataService} options.metadataService - Metadata service
+   * @param {Function} options.getStoredKey - Returns the key an asset is stored under, or null
+   */
+  constructor({ sessionId, accountStructure, pathTemplate, metadataService, getStoredKey }) {
+    this.sessionId = sessionId;
+    this.accountStructure = accountStructure;
+    this.pathTemplate = pathTemplate;
+    this.metadataService = metadataService;
+    this.getStoredKey = getStoredKey;
+  }
+
+  static ALBUM_FILE_NAME = 'album.json';
+  static ACCOUNT_FILE_NAME = 'manifest.json';
+
+  /**
+   * Build the album manifests and the account manifest
+   * @param {Array<Asset>} assets - Inventory assets, in enumeration (album) order
+   * @returns {{albums: Array<{key: string, manifest: object}>, account: object}}
+   */
+  build(assets) {
+    const generatedAt = new Date().toISOString();
+    const storedKeys = new Map(assets.map(asset => [asset, this.getStoredKey(asset)]));
+
+    // Group by album, keeping the order SmugMug listed each album's assets in
+    const byAlbum = new Map();
+    for (const asset of assets) {
+      if (!byAlbum.has(asset.albumKey)) {
+        byAlbum.set(asset.albumKey, []);
+      }
+      byAlbum.get(asset.albumKey).push(asset);
+    }
+
+    const albums = [];
+    const albumSummaries = [];
+
+    for (const [albumKey, albumAssets] of byAlbum) {
+      const album = this.accountStructure.getAlbumByKey(albumKey);
+      if (!album) continue;
+
+      const directory = this.pathTemplate.renderAlbumDirectory(album);
+      const key = directory === null ? null : `${directory}/${ArchiveManifest.ALBUM_FILE_NAME}`;
+      const description = this.describeAlbum(album, albumAssets, storedKeys);
+      const storedAssets = albumAssets.filter(asset => storedKeys.get(asset)).length;
+
+      if (key) {
+        albums.push({
+          key,
+          manifest: {
+            manifestVersion: '1.0',
+            generatedAt,
+            sessionId: this.sessionId,
+            album: description,
+            totalAssets: albumAssets.length,
+            storedAssets,
+            assets: albumAssets.map((asset, index) => this.describeAsset(asset, index, storedKeys.get(asset))),
+          },
+        });
+      }
+
+      albumSummaries.push({
+        ...description,
+        albumManifest: key,
+        totalAssets: albumAssets.length,
+        storedAssets,
+      });
+    }
+
+    const { assets: assetEntries, ...header } = this.metadataService.generateConsolidatedManifest(
+      assets.map(asset => ({
+        ...asset.toMetadataJSON(),
+        albumKey: asset.albumKey || null,
+        albumPath: asset.getAlbumPath(),
+        albumPosition: asset.albumPosition ?? null,
+        destinationKey: storedKeys.get(asset) || null,
+      }))
+    );
+
+    return {
+      albums,
+      account: {
+        ...header,
+        generatedAt,
+        sessionId: this.sessionId,
+        account: this.accountStructure.user,
+        pathTemplate: this.pathTemplate.toString(),
+        storedAssets: [...storedKeys.values()].filter(Boolean).length,
+        totalAlbums: albumSummaries.length,
+        albums: albumSummaries,
+        assets: assetEntries,
+      },
+    };
+  }
+
+  /**
+   * Describe an album for the manifests
+   * Asset positions follow SmugMug's listing, so they are the manual order when
+   * sortMethod is 'Position' and the sorted order otherwise.
+   * @param {Album} album - Album
+   * @param {Array<Asset>} albumAssets - The album's assets in this migration
+   * @param {Map<Asset, string|null>} storedKeys - Key each asset is stored under
+   * @returns {object}
+   */
+  describeAlbum(album, albumAssets = [], storedKeys = new Map()) {
+    const cover = album.highlightImageKey
+      ? albumAssets.find(asset => asset.imageKey === album.highlightImageKey)
+      : null;
+
+    return {
+      albumKey: album.albumKey,
+      name: album.name,
+      title: album.title || null,
+      path: album.getFullPath(),
+      description: album.description || null,
+      keywords: this.metadataService.normalizeKeywords(album.keywords),
+      privacy: album.privacy || null,
+      webUri: album.webUri || null,
+      created: album.created || null,
+      modified: album.modified || null,
+      sortMethod: album.sortMethod || null,
+      sortDirection: album.sortDirection || null,
+      coverImage: album.highlightImageKey ? {
+        imageKey: album.highlightImageKey,
+        filename: cover?.filename || null,
+        destinationKey: (cover && storedKeys.get(cover)) || null,
+      } : null,
+    };
+  }
+
+  /**
+   * Describe an asset's place in its album
+   * @param {Asset} asset - Asset
+   * @param {number} index - Position in the album (0-based)
+   * @param {string|null} destinationKey - Key the asset is stored under
+   * @returns {object}
+   */
+  describeAsset(asset, index, destinationKey) {
+    return {
+      position: asset.albumPosition ?? index + 1,
+      filename: asset.filename,
+      smugmugAssetId: asset.assetId,
+      type: asset.type,
+      destinationKey: destinationKey || null,
+      title: asset.title || null,
+      caption: asset.caption || null,
+      keywords: this.metadataService.normalizeKeywords(asset.keywords),
+      dateTaken: asset.dateTaken || null,
+      comments: asset.comments,
+    };
+  }
+}
+
+export default ArchiveManifest;
@@ -1,5 +1,10 @@
 import axios from 'axios';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import pLimit from 'p-limit';
+import SmugMugRequestScheduler from './SmugMugRequestScheduler.js';
+import { IntegrityError, MigrationError, NotFoundError, classifyError } from './MigrationErrors.js';
 
 /**
  * Asset Download Service
@@ -9,10 +14,11 @@ class AssetDownloadService {
   constructor(smugmugService, fileSystemManager) {
     this.smugmugService = smugmugService;
     this.fsManager = fileSystemManager;
+    this.scheduler = smugmugService?.scheduler || SmugMugRequestScheduler.getShared();
 
     // Configuration
     this.concurrencyLimit = 8; // Number of parallel downloads
-    this.retryAttempts = 3;
+    this.retryAttempts = 3; // Attempts for downloads that fail the size/MD5 check
     this.retryDelay = 2000; // 2 seconds
 
     // State
@@ -20,10 +26,14 @@ class AssetDownloadService {
     this.failedCount = 0;
     this.totalSize = 0;
     this.errors = [];
+    this.checksumMismatches = 0;
 
     // Progress callback
     this.progressCallback = null;
 
+    // Abort controllers for in-flight downloads (used by cancellation)
+    this.activeControllers = new Set();
+
     // Rate limiting
     this.limiter = pLimit(this.concurrencyLimit);
   }
@@ -47,41 +57,65 @@ class AssetDownloadService {
 
   /**
    * Download a single asset
+   * The response is streamed through a hashing transform into a sink, so memory use
+   * stays bounded regardless of file size. Without a sink factory the asset is staged
+   * as a temp file in the session downloads directory.
    * @param {object} asset - Asset object from inventory
-   * @returns {Promise<{success: boolean, filename: string, filePath?: string, size?: number, error?: string}>}
+   * @param {Function|null} createSink - Returns {stream, commit(checksums), abort()} for each attempt
+   * @returns {Promise<{success: boolean, filename: string, stagingName?: string, filePath?: string, size?: number, checksums?: object, sinkResult?: object, error?: string, errorCode?: string, retryable?: boolean}>}
    */
-  async downloadAsset(asset) {
+  async downloadAsset(asset, createSink = null) {
     let lastError = null;
+    const stagingName = this.getStagingName(asset);
+
+    if (asset.isVideo) {
+      await this.resolveLargestVideo(asset);
+    }
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      let sink = null;
+      const controller = new AbortController();
+
       try {
         // Get the download URL from asset
         const downloadUrl = this.getDownloadUrl(asset);
 
         if (!downloadUrl) {
-          throw new Error('No download URL available for asset');
+          throw new NotFoundError('No download URL available for asset', { service: 'smugmug' });
         }
 
-        // Download the file
-        const response = await axios.get(downloadUrl, {
-          responseType: 'arraybuffer',
-          timeout: 120000, // 2 minute timeout
-          headers: {
-            'User-Agent': 'SmugMug-Retrieval-Tool/1.0',
-          },
-        });
+        // Stream the file; back-pressure from the sink throttles the socket
+        this.activeControllers.add(controller);
+        let digest;
+        try {
+          // Throttled and 5xx responses are retried by the shared scheduler
+          const response = await this.scheduler.schedule(() => axios.get(downloadUrl, {
+            responseType: 'stream',
+            timeout: 120000, // 2 minute timeout
+            signal: controller.signal,
+            headers: {
+              'User-Agent': 'SmugMug-Retrieval-Tool/1.0',
+            },
+          }), { label: `Download of ${asset.filename}`, signal: controller.signal });
+
+          sink = createSink ? await createSink() : await this.createStagingSink(stagingName);
+          const hasher = this.createChecksumStream();
+
+          await pipeline(response.data, hasher.stream, sink.stream, { signal: controller.signal });
+          digest = hasher.digest();
+        } finally {
+          this.activeControllers.delete(controller);
+        }
 
-        const fileData = Buffer.from(response.data);
-        const fileSize = fileData.length;
+        // Truncated or corrupted downloads throw here and are retried
+        const checksums = this.verifyDownload(asset, downloadUrl, digest);
+        const sinkResult = await sink.commit(checksums);
 
         // Determine filename
         const filename = asset.filename || this.extractFilenameFromUrl(downloadUrl);
 
-        // Save to file system
-        const filePath = await this.fsManager.writeFile(filename, fileData);
-
         this.downloadedCount++;
-        this.totalSize += fileSize;
+        this.totalSize += digest.size;
 
         // Call progress callback
         if (this.progressCallback) {
@@ -91,15 +125,30 @@ class AssetDownloadService {
         return {
           success: true,
           filename,
-          filePath,
-          size: fileSize,
+          stagingName,
+          filePath: sinkResult?.filePath || null,
+          size: digest.size,
+          checksums,
+          sinkResult,
         };
       } catch (error) {
-        lastError = error;
+        lastError = classifyError(error, 'download', 'Download failed');
+
+        if (sink) {
+          await sink.abort().catch(() => {});
+        }
+
+        // Cancelled downloads are not failures worth retrying
+        if (axios.isCancel(error) || controller.signal.aborted) {
+          lastError = new MigrationError('Download cancelled', { code: 'CANCELLED' });
+          break;
+        }
+
         console.error(`Download attempt ${attempt} failed for ${asset.filename}:`, error.message);
 
-        // Don't retry on 404 or other client errors
-        if (error.response && error.response.status >= 400 && error.response.status < 500) {
+        // The scheduler already retried throttled, 5xx and network failures; only a
+        // download whose size or MD5 came out wrong is fetched again here
+        if (!(lastError instanceof IntegrityError)) {
           break;
         }
 
@@ -129,9 +178,164 @@ class AssetDownloadService {
       success: false,
       filename: asset.filename,
       error: errorMessage,
+      errorCode: lastError?.code || null,
+      retryable: lastError?.retryable ?? false,
+    };
+  }
+
+  /**
+   * Hash downloaded data and check it against the size/MD5 SmugMug reports
+   * Those values describe a specific rendition, so downloads from any other URL
+   * are hashed but reported as unverified.
+   * @param {object} asset - Asset object
+   * @param {string} downloadUrl - URL the data was fetched from
+   * @param {{md5: string, sha1: string, size: number}} digest - Hashes of the downloaded data
+   * @returns {{md5: string, sha1: string, size: number, expectedMD5: string|null, expectedSize: number|null, sourceVerified: boolean}}
+   */
+  verifyDownload(asset, downloadUrl, digest) {
+    const { md5, sha1, size } = digest;
+    const expected = this.getExpectedChecksums(asset, downloadUrl);
+    const expectedSize = expected.size ? Number(expected.size) : null;
+    const expectedMD5 = expected.md5 ? expected.md5.toLowerCase() : null;
+
+    if (expectedSize !== null && size !== expectedSize) {
+      this.checksumMismatches++;
+      throw new IntegrityError(`Size mismatch: expected ${expectedSize} bytes, got ${size}`, { service: 'smugmug' });
+    }
+
+    if (expectedMD5 !== null && md5 !== expectedMD5) {
+      this.checksumMismatches++;
+      throw new IntegrityError(`MD5 mismatch: expected ${expectedMD5}, got ${md5}`, { service: 'smugmug' });
+    }
+
+    return {
+      md5,
+      sha1,
+      size,
+      expectedMD5,
+      expectedSize,
+      sourceVerified: expectedMD5 !== null || expectedSize !== null,
+    };
+  }
+
+  /**
+   * Get the size/MD5 SmugMug reports for the rendition at a download URL
+   * @param {object} asset - Asset object
+   * @param {string} downloadUrl - URL the data was fetched from
+   * @returns {{size: number|null, md5: string|null}}
+   */
+  getExpectedChecksums(asset, downloadUrl) {
+    if (asset.archivedUri && downloadUrl === asset.archivedUri) {
+      return { size: asset.archivedSize || null, md5: asset.archivedMD5 || null };
+    }
+
+    if (asset.largestVideo?.url && downloadUrl === asset.largestVideo.url) {
+      return { size: asset.largestVideo.size || null, md5: asset.largestVideo.md5 || null };
+    }
+
+    return { size: null, md5: null };
+  }
+
+  /**
+   * Resolve a video's LargestVideo endpoint
+   * Provides the download URL when there is no archived original, and the
+   * duration SmugMug reports either way. Failures are logged, not thrown, so an
+   * archived original can still be downloaded.
+   * @param {object} asset - Video asset
+   * @returns {Promise<object|null>} Resolved rendition
+   */
+  async resolveLargestVideo(asset) {
+    if (asset.largestVideo || !asset.largestVideoUri || !this.smugmugService) {
+      return asset.largestVideo;
+    }
+
+    try {
+      const video = await this.smugmugService.getLargestVideo(asset.largestVideoUri);
+      asset.largestVideo = video ? {
+        url: video.Url || null,
+        size: video.Size || null,
+        md5: video.MD5 || null,
+        width: video.Width || null,
+        height: video.Height || null,
+        durationSeconds: video.Duration || null,
+        ext: video.Ext || null,
+      } : null;
+    } catch (error) {
+      console.error(`Could not resolve largest video for ${asset.filename}:`, error.message);
+    }
+
+    return asset.largestVideo;
+  }
+
+  /**
+   * Create a pass-through stream that hashes and counts the bytes flowing through it
+   * @returns {{stream: Transform, digest: Function}}
+   */
+  createChecksumStream() {
+    const md5 = crypto.createHash('md5');
+    const sha1 = crypto.createHash('sha1');
+    let size = 0;
+
+    const stream = new Transform({
+      transform(chunk, encoding, callback) {
+        md5.update(chunk);
+        sha1.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    return {
+      stream,
+      digest: () => ({ md5: md5.digest('hex'), sha1: sha1.digest('hex'), size }),
+    };
+  }
+
+  /**
+   * Create a sink that stages the download as a temp file
+   * @param {string} stagingName - Temp file name
+   * @returns {Promise<{stream: Writable, commit: Function, abort: Function}>}
+   */
+  async createStagingSink(stagingName) {
+    const stream = await this.fsManager.createWriteStream(stagingName);
+
+    return {
+      stream,
+      commit: async () => ({ filePath: this.fsManager.getFilePath(stagingName) }),
+      abort: async () => {
+        stream.destroy();
+        await this.fsManager.deleteFile(stagingName);
+      },
     };
   }
 
+  /**
+   * Get a temp file name that is unique per asset
+   * Albums often contain files with the same name, and up to concurrencyLimit
+   * assets are staged side by side.
+   * @param {object} asset - Asset object
+   * @returns {string} Staging file name
+   */
+  getStagingName(asset) {
+    const key = (asset.getInventoryKey?.() || asset.imageKey || asset.assetId || 'asset')
+      .replace(/[^a-zA-Z0-9-]/g, '_');
+    const filename = (asset.filename || 'download').replace(/[/\\]/g, '_');
+    return `${key}_${filename}`;
+  }
+
+  /**
+   * Abort all in-flight downloads
+   * @returns {number} Number of downloads aborted
+   */
+  abortAll() {
+    const count = this.activeControllers.size;
+    for (const controller of this.activeControllers) {
+      controller.abort();
+    }
+    this.activeControllers.clear();
+    return count;
+  }
+
   /**
    * Get download URL from asset
    * @param {object} asset - Asset object
@@ -139,15 +343,20 @@ class AssetDownloadService {
    */
   getDownloadUrl(asset) {
     // Priority order for download URLs:
-    // 1. ArchivedUri (original quality)
-    // 2. Direct download URL
-    // 3. OriginalUrl
-    // 4. LargestUrl
+    // 1. ArchivedUri (original quality, images and videos)
+    // 2. LargestVideo URL (videos without an archived original)
+    // 3. Direct download URL
+    // 4. OriginalUrl
+    // 5. LargestUrl
 
     if (asset.archivedUri) {
       return asset.archivedUri;
     }
 
+    if (asset.isVideo) {
+      return asset.largestVideo?.url || null;
+    }
+
     if (asset.downloadUrl) {
       return asset.downloadUrl;
     }
@@ -273,6 +482,7 @@ class AssetDownloadService {
       failed: this.failedCount,
       totalSizeBytes: this.totalSize,
       totalSizeMB: Math.round((this.totalSize / (1024 * 1024)) * 100) / 100,
+      checksumMismatches: this.checksumMismatches,
       errors: this.errors.length,
     };
   }
@@ -293,6 +503,7 @@ class AssetDownloadService {
     this.failedCount = 0;
     this.totalSize = 0;
     this.errors = [];
+    this.checksumMismatches = 0;
   }
 
   /**
@@ -0,0 +1,278 @@
+import path from 'path';
+
+/**
+ * Asset Filter
+ * Decides which enumerated assets a migration transfers.
+ *
+ * A filter is a group of rules combined with "all" (AND) or "any" (OR); a rule
+ * can itself be a group, so conditions nest:
+ *
+ *   {
+ *     "match": "all",
+ *     "rules": [
+ *       { "field": "dateTaken", "from": "2019-01-01", "to": "2019-12-31" },
+ *       { "match": "any", "rules": [
+ *         { "field": "format", "formats": ["raw"] },
+ *         { "field": "keywords", "include": ["portfolio"] }
+ *       ] },
+ *       { "field": "keywords", "exclude": ["private"] },
+ *       { "field": "originalSize", "min": 1048576 },
+ *       { "field": "albumPrivacy", "values": ["Public", "Unlisted"] }
+ *     ]
+ *   }
+ *
+ * Date bounds are inclusive; a date-only "to" covers that whole day. An asset
+ * without the date a rule asks for does not match it. Keywords and formats
+ * compare case-insensitively.
+ */
+class AssetFilter {
+  /**
+   * @param {object} filter - Normalised filter (see normalize())
+   */
+  constructor(filter) {
+    this.filter = filter;
+  }
+
+  /**
+   * Rule fields
+   */
+  static FIELDS = ['dateTaken', 'dateUploaded', 'keywords', 'format', 'originalSize', 'albumPrivacy'];
+
+  /**
+   * Named format groups usable in a format rule
+   */
+  static FORMAT_GROUPS = {
+    raw: ['ARW', 'CR2', 'CR3', 'CRW', 'DNG', 'ERF', 'MOS', 'MRW', 'NEF', 'NRW', 'ORF', 'PEF', 'RAF', 'RAW', 'RW2', 'SRW', 'X3F'],
+    jpeg: ['JPG', 'JPEG'],
+    video: ['MP4', 'MOV', 'AVI', 'WMV', 'M4V', 'MTS', '3GP'],
+  };
+
+  /**
+   * Validate and normalise a filter from a migration request
+   * @param {object|null|undefined} filter - Requested filter
+   * @returns {{filter?: object|null, error?: string}} Normalised filter (null for none) or error
+   */
+  static normalize(filter) {
+    if (filter === undefined || filter === null) {
+      return { filter: null };
+    }
+
+    try {
+      const normalized = AssetFilter.normalizeGroup(filter, 'Filter');
+      return { filter: normalized.rules.length > 0 ? normalized : null };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Normalise a rule group
+   * @param {object} group - Rule group
+   * @param {string} label - Position in the filter, for error messages
+   * @returns {{match: string, rules: Array<object>}}
+   */
+  static normalizeGroup(group, label) {
+    if (typeof group !== 'object' || Array.isArray(group)) {
+      throw new Error(`${label} must be an object with "match" and "rules"`);
+    }
+
+    const match = group.match || 'all';
+    if (!['all', 'any'].includes(match)) {
+      throw new Error(`${label} match must be "all" or "any", got "${match}"`);
+    }
+    if (!Array.isArray(group.rules)) {
+      throw new Error(`${label} rules must be a list`);
+    }
+
+    const rules = group.rules
+      .map((rule, index) => (rule && rule.rules !== undefined
+        ? AssetFilter.normalizeGroup(rule, `${label} rule ${index + 1}`)
+        : AssetFilter.normalizeRule(rule, `${label} rule ${index + 1}`)))
+      .filter(rule => rule && (!rule.rules || rule.rules.length > 0));
+
+    return { match, rules };
+  }
+
+  /**
+   * Normalise one rule; returns null for a rule with no conditions set
+   * @param {object} rule - Rule
+   * @param {string} label - Position in the filter, for error messages
+   * @returns {object|null}
+   */
+  static normalizeRule(rule, label) {
+    if (!rule || !AssetFilter.FIELDS.includes(rule.field)) {
+      throw new Error(`${label} field must be one of ${AssetFilter.FIELDS.join(', ')}`);
+    }
+
+    const list = (values, name) => {
+      if (values === undefined || values === null) return [];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        throw new Error(`${label} ${name} must be a list of strings`);
+      }
+      return values.map(value => value.trim()).filter(Boolean);
+    };
+
+    switch (rule.field) {
+      case 'dateTaken':
+      case 'dateUploaded': {
+        const from = AssetFilter.parseDate(rule.from, false, label);
+        const to = AssetFilter.parseDate(rule.to, true, label);
+        if (from === null && to === null) return null;
+        if (from !== null && to !== null && from > to) {
+          throw new Error(`${label} "from" is after "to"`);
+        }
+        return { field: rule.field, from, to };
+      }
+
+      case 'keywords': {
+        const include = list(rule.include, 'include').map(k => k.toLowerCase());
+        const exclude = list(rule.exclude, 'exclude').map(k => k.toLowerCase());
+        if (include.length === 0 && exclude.length === 0) return null;
+        return { field: rule.field, include, exclude };
+      }
+
+      case 'format': {
+        const formats = list(rule.formats, 'formats').flatMap(format =>
+          AssetFilter.FORMAT_GROUPS[format.toLowerCase()] || [format.toUpperCase().replace(/^\./, '')]
+        );
+        if (formats.length === 0) return null;
+        return { field: rule.field, formats: [...new Set(formats)] };
+      }
+
+      case 'originalSize': {
+        const bound = (value, name) => {
+          if (value === undefined || value === null || value === '') return null;
+          const number = Number(value);
+          if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`${label} ${name} must be a non-negative number of bytes`);
+          }
+          return number;
+        };
+        const min = bound(rule.min, 'min');
+        const max = bound(rule.max, 'max');
+        if (min === null && max === null) return null;
+        return { field: rule.field, min, max };
+      }
+
+      case 'albumPrivacy': {
+        const values = list(rule.values, 'values').map(value => value.toLowerCase());
+        if (values.length === 0) return null;
+        return { field: rule.field, values };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a date bound to a timestamp
+   * @param {string|undefined} value - ISO date or date-time
+   * @param {boolean} endOfDay - Move a date-only value to the end of that day
+   * @param {string} label - Position in the filter, for error messages
+   * @returns {number|null}
+   */
+  static parseDate(value, endOfDay, label) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const timestamp = Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`${label} has an invalid date: "${value}"`);
+    }
+
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? timestamp + 24 * 60 * 60 * 1000 - 1
+      : timestamp;
+  }
+
+  /**
+   * Get an asset's keywords as lower-case strings
+   * SmugMug returns them as a list or as one "a; b; c" string.
+   * @param {Asset} asset - Asset
+   * @returns {Array<string>}
+   */
+  static getKeywords(asset) {
+    const keywords = Array.isArray(asset.keywords)
+      ? asset.keywords
+      : String(asset.keywords || '').split(/[;,]/);
+    return keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Get an asset's file format, falling back to the file extension
+   * @param {Asset} asset - Asset
+   * @returns {string}
+   */
+  static getFormat(asset) {
+    return (asset.format || path.extname(asset.filename || '').slice(1)).toUpperCase();
+  }
+
+  /**
+   * Check one rule
+   * @param {object} rule - Normalised rule
+   * @param {Asset} asset - Asset
+   * @param {Album|null} album - Album the asset was enumerated from
+   * @returns {boolean}
+   */
+  static matchesRule(rule, asset, album) {
+    switch (rule.field) {
+      case 'dateTaken':
+      case 'dateUploaded': {
+        const timestamp = Date.parse(asset[rule.field]);
+        if (Number.isNaN(timestamp)) return false;
+        return (rule.from === null || timestamp >= rule.from) && (rule.to === null || timestamp <= rule.to);
+      }
+
+      case 'keywords': {
+        const keywords = AssetFilter.getKeywords(asset);
+        if (rule.include.length > 0 && !rule.include.some(keyword => keywords.includes(keyword))) {
+          return false;
+        }
+        return !rule.exclude.some(keyword => keywords.includes(keyword));
+      }
+
+      case 'format':
+        return rule.formats.includes(AssetFilter.getFormat(asset));
+
+      case 'originalSize': {
+        const size = Number(asset.originalSize || asset.archivedSize) || 0;
+        return (rule.min === null || size >= rule.min) && (rule.max === null || size <= rule.max);
+      }
+
+      case 'albumPrivacy':
+        return rule.values.includes(String(album?.privacy || '').toLowerCase());
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check a rule group
+   * @param {object} group - Normalised group
+   * @param {Asset} asset - Asset
+   * @param {Album|null} album - Album the asset was enumerated from
+   * @returns {boolean}
+   */
+  static matchesGroup(group, asset, album) {
+    const test = rule => (rule.rules
+      ? AssetFilter.matchesGroup(rule, asset, album)
+      : AssetFilter.matchesRule(rule, asset, album));
+
+    return group.match === 'any' ? group.rules.some(test) : group.rules.every(test);
+  }
+
+  /**
+   * Check whether an asset passes the filter
+   * @param {Asset} asset - Asset
+   * @param {Album|null} album - Album the asset was enumerated from
+   * @returns {boolean}
+   */
+  matches(asset, album = null) {
+    return AssetFilter.matchesGroup(this.filter, asset, album);
+  }
+}
+
+export default AssetFilter;
@@ -1,3 +1,4 @@
+import pLimit from 'p-limit';
 import Asset from '../models/Asset.js';
 
 /**
@@ -10,14 +11,17 @@ class AssetInventoryService {
     this.smugmugService = smugmugService;
     this.accountStructure = accountStructure;
     this.assets = [];
+    this.skippedVideos = []; // Videos left out by excludeVideos
+    this.filteredOut = 0; // Assets left out by the asset filter
     this.progressCallback = null;
 
+    // Comments are fetched per image, so they are opt-in
+    this.includeComments = false;
+    this.commentConcurrency = 4; // Requests are still paced by the SmugMug scheduler
+
     // Pagination settings
     this.imagesPerPage = 100; // SmugMug API default/max
-
-    // Rate limiting
-    this.requestDelay = 100; // ms between requests
-    this.lastRequestTime = 0;
+    this.commentsPerPage = 100;
 
     // Statistics
     this.stats = {
@@ -30,9 +34,22 @@ class AssetInventoryService {
       startTime: null,
       endTime: null,
       errors: [],
+      comments: {
+        total: 0,
+        assetsWithComments: 0,
+        failed: 0,
+      },
     };
   }
 
+  /**
+   * Fetch each image's comments while building the inventory
+   * @param {boolean} enabled - Whether to fetch comments
+   */
+  setIncludeComments(enabled) {
+    this.includeComments = enabled;
+  }
+
   /**
    * Set progress callback for real-time updates
    * @param {Function} callback - Called with (phase, current, total, message, details)
@@ -50,35 +67,26 @@ class AssetInventoryService {
     }
   }
 
-  /**
-   * Rate limit requests
-   */
-  async respectRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-
-    if (timeSinceLastRequest < this.requestDelay) {
-      await new Promise(resolve =>
-        setTimeout(resolve, this.requestDelay - timeSinceLastRequest)
-      );
-    }
-
-    this.lastRequestTime = Date.now();
-  }
-
   /**
    * Build complete asset inventory from account structure
    * @param {number} testLimit - Limit assets for testing (0 = no limit)
    * @param {boolean} excludeVideos - Whether to exclude video assets
+   * @param {AlbumSelection|null} selection - Albums and folders to enumerate (null = all)
+   * @param {AssetFilter|null} filter - Assets to keep (null = all)
    * @returns {Promise<Array<Asset>>}
    */
-  async buildInventory(testLimit = 0, excludeVideos = false) {
+  async buildInventory(testLimit = 0, excludeVideos = false, selection = null, filter = null) {
     try {
       this.stats.startTime = new Date().toISOString();
       this.assets = [];
+      this.skippedVideos = [];
+      this.filteredOut = 0;
       this.excludeVideos = excludeVideos;
+      this.filter = filter;
 
-      const albums = this.accountStructure.getAlbumsWithMedia();
+      const albums = selection
+        ? this.getSelectedAlbums(selection)
+        : this.accountStructure.getAlbumsWithMedia();
       this.stats.totalAlbums = albums.length;
 
       console.log(`\n✓ Starting asset enumeration`);
@@ -89,6 +97,15 @@ class AssetInventoryService {
       if (excludeVideos) {
         console.log(`  IMAGES ONLY: Excluding video files`);
       }
+      if (selection) {
+        console.log(`  SELECTION: ${selection}`);
+      }
+      if (filter) {
+        console.log(`  FILTERED: Only assets matching the asset filter`);
+      }
+      if (this.includeComments) {
+        console.log(`  COMMENTS: Fetching comments for each asset`);
+      }
       console.log('');
 
       this.reportProgress('enumerate', 0, albums.length, 'Starting asset enumeration');
@@ -139,8 +156,10 @@ class AssetInventoryService {
             error: error.message,
           });
         }
+      }
 
-        await this.respectRateLimit();
+      if (this.includeComments) {
+        await this.fetchComments();
       }
 
       this.stats.endTime = new Date().toISOString();
@@ -148,6 +167,7 @@ class AssetInventoryService {
       this.stats.totalImages = this.assets.filter(a => a.isImage).length;
       this.stats.totalVideos = this.assets.filter(a => a.isVideo).length;
       this.stats.videosSkipped = videosSkipped;
+      this.stats.assetsFiltered = this.filteredOut;
       this.stats.totalSize = this.assets.reduce((sum, a) => sum + (a.originalSize || 0), 0);
 
       console.log(`\n✓ Asset enumeration complete`);
@@ -157,7 +177,13 @@ class AssetInventoryService {
       if (videosSkipped > 0) {
         console.log(`  Videos skipped: ${videosSkipped}`);
       }
+      if (this.filteredOut > 0) {
+        console.log(`  Filtered out: ${this.filteredOut}`);
+      }
       console.log(`  Total size: ${this.getFormattedSize(this.stats.totalSize)}`);
+      if (this.includeComments) {
+        console.log(`  Comments: ${this.stats.comments.total} on ${this.stats.comments.assetsWithComments} assets`);
+      }
       console.log(`  Errors: ${this.stats.errors.length}`);
 
       this.reportProgress('complete', 1, 1, 'Asset enumeration complete', {
@@ -172,6 +198,24 @@ class AssetInventoryService {
     }
   }
 
+  /**
+   * Resolve a selection to the albums with media it covers
+   * @param {AlbumSelection} selection - Albums and folders to enumerate
+   * @returns {Array<Album>}
+   */
+  getSelectedAlbums(selection) {
+    const { albums, unmatched } = selection.apply(this.accountStructure);
+
+    if (unmatched.length > 0) {
+      console.warn(`  ⚠️  Selected albums/folders not found: ${unmatched.join(', ')}`);
+    }
+    if (albums.length === 0) {
+      throw new Error(`Selection (${selection}) matched no albums`);
+    }
+
+    return albums.filter(album => album.hasMedia());
+  }
+
   /**
    * Enumerate all assets in a single album (with pagination)
    * @param {Album} album - Album to enumerate
@@ -187,8 +231,6 @@ class AssetInventoryService {
     let totalFetched = 0;
 
     while (hasMore) {
-      await this.respectRateLimit();
-
       try {
         // Determine count for this page
         const remainingToFetch = fetchLimit > 0 ? fetchLimit - totalFetched : this.imagesPerPage;
@@ -213,15 +255,22 @@ class AssetInventoryService {
         console.log(`    Page ${Math.ceil(start / this.imagesPerPage)}: ${images.length} assets`);
 
         // Process each image
-        for (const imageData of images) {
+        for (const [index, imageData] of images.entries()) {
           const asset = new Asset(imageData, album);
+          asset.albumPosition = start + index;
 
           // Skip videos if excludeVideos is enabled
           if (this.excludeVideos && asset.isVideo) {
+            this.skippedVideos.push(asset);
             videosSkipped++;
             continue;
           }
 
+          if (this.filter && !this.filter.matches(asset, album)) {
+            this.filteredOut++;
+            continue;
+          }
+
           this.assets.push(asset);
           addedCount++;
 
@@ -259,6 +308,79 @@ class AssetInventoryService {
     return { added: addedCount, videosSkipped };
   }
 
+  /**
+   * Fetch comments for every inventoried asset
+   * A failure leaves that asset's comments unset and is recorded in the stats;
+   * it doesn't stop the inventory.
+   */
+  async fetchComments() {
+    const limiter = pLimit(this.commentConcurrency);
+    let processed = 0;
+
+    console.log(`\nFetching comments for ${this.assets.length} assets...`);
+
+    await Promise.all(this.assets.map(asset => limiter(async () => {
+      try {
+        asset.comments = await this.fetchAssetComments(asset);
+        this.stats.comments.total += asset.comments.length;
+        if (asset.comments.length > 0) {
+          this.stats.comments.assetsWithComments++;
+        }
+      } catch (error) {
+        console.error(`  ❌ Error fetching comments for "${asset.filename}":`, error.message);
+        this.stats.comments.failed++;
+        this.stats.errors.push({
+          album: asset.albumName,
+          asset: asset.filename,
+          error: error.message,
+        });
+      }
+
+      processed++;
+      this.reportProgress(
+        'comments',
+        processed,
+        this.assets.length,
+        `Fetching comments: ${processed}/${this.assets.length}`
+      );
+    })));
+  }
+
+  /**
+   * Fetch all comments on one asset (with pagination)
+   * @param {Asset} asset - Asset
+   * @returns {Promise<Array<{author: string|null, date: string|null, text: string}>>} Oldest first
+   */
+  async fetchAssetComments(asset) {
+    const commentsUri = asset.commentsUri || `${asset.uri}!comments`;
+    const comments = [];
+    let start = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const result = await this.smugmugService.getImageComments(commentsUri, start, this.commentsPerPage);
+      comments.push(...result.comments.map(AssetInventoryService.normalizeComment));
+
+      hasMore = result.pages?.NextPage !== undefined;
+      start += this.commentsPerPage;
+    }
+
+    return comments.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+
+  /**
+   * Reduce a SmugMug comment to its author, date and text
+   * @param {object} data - Comment from the API
+   * @returns {{author: string|null, date: string|null, text: string}}
+   */
+  static normalizeComment(data) {
+    return {
+      author: data.Name || data.User?.Name || data.NickName || null,
+      date: data.Date || data.DateAdded || null,
+      text: data.Text || '',
+    };
+  }
+
   /**
    * Get all assets
    */
@@ -280,6 +402,41 @@ class AssetInventoryService {
     return this.assets.filter(a => a.isVideo);
   }
 
+  /**
+   * Get videos skipped because excludeVideos was set
+   */
+  getSkippedVideos() {
+    return this.skippedVideos;
+  }
+
+  /**
+   * Count how many enumerated assets a selection and filter would keep
+   * Used on an unfiltered inventory to preview filters before a run.
+   * @param {AlbumSelection|null} selection - Albums and folders to keep (null = all)
+   * @param {boolean} excludeVideos - Whether videos would be excluded
+   * @param {AssetFilter|null} filter - Assets to keep (null = all)
+   * @returns {{total: number, matching: number, images: number, videos: number, totalSize: number}}
+   */
+  previewFilter(selection = null, excludeVideos = false, filter = null) {
+    const albumKeys = selection
+      ? new Set(selection.apply(this.accountStructure).albums.map(album => album.albumKey))
+      : null;
+
+    const matching = this.assets.filter(asset =>
+      (!albumKeys || albumKeys.has(asset.albumKey)) &&
+      !(excludeVideos && asset.isVideo) &&
+      (!filter || filter.matches(asset, this.accountStructure.getAlbumByKey(asset.albumKey)))
+    );
+
+    return {
+      total: this.assets.length,
+      matching: matching.length,
+      images: matching.filter(a => a.isImage).length,
+      videos: matching.filter(a => a.isVideo).length,
+      totalSize: matching.reduce((sum, a) => sum + (a.originalSize || 0), 0),
+    };
+  }
+
   /**
    * Get assets for a specific album
    */
@@ -1,4 +1,11 @@
 import path from 'path';
+import crypto from 'crypto';
+import CheckpointJournal from './CheckpointJournal.js';
+import DestinationPathTemplate from './DestinationPathTemplate.js';
+import VideoMetadataService from './VideoMetadataService.js';
+import DedupIndex from './DedupIndex.js';
+import JpegMetadataWriter from './JpegMetadataWriter.js';
+import { getErrorLogFields } from './MigrationErrors.js';
 
 /**
  * Asset Upload Service
@@ -23,125 +30,316 @@ class AssetUploadService {
     // Configuration
     this.cleanupAfterUpload = true;
     this.uploadMetadataFiles = true;
+    this.sidecarFormat = 'json';
+    this.embedMetadata = false;
+    this.keepOriginals = false;
+    this.jpegMetadataWriter = new JpegMetadataWriter(metadataService);
+    this.pathTemplate = new DestinationPathTemplate(DestinationPathTemplate.STRUCTURED);
+    this.videoMetadataService = new VideoMetadataService();
+
+    // Optional checkpoint journal for resumable migrations, and the journal of the
+    // session being retried (when retrying failed assets)
+    this.checkpointJournal = null;
+    this.parentJournal = null;
+
+    // Optional content-hash index; duplicates of a stored file are not stored again
+    this.dedupIndex = null;
+
+    // Optional manifest of the previous sync run; modified assets replace their stored copy
+    this.syncManifest = null;
   }
 
   /**
-   * Process a single asset: download, extract metadata, generate JSON, upload to B2
+   * Prefix under which unmodified originals are kept when metadata is embedded
+   */
+  static ORIGINALS_PREFIX = '_originals/';
+
+  /**
+   * Process a single asset: stream the download to storage, then generate and upload its sidecars
    * @param {object} asset - Asset object from inventory
    * @param {object} albumInfo - Album information
    * @returns {Promise<object>} Processing result
    */
   async processAsset(asset, albumInfo = {}) {
     const assetFileName = asset.filename;
+    let dedupEntry = null;
+    let stored = null;
+    let recordedKey = null;
 
     try {
-      // Step 1: Download asset from SmugMug
+      // An asset stored by an earlier run whose sidecars did not upload only needs those
+      const pendingSidecars = this.getPendingSidecarState(asset);
+      if (pendingSidecars) {
+        return await this.resendSidecars(asset, pendingSidecars);
+      }
+
+      // A key recorded for this asset by an earlier run is replaced rather than suffixed,
+      // and stays in the journal until the asset is stored again
+      recordedKey = this.getRecordedKey(asset);
+      const destinationKey = recordedKey || this.getDestinationKey(asset);
+      const overwrite = recordedKey !== null;
+      const keyRecord = overwrite ? { destinationKey } : {};
+      const contentType = this.getContentType(assetFileName);
+
+      // Step 0: With dedup on, an asset whose ArchivedMD5 is already stored is not transferred again
+      if (this.dedupIndex && asset.archivedMD5) {
+        const claim = await this.claimContentHash(asset, DedupIndex.normalizeHash(asset.archivedMD5), 'archivedMD5');
+        if (claim.duplicate) {
+          return claim.duplicate;
+        }
+        dedupEntry = claim.entry;
+      }
+
+      // Step 1: Download asset from SmugMug, streaming straight into the destination
+      // when the storage service supports it (local), otherwise into a staged temp file (B2).
+      // Without an ArchivedMD5 the hash is only known after downloading, so dedup stages first;
+      // a JPEG getting embedded metadata is staged so it can be rewritten.
       this.progressTracker.setCurrentOperation(`Downloading ${assetFileName}`);
-      const downloadResult = await this.downloadService.downloadAsset(asset);
+      const embeds = this.embedMetadata && JpegMetadataWriter.isJpeg(asset);
+      const streamsDirect = typeof this.storageService.createUploadSink === 'function' &&
+        !(this.dedupIndex && !dedupEntry) && !embeds;
+      const downloadResult = await this.downloadService.downloadAsset(
+        asset,
+        streamsDirect
+          ? () => this.storageService.createUploadSink(destinationKey, contentType, { overwrite })
+          : null
+      );
 
       if (!downloadResult.success) {
         this.errorLogger.logDownloadError(
           assetFileName,
           asset.assetId,
           downloadResult.error,
-          false
+          downloadResult.retryable ?? false,
+          downloadResult.errorCode,
+          CheckpointJournal.getAssetKey(asset)
         );
+        await this.recordCheckpoint(asset, CheckpointJournal.STATUS.FAILED, {
+          phase: 'download',
+          error: downloadResult.error,
+          errorCode: downloadResult.errorCode || null,
+          ...keyRecord,
+        });
         return {
           success: false,
           phase: 'download',
           filename: assetFileName,
           error: downloadResult.error,
+          errorCode: downloadResult.errorCode || null,
         };
       }
 
-      // Step 2: Extract metadata and generate JSON sidecar
-      this.progressTracker.setCurrentOperation(`Extracting metadata for ${assetFileName}`);
-      let metadata = null;
-      let jsonFileName = null;
-      let jsonFilePath = null;
+      await this.recordCheckpoint(asset, CheckpointJournal.STATUS.DOWNLOADED, {
+        checksums: downloadResult.checksums,
+        ...keyRecord,
+      });
 
-      try {
-        metadata = this.metadataService.extractMetadata(asset, albumInfo);
-        const jsonContent = this.metadataService.generateJsonSidecar(metadata);
+      // Step 2: Upload the staged file to storage (already stored when streamed direct)
+      const stagingName = downloadResult.stagingName;
 
-        jsonFileName = this.metadataService.getJsonSidecarFilename(assetFileName);
-        jsonFilePath = await this.fsManager.writeFile(jsonFileName, Buffer.from(jsonContent, 'utf8'));
-      } catch (metadataError) {
-        this.errorLogger.logMetadataError(
-          assetFileName,
-          asset.assetId,
-          metadataError.message
-        );
-        // Continue with upload even if metadata extraction fails
+      if (this.dedupIndex && !dedupEntry && downloadResult.checksums?.md5) {
+        const claim = await this.claimContentHash(asset, DedupIndex.normalizeHash(downloadResult.checksums.md5), 'computed');
+        if (claim.duplicate) {
+          await this.fsManager.deleteFile(stagingName);
+          return claim.duplicate;
+        }
+        dedupEntry = claim.entry;
       }
 
-      // Step 3: Upload asset to storage
-      this.progressTracker.setCurrentOperation(`Uploading ${assetFileName}`);
-      const assetData = await this.fsManager.readFile(assetFileName);
-      const contentType = this.getContentType(assetFileName);
+      // Write the SmugMug metadata into the JPEG; if that fails the original is stored
+      let embedded = null;
+      if (embeds) {
+        this.progressTracker.setCurrentOperation(`Embedding metadata in ${assetFileName}`);
+        embedded = await this.embedJpegMetadata(asset, albumInfo, dedupEntry, stagingName);
+      }
+      const uploadName = embedded?.stagingName || stagingName;
+      const uploadChecksums = embedded?.checksums || downloadResult.checksums;
+      let uploadResult = downloadResult.sinkResult;
 
-      const uploadResult = await this.storageService.uploadFileWithRetry(
-        assetData,
-        assetFileName,
-        contentType
-      );
+      if (!streamsDirect) {
+        this.progressTracker.setCurrentOperation(`Uploading ${destinationKey}`);
+        uploadResult = await this.storageService.uploadStreamWithRetry(
+          range => this.fsManager.createReadStream(uploadName, range),
+          destinationKey,
+          contentType,
+          { size: uploadChecksums.size, sha1: uploadChecksums.sha1 },
+          { overwrite }
+        );
+      }
 
       if (!uploadResult.success) {
+        if (this.cleanupAfterUpload && !streamsDirect) {
+          await this.fsManager.deleteFile(stagingName);
+          if (embedded?.stagingName) {
+            await this.fsManager.deleteFile(embedded.stagingName);
+          }
+        }
         this.errorLogger.logUploadError(
           assetFileName,
           uploadResult.error,
-          true
+          uploadResult.retryable ?? true,
+          uploadResult.errorCode,
+          CheckpointJournal.getAssetKey(asset)
         );
+        await this.recordCheckpoint(asset, CheckpointJournal.STATUS.FAILED, {
+          phase: 'upload',
+          error: uploadResult.error,
+          errorCode: uploadResult.errorCode || null,
+          ...keyRecord,
+        });
         return {
           success: false,
           phase: 'upload',
           filename: assetFileName,
           error: uploadResult.error,
+          errorCode: uploadResult.errorCode || null,
         };
       }
 
+      // The storage service may have renamed the file to avoid a clash
+      const storedKey = uploadResult.fileName || destinationKey;
+      const checksums = this.buildChecksums(
+        embedded?.checksums ? { ...downloadResult.checksums, ...embedded.checksums } : downloadResult.checksums,
+        uploadResult
+      );
+      let originalKey = null;
+      if (embedded?.checksums) {
+        const { size, md5, sha1 } = downloadResult.checksums;
+        checksums.original = { size, md5, sha1 };
+        if (this.keepOriginals) {
+          originalKey = await this.uploadOriginal(asset, stagingName, storedKey, contentType, downloadResult.checksums, overwrite);
+        }
+      }
+
       this.progressTracker.incrementUploaded();
+      await this.recordCheckpoint(asset, CheckpointJournal.STATUS.UPLOADED, {
+        destinationKey: storedKey,
+        checksums,
+      });
 
-      // Step 4: Upload JSON sidecar if enabled and exists
-      if (this.uploadMetadataFiles && jsonFileName && jsonFilePath) {
-        this.progressTracker.setCurrentOperation(`Uploading metadata for ${assetFileName}`);
-        const jsonData = await this.fsManager.readFile(jsonFileName);
+      // Duplicates waiting on this file can be recorded now
+      stored = { destinationKey: storedKey, size: downloadResult.size, checksums };
+      if (dedupEntry) {
+        this.dedupIndex.settle(dedupEntry, stored);
+      }
+
+      // Step 3: Extract metadata and generate the sidecars (JSON, XMP or both)
+      this.progressTracker.setCurrentOperation(`Extracting metadata for ${assetFileName}`);
+      let metadata = null;
+      const sidecars = [];
+
+      try {
+        metadata = this.metadataService.extractMetadata(asset, albumInfo);
+        metadata.checksums = checksums;
+        if (dedupEntry) {
+          metadata.contentHash = dedupEntry.hash;
+          metadata.albums = this.getDedupMembers(asset, dedupEntry);
+        }
+        if (asset.isVideo) {
+          metadata.video = await this.getVideoMetadata(asset, downloadResult.filePath);
+        }
+        if (embedded) {
+          metadata.embeddedMetadata = embedded.error
+            ? { embedded: false, error: embedded.error }
+            : { embedded: true, segments: embedded.segments, originalKey };
+        }
 
-        const jsonUploadResult = await this.storageService.uploadFileWithRetry(
-          jsonData,
-          jsonFileName,
-          'application/json'
+        for (const type of this.metadataService.getSidecarTypes(this.sidecarFormat)) {
+          const content = this.metadataService.generateSidecar(type, metadata);
+          const fileName = this.metadataService.getSidecarFilename(type, stagingName);
+          await this.fsManager.writeFile(fileName, Buffer.from(content, 'utf8'));
+          sidecars.push({ type, fileName });
+        }
+      } catch (metadataError) {
+        this.errorLogger.logMetadataError(
+          assetFileName,
+          asset.assetId,
+          metadataError.message
         );
+        // The asset itself is already stored; carry on without a sidecar
+      }
 
-        if (!jsonUploadResult.success) {
-          this.errorLogger.logUploadError(
-            jsonFileName,
-            jsonUploadResult.error,
-            true
-          );
+      // Step 4: Upload the sidecars next to the asset if enabled and generated
+      let sidecarError = null;
+      if (this.uploadMetadataFiles && sidecars.length > 0) {
+        this.progressTracker.setCurrentOperation(`Uploading metadata for ${assetFileName}`);
+        for (const sidecar of sidecars) {
+          sidecar.data = await this.fsManager.readFile(sidecar.fileName);
+        }
+        sidecarError = await this.uploadSidecars(sidecars, storedKey, overwrite);
+
+        if (!sidecarError) {
+          await this.recordCheckpoint(asset, CheckpointJournal.STATUS.SIDECAR, {
+            destinationKey: storedKey,
+            checksums,
+          });
+          if (dedupEntry) {
+            this.dedupIndex.recordSidecar(dedupEntry, metadata);
+          }
         }
       }
 
       // Step 5: Cleanup local files if enabled
       if (this.cleanupAfterUpload) {
-        await this.fsManager.deleteFile(assetFileName);
-        if (jsonFileName) {
-          await this.fsManager.deleteFile(jsonFileName);
+        if (!streamsDirect) {
+          await this.fsManager.deleteFile(stagingName);
+        }
+        if (embedded?.stagingName) {
+          await this.fsManager.deleteFile(embedded.stagingName);
         }
+        for (const sidecar of sidecars) {
+          await this.fsManager.deleteFile(sidecar.fileName);
+        }
+      }
+
+      // The asset is stored but incomplete without its sidecars; keep it pending so a
+      // resume or retry re-sends them from the recorded metadata
+      if (sidecarError) {
+        await this.recordCheckpoint(asset, CheckpointJournal.STATUS.SIDECAR_PENDING, {
+          destinationKey: storedKey,
+          checksums,
+          metadata,
+          error: sidecarError,
+        });
+        return {
+          success: false,
+          phase: 'sidecar',
+          filename: assetFileName,
+          destinationKey: storedKey,
+          error: sidecarError,
+        };
       }
 
+      await this.recordCheckpoint(asset, CheckpointJournal.STATUS.COMPLETE, {
+        destinationKey: storedKey,
+        checksums,
+      });
+
       return {
         success: true,
         filename: assetFileName,
+        destinationKey: storedKey,
         size: downloadResult.size,
+        checksums,
         metadataExtracted: metadata !== null,
       };
     } catch (error) {
+      const logFields = getErrorLogFields(error);
       this.errorLogger.logError({
         phase: 'processing',
         filename: assetFileName,
         assetId: asset.assetId,
+        assetKey: CheckpointJournal.getAssetKey(asset),
         message: error.message,
+        ...logFields,
+      });
+      // Keep the key of a stored asset so the next attempt replaces it
+      const destinationKey = stored?.destinationKey || recordedKey;
+      await this.recordCheckpoint(asset, CheckpointJournal.STATUS.FAILED, {
+        phase: 'processing',
+        error: error.message,
+        errorCode: logFields.errorCode,
+        ...(destinationKey ? { destinationKey } : {}),
       });
 
       return {
@@ -149,10 +347,283 @@ class AssetUploadService {
         phase: 'processing',
         filename: assetFileName,
         error: error.message,
+        errorCode: logFields.errorCode,
       };
+    } finally {
+      // A primary that was not stored hands the hash to the next duplicate
+      if (dedupEntry && !stored) {
+        this.dedupIndex.settle(dedupEntry, null);
+      }
     }
   }
 
+  /**
+   * Upload an asset's sidecars next to it
+   * Failures are logged; the first one is returned.
+   * @param {Array<{type: string, data: Buffer}>} sidecars - Sidecar contents by type
+   * @param {string} storedKey - Key the asset is stored under
+   * @param {boolean} overwrite - Replace sidecars already at the destination
+   * @returns {Promise<string|null>} Error message, or null when every sidecar uploaded
+   */
+  async uploadSidecars(sidecars, storedKey, overwrite = false) {
+    let firstError = null;
+
+    for (const sidecar of sidecars) {
+      const sidecarKey = this.metadataService.getSidecarFilename(sidecar.type, storedKey);
+      const result = await this.storageService.uploadFileWithRetry(
+        sidecar.data,
+        sidecarKey,
+        this.metadataService.getSidecarContentType(sidecar.type),
+        null,
+        { overwrite }
+      );
+
+      if (!result.success) {
+        firstError = firstError || `Sidecar upload failed for ${sidecarKey}: ${result.error}`;
+        this.errorLogger.logUploadError(sidecarKey, result.error, result.retryable ?? true, result.errorCode);
+      }
+    }
+
+    return firstError;
+  }
+
+  /**
+   * Find an earlier run's record of an asset that was stored without its sidecars
+   * @param {object} asset - Asset object
+   * @returns {object|null} SIDECAR_PENDING record with the sidecar metadata
+   */
+  getPendingSidecarState(asset) {
+    for (const journal of [this.checkpointJournal, this.parentJournal]) {
+      const state = journal?.getAssetState(asset);
+      if (state) {
+        return state.status === CheckpointJournal.STATUS.SIDECAR_PENDING && state.metadata ? state : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Upload the sidecars of an asset stored by an earlier run
+   * The asset itself is not transferred again. Sidecars are overwritten, since some
+   * of them may have uploaded the first time.
+   * @param {object} asset - Asset object
+   * @param {object} state - SIDECAR_PENDING record
+   * @returns {Promise<object>} Processing result
+   */
+  async resendSidecars(asset, state) {
+    const { destinationKey, checksums, metadata } = state;
+    this.progressTracker.setCurrentOperation(`Uploading metadata for ${asset.filename}`);
+
+    const sidecars = this.metadataService.getSidecarTypes(this.sidecarFormat).map(type => ({
+      type,
+      data: Buffer.from(this.metadataService.generateSidecar(type, metadata), 'utf8'),
+    }));
+    const error = await this.uploadSidecars(sidecars, destinationKey, true);
+
+    if (error) {
+      await this.recordCheckpoint(asset, CheckpointJournal.STATUS.SIDECAR_PENDING, {
+        destinationKey,
+        checksums,
+        metadata,
+        error,
+      });
+      return { success: false, phase: 'sidecar', filename: asset.filename, destinationKey, error };
+    }
+
+    this.progressTracker.incrementDownloaded();
+    this.progressTracker.incrementUploaded();
+    await this.recordCheckpoint(asset, CheckpointJournal.STATUS.COMPLETE, { destinationKey, checksums });
+
+    return {
+      success: true,
+      filename: asset.filename,
+      destinationKey,
+      size: checksums?.size ?? 0,
+      checksums,
+      metadataExtracted: true,
+    };
+  }
+
+  /**
+   * Claim a content hash, or wait for the asset that claimed it first
+   * @param {object} asset - Asset object
+   * @param {string} hash - Content hash
+   * @param {string} source - 'archivedMD5' or 'computed'
+   * @returns {Promise<{entry?: object, duplicate?: object}>} The claimed entry, or the
+   *   result of recording the asset as a duplicate of a stored file
+   */
+  async claimContentHash(asset, hash, source) {
+    for (;;) {
+      const { isPrimary, entry } = this.dedupIndex.claim(hash, asset, source);
+      if (isPrimary) {
+        return { entry };
+      }
+
+      // Wait for the first claimant; if it failed, try to claim the hash again
+      if (await entry.done) {
+        return { duplicate: await this.recordDuplicate(asset, entry) };
+      }
+    }
+  }
+
+  /**
+   * Record an asset as a duplicate of an already stored file
+   * @param {object} asset - Asset object
+   * @param {object} entry - Dedup index entry of the stored file
+   * @returns {Promise<object>} Processing result
+   */
+  async recordDuplicate(asset, entry) {
+    this.dedupIndex.addDuplicate(entry, asset);
+    this.progressTracker.incrementDownloaded();
+    this.progressTracker.incrementUploaded();
+    this.progressTracker.setCurrentOperation(`Duplicate of ${entry.destinationKey}: ${asset.filename}`);
+
+    await this.recordCheckpoint(asset, CheckpointJournal.STATUS.COMPLETE, {
+      destinationKey: entry.destinationKey,
+      duplicateOf: entry.primary ? CheckpointJournal.getAssetKey(entry.primary) : entry.destinationKey,
+      checksums: entry.checksums,
+    });
+
+    return {
+      success: true,
+      duplicate: true,
+      filename: asset.filename,
+      destinationKey: entry.destinationKey,
+      size: 0,
+      checksums: entry.checksums,
+      metadataExtracted: false,
+    };
+  }
+
+  /**
+   * Write the SmugMug metadata into a staged JPEG
+   * The result is staged as a separate file; the download itself is left untouched.
+   * @param {object} asset - JPEG asset
+   * @param {object} albumInfo - Album information
+   * @param {object|null} dedupEntry - Dedup index entry, when dedup is on
+   * @param {string} stagingName - Staged download
+   * @returns {Promise<{stagingName?: string, segments?: Array<string>, checksums?: object, error?: string}>}
+   *   The staged JPEG with its checksums, or why the metadata could not be embedded
+   */
+  async embedJpegMetadata(asset, albumInfo, dedupEntry, stagingName) {
+    try {
+      const metadata = this.metadataService.extractMetadata(asset, albumInfo);
+      if (dedupEntry) {
+        metadata.albums = this.getDedupMembers(asset, dedupEntry);
+      }
+
+      const original = await this.fsManager.readFile(stagingName);
+      const { buffer, segments } = this.jpegMetadataWriter.write(original, metadata);
+      const embeddedName = `embedded-${stagingName}`;
+      await this.fsManager.writeFile(embeddedName, buffer);
+
+      return {
+        stagingName: embeddedName,
+        segments,
+        checksums: {
+          size: buffer.length,
+          md5: crypto.createHash('md5').update(buffer).digest('hex'),
+          sha1: crypto.createHash('sha1').update(buffer).digest('hex'),
+        },
+      };
+    } catch (error) {
+      this.errorLogger.logMetadataError(asset.filename, asset.assetId, `Metadata not embedded: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Store the unmodified download of a JPEG whose metadata was embedded
+   * @param {object} asset - JPEG asset
+   * @param {string} stagingName - Staged download
+   * @param {string} storedKey - Key the embedded copy was stored under
+   * @param {string} contentType - Content type
+   * @param {object} checksums - Checksums of the download
+   * @param {boolean} overwrite - Replace an original already at the destination
+   * @returns {Promise<string|null>} Key of the original, or null if it could not be stored
+   */
+  async uploadOriginal(asset, stagingName, storedKey, contentType, checksums, overwrite = false) {
+    const originalKey = this.getOriginalKey(storedKey);
+    this.progressTracker.setCurrentOperation(`Uploading original of ${asset.filename}`);
+
+    const result = await this.storageService.uploadStreamWithRetry(
+      range => this.fsManager.createReadStream(stagingName, range),
+      originalKey,
+      contentType,
+      { size: checksums.size, sha1: checksums.sha1 },
+      { overwrite }
+    );
+
+    if (!result.success) {
+      this.errorLogger.logUploadError(originalKey, result.error, result.retryable ?? true, result.errorCode);
+      return null;
+    }
+    return result.fileName || originalKey;
+  }
+
+  /**
+   * Get the key an unmodified original is kept under
+   * Originals live in their own tree so photo libraries importing the migrated
+   * files don't pick up each JPEG twice.
+   * @param {string} storedKey - Key of the file with embedded metadata
+   * @returns {string}
+   */
+  getOriginalKey(storedKey) {
+    return `${AssetUploadService.ORIGINALS_PREFIX}${storedKey}`;
+  }
+
+  /**
+   * Albums a stored file belongs to, for its sidecar
+   * @param {object} asset - Stored asset
+   * @param {object} entry - Its dedup index entry
+   * @returns {Array<object>}
+   */
+  getDedupMembers(asset, entry) {
+    return entry.source === 'archivedMD5'
+      ? this.dedupIndex.getMembers(asset)
+      : [...entry.members];
+  }
+
+  /**
+   * Rewrite sidecars of files that gained albums after their sidecar was uploaded
+   * @returns {Promise<number>} Sidecars rewritten
+   */
+  async refreshDedupSidecars() {
+    let refreshed = 0;
+
+    for (const entry of this.dedupIndex.getStaleSidecars()) {
+      const albums = [...entry.metadata.albums];
+      entry.members
+        .filter(member => !DedupIndex.isListed(albums, member))
+        .forEach(member => albums.push(member));
+      const metadata = { ...entry.metadata, albums };
+      let allUploaded = true;
+
+      for (const type of this.metadataService.getSidecarTypes(this.sidecarFormat)) {
+        const sidecarKey = this.metadataService.getSidecarFilename(type, entry.destinationKey);
+        const result = await this.storageService.uploadFileWithRetry(
+          Buffer.from(this.metadataService.generateSidecar(type, metadata), 'utf8'),
+          sidecarKey,
+          this.metadataService.getSidecarContentType(type),
+          null,
+          { overwrite: true }
+        );
+
+        if (!result.success) {
+          allUploaded = false;
+          this.errorLogger.logUploadError(sidecarKey, result.error, result.retryable ?? true, result.errorCode);
+        }
+      }
+
+      if (allUploaded) {
+        this.dedupIndex.recordSidecar(entry, metadata);
+        refreshed++;
+      }
+    }
+
+    return refreshed;
+  }
+
   /**
    * Process multiple assets
    * @param {Array<object>} assets - Array of asset objects
@@ -188,6 +659,53 @@ class AssetUploadService {
     };
   }
 
+  /**
+   * Build the destination key for an asset from the configured path template
+   * @param {object} asset - Asset object
+   * @returns {string} Destination key using forward slashes
+   */
+  getDestinationKey(asset) {
+    return this.pathTemplate.render(asset);
+  }
+
+  /**
+   * Get the key an earlier run stored an asset under
+   * An interrupted run of this session (or the session being retried) records the key
+   * once the asset is stored; a sync run finds it in the previous run's manifest.
+   * @param {object} asset - Asset object
+   * @returns {string|null} Recorded key, or null for an asset not stored before
+   */
+  getRecordedKey(asset) {
+    for (const journal of [this.checkpointJournal, this.parentJournal]) {
+      const destinationKey = journal?.getAssetState(asset)?.destinationKey;
+      if (destinationKey) {
+        return destinationKey;
+      }
+    }
+    return this.syncManifest?.getDestinationKey(asset) || null;
+  }
+
+  /**
+   * Combine download-side and destination-side checksums for an asset
+   * @param {object|null} source - Checksums from AssetDownloadService.verifyDownload
+   * @param {object} uploadResult - Result from the storage service
+   * @returns {object} Final checksums
+   */
+  buildChecksums(source, uploadResult) {
+    const destinationSha1 = uploadResult.contentSha1 || null;
+
+    return {
+      size: source?.size ?? null,
+      md5: source?.md5 || null,
+      sha1: source?.sha1 || null,
+      smugmugArchivedMD5: source?.expectedMD5 || null,
+      smugmugArchivedSize: source?.expectedSize ?? null,
+      sourceVerified: source?.sourceVerified || false,
+      destinationSha1,
+      destinationVerified: Boolean(destinationSha1 && source?.sha1 && destinationSha1 === source.sha1),
+    };
+  }
+
   /**
    * Get content type from filename
    * @param {string} filename - Filename
@@ -229,6 +747,50 @@ class AssetUploadService {
     this.cleanupAfterUpload = enabled;
   }
 
+  /**
+   * Enable/disable folder/album prefixes on destination keys
+   * @param {boolean} enabled - Whether to preserve SmugMug structure
+   */
+  setPreserveStructure(enabled) {
+    this.setPathTemplate(
+      enabled ? DestinationPathTemplate.STRUCTURED : DestinationPathTemplate.FLAT
+    );
+  }
+
+  /**
+   * Set the template used to build destination keys
+   * @param {string} template - Path template, e.g. "{yyyy}/{mm}/{filename}"
+   */
+  setPathTemplate(template) {
+    this.pathTemplate = new DestinationPathTemplate(template);
+  }
+
+  /**
+   * Build the video section of the sidecar
+   * Duration and codecs are read from the downloaded file; SmugMug's LargestVideo
+   * values fill anything the container does not provide.
+   * @param {object} asset - Video asset
+   * @param {string|null} filePath - Local path of the downloaded file
+   * @returns {Promise<object>} Video metadata
+   */
+  async getVideoMetadata(asset, filePath) {
+    const probed = filePath ? await this.videoMetadataService.probe(filePath) : null;
+    const largest = asset.largestVideo || {};
+
+    return {
+      source: asset.archivedUri ? 'archived' : 'largestVideo',
+      container: probed?.container || null,
+      durationSeconds: probed?.durationSeconds ?? largest.durationSeconds ?? null,
+      videoCodec: probed?.videoCodec || null,
+      videoCodecName: probed?.videoCodecName || null,
+      audioCodec: probed?.audioCodec || null,
+      audioCodecName: probed?.audioCodecName || null,
+      width: probed?.width || largest.width || asset.originalWidth || null,
+      height: probed?.height || largest.height || asset.originalHeight || null,
+      creationTime: probed?.creationTime || null,
+    };
+  }
+
   /**
    * Enable/disable metadata file uploads
    * @param {boolean} enabled - Whether to upload metadata
@@ -237,6 +799,63 @@ class AssetUploadService {
     this.uploadMetadataFiles = enabled;
   }
 
+  /**
+   * Set which sidecars are written next to each asset
+   * @param {string} format - 'json', 'xmp' or 'both'
+   */
+  setSidecarFormat(format) {
+    this.sidecarFormat = format;
+  }
+
+  /**
+   * Enable/disable embedding metadata into JPEGs before they are stored
+   * @param {boolean} enabled - Whether to embed metadata
+   * @param {boolean} keepOriginals - Also store the unmodified JPEG under ORIGINALS_PREFIX
+   */
+  setEmbedMetadata(enabled, keepOriginals = false) {
+    this.embedMetadata = enabled;
+    this.keepOriginals = enabled && keepOriginals;
+  }
+
+  /**
+   * Set checkpoint journal used to record per-asset progress
+   * @param {CheckpointJournal|null} journal - Checkpoint journal
+   * @param {CheckpointJournal|null} parentJournal - Journal of the session being retried
+   */
+  setCheckpointJournal(journal, parentJournal = null) {
+    this.checkpointJournal = journal;
+    this.parentJournal = parentJournal;
+  }
+
+  /**
+   * Set the content-hash index used to store duplicate files once
+   * @param {DedupIndex|null} index - Dedup index
+   */
+  setDedupIndex(index) {
+    this.dedupIndex = index;
+  }
+
+  /**
+   * Set the manifest of the previous sync run
+   * @param {SyncManifest|null} manifest - Loaded sync manifest
+   */
+  setSyncManifest(manifest) {
+    this.syncManifest = manifest;
+  }
+
+  /**
+   * Record asset status in the checkpoint journal (no-op without a journal)
+   * @param {object} asset - Asset object
+   * @param {string} status - Checkpoint status
+   * @param {object} details - Additional details
+   * @returns {Promise<void>}
+   */
+  async recordCheckpoint(asset, status, details = {}) {
+    if (this.checkpointJournal) {
+      await this.checkpointJournal.recordAsset(asset, status, details);
+    }
+  }
+
   /**
    * Get processing statistics
    * @returns {object} Statistics
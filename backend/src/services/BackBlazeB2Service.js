@@ -1,9 +1,23 @@
 import B2 from 'backblaze-b2';
+import crypto from 'crypto';
+import path from 'path';
+import axios from 'axios';
 import pLimit from 'p-limit';
+import { IntegrityError, NotFoundError, classifyHttpError } from './MigrationErrors.js';
 
 /**
  * BackBlaze B2 Storage Service
  * Handles B2 authentication, bucket operations, and file uploads with concurrency control
+ *
+ * Unlike LocalStorageService there is no createUploadSink(), so downloads bound for B2
+ * are staged as temp files and uploaded with uploadStreamWithRetry(). B2 needs each
+ * upload's exact length and SHA1 up front (or parts of a known size for large files),
+ * and a failed attempt has to be re-sent from the start; a SmugMug response stream
+ * offers neither. Memory stays bounded either way, but B2 runs need temp disk space
+ * for the files in flight.
+ *
+ * B2 would store an upload to an existing key as a new version hiding the earlier
+ * file, so clashing keys get the same _N suffix a local destination uses.
  */
 class BackBlazeB2Service {
   constructor(accountId, applicationKey) {
@@ -27,6 +41,17 @@ class BackBlazeB2Service {
     this.retryAttempts = 3;
     this.retryDelay = 2000;
 
+    // Large file (multipart) configuration
+    this.largeFileThreshold = 200 * 1024 * 1024; // Streams at or above this use the large file API
+    this.partSize = null; // Defaults to B2's recommendedPartSize
+    this.partConcurrency = 4;
+
+    // Large files started but not yet finished, by fileId
+    this.activeLargeFiles = new Map();
+
+    // Keys claimed by uploads of this run, plus keys found to exist in the bucket
+    this.claimedKeys = new Set();
+
     // Upload statistics
     this.uploadedCount = 0;
     this.failedCount = 0;
@@ -57,7 +82,7 @@ class BackBlazeB2Service {
       };
     } catch (error) {
       console.error('B2 authorization error:', error);
-      throw new Error(`B2 authorization failed: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'B2 authorization failed');
     }
   }
 
@@ -98,7 +123,7 @@ class BackBlazeB2Service {
       });
 
       if (!response.data.buckets || response.data.buckets.length === 0) {
-        throw new Error(`Bucket "${bucketName}" not found`);
+        throw new NotFoundError(`Bucket "${bucketName}" not found`, { service: 'b2' });
       }
 
       this.bucket = response.data.buckets[0];
@@ -114,7 +139,7 @@ class BackBlazeB2Service {
       };
     } catch (error) {
       console.error('Bucket validation error:', error);
-      throw new Error(`Bucket validation failed: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'Bucket validation failed');
     }
   }
 
@@ -161,23 +186,34 @@ class BackBlazeB2Service {
       };
     } catch (error) {
       console.error('Get upload URL error:', error);
-      throw new Error(`Failed to get upload URL: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'Failed to get upload URL');
     }
   }
 
   /**
    * Upload file to B2
-   * @param {Buffer} fileData - File data as buffer
+   * The SHA1 is sent with the upload so B2 rejects corrupted transfers, and the
+   * SHA1 B2 reports back is checked against it.
+   * @param {Buffer|Readable} fileData - File data as buffer or readable stream
    * @param {string} fileName - Name for the file in B2
    * @param {string} contentType - MIME type
+   * @param {string|null} sha1 - Precomputed SHA1 of fileData (computed if omitted; required for streams)
+   * @param {number|null} contentLength - Byte length (required for streams)
    * @returns {Promise<object>} Upload result
    */
-  async uploadFile(fileData, fileName, contentType = 'application/octet-stream') {
+  async uploadFile(fileData, fileName, contentType = 'application/octet-stream', sha1 = null, contentLength = null) {
     try {
       if (!this.bucketId) {
         throw new Error('Bucket not validated. Call validateBucket() first.');
       }
 
+      const isStream = typeof fileData.pipe === 'function';
+      if (isStream && (!sha1 || contentLength === null)) {
+        throw new Error('Streamed uploads need a precomputed SHA1 and content length');
+      }
+
+      const contentSha1 = sha1 || crypto.createHash('sha1').update(fileData).digest('hex');
+
       // Get fresh upload URL (B2 best practice: get new URL for each upload)
       const { uploadUrl, authorizationToken } = await this.getUploadUrl();
 
@@ -186,18 +222,27 @@ class BackBlazeB2Service {
         uploadAuthToken: authorizationToken,
         fileName: fileName,
         data: fileData,
+        contentLength: contentLength ?? fileData.length,
         mime: contentType,
+        hash: contentSha1,
+        // Streamed bodies are not buffered, so axios' default body size limits don't apply
+        axios: { maxBodyLength: Infinity, maxContentLength: Infinity },
       });
 
+      if (response.data.contentSha1 !== contentSha1) {
+        throw new IntegrityError(`SHA1 mismatch: sent ${contentSha1}, B2 stored ${response.data.contentSha1}`, { service: 'b2' });
+      }
+
       return {
         success: true,
         fileId: response.data.fileId,
         fileName: response.data.fileName,
         contentLength: response.data.contentLength,
+        contentSha1: response.data.contentSha1,
       };
     } catch (error) {
       console.error('Upload file error:', error);
-      throw new Error(`Failed to upload file: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'Failed to upload file');
     }
   }
 
@@ -242,6 +287,7 @@ class BackBlazeB2Service {
 
   /**
    * Handle filename conflicts by appending a suffix
+   * Same rule as LocalStorageService: photo.jpg becomes photo_1.jpg, photo_2.jpg, ...
    * @param {string} fileName - Original filename
    * @param {number} attempt - Attempt number
    * @returns {string} New filename with suffix
@@ -251,14 +297,90 @@ class BackBlazeB2Service {
       return fileName;
     }
 
-    const lastDot = fileName.lastIndexOf('.');
-    if (lastDot === -1) {
-      return `${fileName}_${attempt.toString().padStart(3, '0')}`;
+    const ext = path.posix.extname(fileName);
+    return `${fileName.slice(0, fileName.length - ext.length)}_${attempt}${ext}`;
+  }
+
+  /**
+   * Check whether a key exists in the bucket
+   * @param {string} fileName - Key to look up
+   * @returns {Promise<boolean>}
+   */
+  async fileExists(fileName) {
+    try {
+      if (!this.bucketId) {
+        throw new Error('Bucket not validated. Call validateBucket() first.');
+      }
+
+      const response = await this.b2.listFileNames({
+        bucketId: this.bucketId,
+        startFileName: fileName,
+        maxFileCount: 1,
+      });
+
+      return response.data.files?.[0]?.fileName === fileName;
+    } catch (error) {
+      console.error('File lookup error:', error);
+      throw classifyHttpError(error, 'b2', 'Failed to look up file');
+    }
+  }
+
+  /**
+   * Claim a free key for an upload, suffixing it when the name is taken
+   * Each candidate is claimed before the bucket is checked, so concurrent uploads of
+   * clashing names get different keys.
+   * @param {string} fileName - Requested key
+   * @returns {Promise<string>} Key to upload to
+   */
+  async reserveFileName(fileName) {
+    for (let attempt = 0; ; attempt++) {
+      const key = this.generateUniqueFileName(fileName, attempt);
+      if (this.claimedKeys.has(key)) {
+        continue;
+      }
+
+      this.claimedKeys.add(key);
+      let exists;
+      try {
+        exists = await this.fileExists(key);
+      } catch (error) {
+        this.claimedKeys.delete(key);
+        throw error;
+      }
+      if (!exists) {
+        return key;
+      }
+    }
+  }
+
+  /**
+   * Run an upload under a reserved key
+   * A failed upload releases the key again. Overwriting is meant for keys this
+   * migration stored before (a resumed asset, a modified asset in a sync run, a
+   * manifest); the earlier copy stays as a hidden version.
+   * @param {string} fileName - Requested key
+   * @param {boolean} overwrite - Upload to fileName even if it exists
+   * @param {Function} upload - Called with the key, resolves to an upload result
+   * @returns {Promise<object>} Upload result
+   */
+  async withReservedFileName(fileName, overwrite, upload) {
+    if (overwrite) {
+      this.claimedKeys.add(fileName);
+      return upload(fileName);
+    }
+
+    let key;
+    try {
+      key = await this.reserveFileName(fileName);
+    } catch (error) {
+      return this.recordFailure(fileName, error);
     }
 
-    const name = fileName.substring(0, lastDot);
-    const ext = fileName.substring(lastDot);
-    return `${name}_${attempt.toString().padStart(3, '0')}${ext}`;
+    const result = await upload(key);
+    if (!result.success) {
+      this.claimedKeys.delete(key);
+    }
+    return result;
   }
 
   /**
@@ -280,8 +402,67 @@ class BackBlazeB2Service {
       return response.data.files || [];
     } catch (error) {
       console.error('List files error:', error);
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'Failed to list files');
+    }
+  }
+
+  /**
+   * List every file in the bucket, following listFileNames pagination
+   * @param {string} prefix - Only list names starting with this prefix
+   * @param {number} pageSize - Files per request (B2 maximum is 10000)
+   * @returns {Promise<Array<{fileName: string, contentLength: number, contentSha1: string|null, fileId: string}>>}
+   *   contentSha1 is null where B2 did not verify the SHA1 (large files)
+   */
+  async listAllFiles(prefix = '', pageSize = 1000) {
+    try {
+      if (!this.bucketId) {
+        throw new Error('Bucket not validated. Call validateBucket() first.');
+      }
+
+      const files = [];
+      let startFileName = null;
+
+      do {
+        const response = await this.b2.listFileNames({
+          bucketId: this.bucketId,
+          startFileName: startFileName || '',
+          maxFileCount: pageSize,
+          prefix,
+        });
+
+        for (const file of response.data.files || []) {
+          files.push({
+            fileName: file.fileName,
+            fileId: file.fileId,
+            contentLength: file.contentLength,
+            contentSha1: this.readListedSha1(file),
+          });
+        }
+
+        startFileName = response.data.nextFileName;
+      } while (startFileName);
+
+      return files;
+    } catch (error) {
+      console.error('List all files error:', error);
+      throw classifyHttpError(error, 'b2', 'Failed to list files');
+    }
+  }
+
+  /**
+   * Read the SHA1 B2 computed for a listed file
+   * Large files report "none" and files whose hash was sent after the data report
+   * "unverified:<sha1>". The large_file_sha1 file info is only the SHA1 this service
+   * sent itself, so neither counts as checked by the destination.
+   * @param {object} file - File entry from listFileNames or finishLargeFile
+   * @returns {string|null} SHA1 hex digest, or null if B2 did not verify one
+   */
+  readListedSha1(file) {
+    const sha1 = file.contentSha1;
+    if (!sha1 || sha1 === 'none' || sha1.startsWith('unverified:')) {
+      return null;
     }
+    return sha1;
   }
 
   /**
@@ -304,7 +485,7 @@ class BackBlazeB2Service {
       };
     } catch (error) {
       console.error('Delete file error:', error);
-      throw new Error(`Failed to delete file: ${error.message}`);
+      throw classifyHttpError(error, 'b2', 'Failed to delete file');
     }
   }
 
@@ -330,17 +511,325 @@ class BackBlazeB2Service {
    * @param {Buffer} fileData - File data
    * @param {string} fileName - File name
    * @param {string} contentType - Content type
+   * @param {string|null} sha1 - Precomputed SHA1 of fileData
+   * @param {object} options - Options
+   * @param {boolean} options.overwrite - Keep the name even if it exists instead of adding a suffix
+   * @returns {Promise<object>} Upload result; fileName is the key actually used
+   */
+  async uploadFileWithRetry(fileData, fileName, contentType = 'application/octet-stream', sha1 = null, { overwrite = false } = {}) {
+    return this.withReservedFileName(fileName, overwrite, key =>
+      this.withUploadRetry(key, fileData.length, () =>
+        this.uploadFile(fileData, key, contentType, sha1)
+      )
+    );
+  }
+
+  /**
+   * Upload a file from a stream with retry logic
+   * A fresh stream is opened for every attempt, so the source must be re-readable
+   * (typically a staged temp file). Files at or above largeFileThreshold are sent
+   * in parts through the large file API. A clashing name gets a _N suffix.
+   * @param {Function} openStream - Returns a new readable stream of the file, optionally
+   *   limited to an inclusive {start, end} byte range
+   * @param {string} fileName - File name
+   * @param {string} contentType - Content type
+   * @param {{size: number, sha1: string}} source - Byte length and SHA1 of the stream
+   * @param {object} options - Options
+   * @param {boolean} options.overwrite - Keep the name even if it exists instead of adding a suffix
+   * @returns {Promise<object>} Upload result; fileName is the key actually used
+   */
+  async uploadStreamWithRetry(openStream, fileName, contentType, { size, sha1 }, { overwrite = false } = {}) {
+    return this.withReservedFileName(fileName, overwrite, key => {
+      // A large file needs at least two parts, the first of at least the minimum part size
+      if (size >= this.largeFileThreshold && size > this.getMinimumPartSize()) {
+        return this.withUploadRetry(key, size, () =>
+          this.uploadLargeFile(openStream, key, contentType, { size, sha1 })
+        );
+      }
+
+      return this.withUploadRetry(key, size, async () => {
+        const stream = openStream();
+        try {
+          return await this.uploadFile(stream, key, contentType, sha1, size);
+        } finally {
+          stream.destroy();
+        }
+      });
+    });
+  }
+
+  /**
+   * Upload a file in parts with b2_start_large_file / b2_upload_part / b2_finish_large_file
+   * Parts upload in parallel, each with its own retries. The whole-file SHA1 is stored
+   * as large_file_sha1 file info, since B2 does not compute one for large files.
+   * @param {Function} openStream - Returns a readable stream for an inclusive {start, end} range
+   * @param {string} fileName - File name
+   * @param {string} contentType - Content type
+   * @param {{size: number, sha1: string}} source - Byte length and SHA1 of the file
+   * @returns {Promise<object>} Upload result
+   */
+  async uploadLargeFile(openStream, fileName, contentType, { size, sha1 }) {
+    if (!this.bucketId) {
+      throw new Error('Bucket not validated. Call validateBucket() first.');
+    }
+
+    const partSize = this.getPartSize(size);
+    const partCount = Math.ceil(size / partSize);
+
+    const started = await this.b2.startLargeFile({
+      bucketId: this.bucketId,
+      fileName,
+      contentType,
+      // The client library does not expose fileInfo, so merge it into the request body
+      axiosOverride: { data: { fileInfo: { large_file_sha1: sha1 } } },
+    });
+    const fileId = started.data.fileId;
+    this.activeLargeFiles.set(fileId, fileName);
+
+    try {
+      const limiter = pLimit(this.partConcurrency);
+      const parts = await Promise.allSettled(
+        Array.from({ length: partCount }, (_, index) => limiter(() =>
+          this.uploadPartWithRetry(fileId, index + 1, openStream, {
+            start: index * partSize,
+            end: Math.min(size, (index + 1) * partSize) - 1,
+          })
+        ))
+      );
+
+      const failed = parts.find(part => part.status === 'rejected');
+      if (failed) {
+        throw failed.reason;
+      }
+
+      const response = await this.b2.finishLargeFile({
+        fileId,
+        partSha1Array: parts.map(part => part.value),
+      });
+      this.activeLargeFiles.delete(fileId);
+
+      return {
+        success: true,
+        fileId,
+        fileName: response.data.fileName,
+        contentLength: response.data.contentLength,
+        // B2 checked each part's SHA1 but not the whole file's, so it stays unverified
+        contentSha1: null,
+        largeFile: true,
+        partCount,
+      };
+    } catch (error) {
+      await this.cancelLargeFile(fileId);
+      throw classifyHttpError(error, 'b2', 'Large file upload failed');
+    }
+  }
+
+  /**
+   * Upload one part of a large file, retrying on failure
+   * @param {string} fileId - Large file ID
+   * @param {number} partNumber - 1-based part number
+   * @param {Function} openStream - Returns a readable stream for an inclusive {start, end} range
+   * @param {{start: number, end: number}} range - Byte range of the part
+   * @returns {Promise<string>} SHA1 of the part
+   */
+  async uploadPartWithRetry(fileId, partNumber, openStream, range) {
+    const contentLength = range.end - range.start + 1;
+    const partSha1 = await this.hashStream(openStream(range));
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      const stream = openStream(range);
+      try {
+        // Each part upload needs its own URL when parts run in parallel
+        const { data: { uploadUrl, authorizationToken } } = await this.b2.getUploadPartUrl({ fileId });
+
+        const response = await this.b2.uploadPart({
+          partNumber,
+          uploadUrl,
+          uploadAuthToken: authorizationToken,
+          data: stream,
+          hash: partSha1,
+          contentLength,
+          axios: { maxBodyLength: Infinity, maxContentLength: Infinity },
+        });
+
+        if (response.data.contentSha1 !== partSha1) {
+          throw new IntegrityError(`SHA1 mismatch on part ${partNumber}`, { service: 'b2' });
+        }
+
+        return partSha1;
+      } catch (error) {
+        lastError = classifyHttpError(error, 'b2', `Part ${partNumber} failed`);
+        console.error(`Part ${partNumber} attempt ${attempt} failed:`, error.message);
+
+        if (!lastError.retryable) {
+          break;
+        }
+
+        if (attempt < this.retryAttempts) {
+          await this.sleep(this.retryDelay * attempt);
+        }
+      } finally {
+        stream.destroy();
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Get the part size for a large file
+   * Uses B2's recommended part size, shrunk so there are at least two parts (a B2
+   * requirement) and grown if needed to stay within 10,000 parts.
+   * @param {number} size - File size in bytes
+   * @returns {number} Part size in bytes
+   */
+  getPartSize(size) {
+    const preferred = this.partSize || this.authData?.recommendedPartSize || 100 * 1024 * 1024;
+    return Math.max(
+      Math.min(preferred, Math.ceil(size / 2)),
+      this.getMinimumPartSize(),
+      Math.ceil(size / 10000)
+    );
+  }
+
+  /**
+   * Get the smallest part size B2 accepts (all parts but the last)
+   * @returns {number} Size in bytes
+   */
+  getMinimumPartSize() {
+    return this.authData?.absoluteMinimumPartSize || 5 * 1024 * 1024;
+  }
+
+  /**
+   * Compute the SHA1 of a stream
+   * @param {Readable} stream - Readable stream
+   * @returns {Promise<string>} SHA1 hex digest
+   */
+  async hashStream(stream) {
+    const hash = crypto.createHash('sha1');
+    for await (const chunk of stream) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Cancel an unfinished large file, discarding its uploaded parts
+   * @param {string} fileId - Large file ID
+   * @returns {Promise<boolean>} True if cancelled
+   */
+  async cancelLargeFile(fileId) {
+    try {
+      await this.b2.cancelLargeFile({ fileId });
+      return true;
+    } catch (error) {
+      console.error(`Failed to cancel large file ${fileId}:`, error.message);
+      return false;
+    } finally {
+      this.activeLargeFiles.delete(fileId);
+    }
+  }
+
+  /**
+   * Cancel large files left unfinished
+   * Always cancels files this instance started and did not finish. When fileNames is
+   * given, unfinished large files in the bucket with those names (e.g. from a crashed
+   * run of the same session) are cancelled as well.
+   * @param {Array<string>|null} fileNames - Destination keys owned by the session
+   * @returns {Promise<number>} Number of large files cancelled
+   */
+  async cancelUnfinishedLargeFiles(fileNames = null) {
+    let cancelled = 0;
+
+    for (const fileId of [...this.activeLargeFiles.keys()]) {
+      if (await this.cancelLargeFile(fileId)) {
+        cancelled++;
+      }
+    }
+
+    if (fileNames && fileNames.length > 0) {
+      const owned = new Set(fileNames);
+      const unfinished = await this.listUnfinishedLargeFiles();
+
+      for (const file of unfinished.filter(entry => owned.has(entry.fileName))) {
+        if (await this.cancelLargeFile(file.fileId)) {
+          cancelled++;
+        }
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * List unfinished large files in the bucket
+   * The client library does not implement b2_list_unfinished_large_files, so it is called directly.
+   * @returns {Promise<Array<{fileId: string, fileName: string}>>}
+   */
+  async listUnfinishedLargeFiles() {
+    try {
+      if (!this.bucketId) {
+        throw new Error('Bucket not validated. Call validateBucket() first.');
+      }
+
+      const files = [];
+      let startFileId = null;
+
+      do {
+        const response = await axios.post(
+          `${this.authData.apiUrl}/b2api/v2/b2_list_unfinished_large_files`,
+          {
+            bucketId: this.bucketId,
+            maxFileCount: 100,
+            ...(startFileId ? { startFileId } : {}),
+          },
+          { headers: { Authorization: this.authData.authorizationToken } }
+        );
+
+        files.push(...(response.data.files || []).map(file => ({
+          fileId: file.fileId,
+          fileName: file.fileName,
+        })));
+        startFileId = response.data.nextFileId;
+      } while (startFileId);
+
+      return files;
+    } catch (error) {
+      console.error('List unfinished large files error:', error);
+      throw classifyHttpError(error, 'b2', 'Failed to list unfinished large files');
+    }
+  }
+
+  /**
+   * Configure large file uploads
+   * @param {object} options
+   * @param {number} options.threshold - Size in bytes at which the large file API is used
+   * @param {number} options.partSize - Part size in bytes (defaults to B2's recommendation)
+   * @param {number} options.partConcurrency - Parts uploaded in parallel per file
+   */
+  setLargeFileOptions({ threshold, partSize, partConcurrency } = {}) {
+    if (threshold) this.largeFileThreshold = threshold;
+    if (partSize) this.partSize = partSize;
+    if (partConcurrency) this.partConcurrency = partConcurrency;
+  }
+
+  /**
+   * Run an upload with retries and statistics tracking
+   * @param {string} fileName - File name
+   * @param {number} size - Byte length
+   * @param {Function} upload - Performs one upload attempt
    * @returns {Promise<object>} Upload result
    */
-  async uploadFileWithRetry(fileData, fileName, contentType = 'application/octet-stream') {
+  async withUploadRetry(fileName, size, upload) {
     let lastError = null;
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        const result = await this.uploadFile(fileData, fileName, contentType);
+        const result = await upload();
 
         this.uploadedCount++;
-        this.totalSize += fileData.length;
+        this.totalSize += size;
 
         if (this.progressCallback) {
           this.progressCallback(this.uploadedCount, null, fileName);
@@ -351,8 +840,8 @@ class BackBlazeB2Service {
         lastError = error;
         console.error(`Upload attempt ${attempt} failed for ${fileName}:`, error.message);
 
-        // Don't retry on auth errors
-        if (error.message.includes('authorization') || error.message.includes('unauthorized')) {
+        // Auth, permission, quota and not-found errors won't fix themselves
+        if (error.retryable === false) {
           break;
         }
 
@@ -364,8 +853,18 @@ class BackBlazeB2Service {
     }
 
     // All attempts failed
+    return this.recordFailure(fileName, lastError);
+  }
+
+  /**
+   * Count and log a failed upload
+   * @param {string} fileName - File name
+   * @param {Error|null} error - Last error
+   * @returns {object} Failed upload result
+   */
+  recordFailure(fileName, error) {
     this.failedCount++;
-    const errorMessage = lastError?.message || 'Unknown error';
+    const errorMessage = error?.message || 'Unknown error';
 
     this.errors.push({
       fileName,
@@ -381,6 +880,8 @@ class BackBlazeB2Service {
       success: false,
       fileName,
       error: errorMessage,
+      errorCode: error?.code || null,
+      retryable: error?.retryable ?? false,
     };
   }
 
@@ -0,0 +1,321 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Checkpoint Journal Service
+ * Durable, append-only record of each asset's progress through the pipeline.
+ * Lets an interrupted migration be resumed without reprocessing finished assets.
+ *
+ * The journal is a JSON Lines file. Each line is either a session record
+ * (written once when the journal is created), a resume marker, or an asset
+ * status record. The latest record for an asset wins when the journal is loaded.
+ */
+class CheckpointJournal {
+  /**
+   * @param {string} sessionId - Migration session ID
+   * @param {string} directory - Directory holding the journal file
+   */
+  constructor(sessionId, directory) {
+    this.sessionId = sessionId;
+    this.directory = directory;
+    this.filePath = path.join(directory, `checkpoint-${sessionId}.jsonl`);
+    this.inventoryPath = path.join(directory, `inventory-${sessionId}.json`);
+
+    // Latest status record per asset key
+    this.assetStates = new Map();
+    this.sessionRecord = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Asset statuses in pipeline order
+   */
+  static STATUS = {
+    DOWNLOADED: 'downloaded',
+    UPLOADED: 'uploaded',
+    SIDECAR: 'sidecar',
+    SIDECAR_PENDING: 'sidecar_pending', // Stored, but a sidecar failed to upload; only the sidecars are re-sent
+    COMPLETE: 'complete',
+    FAILED: 'failed',
+  };
+
+  /**
+   * Build the journal key for an asset
+   * @param {Asset} asset - Asset object
+   * @returns {string} Journal key
+   */
+  static getAssetKey(asset) {
+    return asset.getInventoryKey();
+  }
+
+  /**
+   * Check whether a journal file exists
+   * @returns {Promise<boolean>}
+   */
+  async exists() {
+    try {
+      await fs.access(this.filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create the journal file and write the session record
+   * @param {object} config - Redacted migration configuration
+   * @returns {Promise<void>}
+   */
+  async initialize(config = {}) {
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+      if (await this.exists()) {
+        await this.load();
+      } else {
+        this.sessionRecord = {
+          type: 'session',
+          sessionId: this.sessionId,
+          createdAt: new Date().toISOString(),
+          config,
+        };
+        await this.append(this.sessionRecord);
+      }
+
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize checkpoint journal:', error);
+      throw new Error(`Checkpoint journal initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load an existing journal from disk
+   * @returns {Promise<{session: object, assets: number, complete: number}>}
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No checkpoint journal found for session ${this.sessionId}`);
+      }
+      throw new Error(`Checkpoint journal read failed: ${error.message}`);
+    }
+
+    this.assetStates.clear();
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // A crash mid-write can leave a truncated final line
+        console.warn(`Skipping unreadable checkpoint record in ${this.filePath}`);
+        continue;
+      }
+
+      if (record.type === 'session') {
+        this.sessionRecord = record;
+      } else if (record.type === 'asset') {
+        this.assetStates.set(record.key, record);
+      }
+    }
+
+    this.initialized = true;
+
+    return {
+      session: this.sessionRecord,
+      assets: this.assetStates.size,
+      complete: this.getCompletedCount(),
+    };
+  }
+
+  /**
+   * Append a record to the journal file
+   * @param {object} record - Record to append
+   * @returns {Promise<void>}
+   */
+  async append(record) {
+    await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', { mode: 0o600 });
+  }
+
+  /**
+   * Record an asset's status
+   * @param {object} asset - Asset object
+   * @param {string} status - One of CheckpointJournal.STATUS
+   * @param {object} details - Additional details (phase, error, destination key, checksums)
+   * @returns {Promise<void>}
+   */
+  async recordAsset(asset, status, details = {}) {
+    const record = {
+      type: 'asset',
+      key: CheckpointJournal.getAssetKey(asset),
+      assetId: asset.assetId,
+      albumKey: asset.albumKey || null,
+      filename: asset.filename || null,
+      status,
+      timestamp: new Date().toISOString(),
+      ...details,
+    };
+
+    this.assetStates.set(record.key, record);
+
+    try {
+      await this.append(record);
+    } catch (error) {
+      // Journal failures must not abort the transfer itself
+      console.error(`Failed to write checkpoint for ${record.key}:`, error.message);
+    }
+  }
+
+  /**
+   * Record that the migration was resumed
+   * @returns {Promise<void>}
+   */
+  async recordResume() {
+    await this.append({
+      type: 'resume',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Save the list of assets this session is expected to transfer
+   * Kept beside the journal so a later verify job knows what should exist at the destination.
+   * @param {Array<object>} entries - One entry per asset (key, filename, destinationKey, ...)
+   * @returns {Promise<string>} Inventory file path
+   */
+  async saveInventory(entries) {
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(
+        this.inventoryPath,
+        JSON.stringify({ sessionId: this.sessionId, savedAt: new Date().toISOString(), assets: entries }),
+        { mode: 0o600 }
+      );
+      return this.inventoryPath;
+    } catch (error) {
+      console.error('Failed to save session inventory:', error);
+      throw new Error(`Session inventory save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the inventory saved by saveInventory()
+   * @returns {Promise<Array<object>>} Inventory entries
+   */
+  async loadInventory() {
+    try {
+      const content = await fs.readFile(this.inventoryPath, 'utf8');
+      return JSON.parse(content).assets || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No inventory found for session ${this.sessionId}`);
+      }
+      throw new Error(`Session inventory read failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the latest status record for an asset
+   * @param {object} asset - Asset object
+   * @returns {object|null} Status record
+   */
+  getAssetState(asset) {
+    return this.getStateByKey(CheckpointJournal.getAssetKey(asset));
+  }
+
+  /**
+   * Get the latest status record for a journal key
+   * @param {string} key - Journal key
+   * @returns {object|null} Status record
+   */
+  getStateByKey(key) {
+    return this.assetStates.get(key) || null;
+  }
+
+  /**
+   * Check whether an asset finished every pipeline step
+   * @param {object} asset - Asset object
+   * @returns {boolean}
+   */
+  isComplete(asset) {
+    return this.getAssetState(asset)?.status === CheckpointJournal.STATUS.COMPLETE;
+  }
+
+  /**
+   * Filter out assets that already completed
+   * Assets still missing a sidecar (SIDECAR_PENDING) stay pending.
+   * @param {Array<object>} assets - Assets from inventory
+   * @returns {Array<object>} Assets still to process
+   */
+  getPendingAssets(assets) {
+    return assets.filter(asset => !this.isComplete(asset));
+  }
+
+  /**
+   * Count completed assets
+   * @returns {number}
+   */
+  getCompletedCount() {
+    let count = 0;
+    for (const record of this.assetStates.values()) {
+      if (record.status === CheckpointJournal.STATUS.COMPLETE) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Get the latest record of every completed asset
+   * @returns {Array<object>} Completed asset records
+   */
+  getCompletedRecords() {
+    return [...this.assetStates.values()].filter(
+      record => record.status === CheckpointJournal.STATUS.COMPLETE
+    );
+  }
+
+  /**
+   * Get the session record written when the journal was created
+   * @returns {object|null}
+   */
+  getSessionRecord() {
+    return this.sessionRecord;
+  }
+
+  /**
+   * Summarize asset statuses
+   * @returns {object} Counts keyed by status
+   */
+  getSummary() {
+    const counts = {};
+    for (const record of this.assetStates.values()) {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    }
+
+    return {
+      sessionId: this.sessionId,
+      journalPath: this.filePath,
+      trackedAssets: this.assetStates.size,
+      byStatus: counts,
+    };
+  }
+
+  /**
+   * Get journal file path
+   * @returns {string}
+   */
+  getFilePath() {
+    return this.filePath;
+  }
+}
+
+export default CheckpointJournal;
@@ -0,0 +1,240 @@
+/**
+ * Dedup Index
+ * Tracks content hashes during a migration so a file that sits in several
+ * albums is stored once.
+ *
+ * Assets are keyed on SmugMug's ArchivedMD5 when it is present, which groups
+ * duplicates before anything is downloaded. Assets without one are hashed
+ * while downloading and matched afterwards against every hash seen so far
+ * (ArchivedMD5 is the MD5 of the same bytes, so both kinds compare).
+ *
+ * The first asset to claim a hash is stored; later claimants wait for it and
+ * are recorded as duplicates of its destination key. If the stored copy fails,
+ * the next claimant takes over and is stored itself.
+ */
+class DedupIndex {
+  constructor() {
+    // hash -> entry: { hash, source, primary, done, destinationKey, size, checksums, members, metadata }
+    this.entries = new Map();
+
+    // ArchivedMD5 -> every inventory asset carrying it, known before transfers start
+    this.groups = new Map();
+  }
+
+  /**
+   * File name of the dedup manifest, in the session logs and at the destination
+   */
+  static MANIFEST_FILE_NAME = 'dedup-manifest.json';
+
+  /**
+   * Normalise an MD5 for comparison
+   * @param {string|null|undefined} md5 - MD5 hex digest
+   * @returns {string|null}
+   */
+  static normalizeHash(md5) {
+    return md5 ? String(md5).toLowerCase() : null;
+  }
+
+  /**
+   * Describe the album an asset was found in
+   * @param {Asset} asset - Asset
+   * @returns {object}
+   */
+  static describeMember(asset) {
+    return {
+      assetId: asset.assetId,
+      filename: asset.filename,
+      albumKey: asset.albumKey || null,
+      albumName: asset.albumName || null,
+      albumPath: [...(asset.folderPath || []), asset.albumName].filter(Boolean).join('/'),
+    };
+  }
+
+  /**
+   * Group the inventory by ArchivedMD5
+   * @param {Array<Asset>} assets - Assets this run will process
+   */
+  addInventory(assets) {
+    for (const asset of assets) {
+      const hash = DedupIndex.normalizeHash(asset.archivedMD5);
+      if (!hash) continue;
+
+      if (!this.groups.has(hash)) {
+        this.groups.set(hash, []);
+      }
+      this.groups.get(hash).push(asset);
+    }
+  }
+
+  /**
+   * Register files stored by an earlier run of this session (when resuming)
+   * @param {Array<object>} records - Completed checkpoint journal records
+   */
+  seedFromJournal(records) {
+    for (const record of records) {
+      // Files with embedded metadata are matched on the downloaded bytes
+      const downloaded = record.checksums?.original || record.checksums;
+      const hash = DedupIndex.normalizeHash(downloaded?.md5 || record.checksums?.smugmugArchivedMD5);
+      if (!hash || this.entries.has(hash) || record.duplicateOf) continue;
+
+      this.entries.set(hash, {
+        hash,
+        source: record.checksums?.smugmugArchivedMD5 ? 'archivedMD5' : 'computed',
+        primary: null,
+        done: Promise.resolve(true),
+        destinationKey: record.destinationKey,
+        size: downloaded?.size ?? null,
+        checksums: record.checksums,
+        members: [],
+        metadata: null,
+      });
+    }
+  }
+
+  /**
+   * Every album an asset's file belongs to, as far as is known now
+   * @param {Asset} asset - Asset
+   * @returns {Array<object>} Album memberships
+   */
+  getMembers(asset) {
+    const hash = DedupIndex.normalizeHash(asset.archivedMD5);
+    const group = hash ? this.groups.get(hash) : null;
+    return (group || [asset]).map(DedupIndex.describeMember);
+  }
+
+  /**
+   * Claim a hash for an asset
+   * @param {string} hash - Content hash
+   * @param {Asset} asset - Asset
+   * @param {string} source - 'archivedMD5' or 'computed'
+   * @returns {{isPrimary: boolean, entry: object}} Whether the asset must be stored, and the hash entry
+   */
+  claim(hash, asset, source) {
+    const existing = this.entries.get(hash);
+    if (existing) {
+      return { isPrimary: false, entry: existing };
+    }
+
+    let resolveDone;
+    const entry = {
+      hash,
+      source,
+      primary: asset,
+      done: new Promise(resolve => { resolveDone = resolve; }),
+      resolveDone,
+      destinationKey: null,
+      size: null,
+      checksums: null,
+      members: [DedupIndex.describeMember(asset)],
+      metadata: null,
+    };
+
+    this.entries.set(hash, entry);
+    return { isPrimary: true, entry };
+  }
+
+  /**
+   * Record the outcome of storing a claimed file
+   * A failed primary releases the hash so a waiting duplicate can store it instead.
+   * @param {object} entry - Entry returned by claim()
+   * @param {object|null} stored - { destinationKey, size, checksums } when stored, null when it failed
+   */
+  settle(entry, stored) {
+    if (stored) {
+      entry.destinationKey = stored.destinationKey;
+      entry.size = stored.size ?? null;
+      entry.checksums = stored.checksums || null;
+    } else {
+      this.entries.delete(entry.hash);
+    }
+    entry.resolveDone(Boolean(stored));
+  }
+
+  /**
+   * Add a duplicate to a stored file
+   * @param {object} entry - Hash entry
+   * @param {Asset} asset - Duplicate asset
+   */
+  addDuplicate(entry, asset) {
+    entry.members.push(DedupIndex.describeMember(asset));
+  }
+
+  /**
+   * Remember the sidecar written for a stored file
+   * A file can gain albums after its sidecar was written (a duplicate without an
+   * ArchivedMD5 is only recognised once downloaded), so the metadata is kept
+   * for rewriting the sidecar at the end.
+   * @param {object} entry - Hash entry
+   * @param {object} metadata - Sidecar metadata, with the albums it lists
+   */
+  recordSidecar(entry, metadata) {
+    entry.metadata = metadata;
+  }
+
+  /**
+   * Check whether a sidecar's album list includes an asset
+   * @param {Array<object>} albums - Albums listed in a sidecar
+   * @param {object} member - Album membership
+   * @returns {boolean}
+   */
+  static isListed(albums, member) {
+    return albums.some(album => album.assetId === member.assetId && album.albumKey === member.albumKey);
+  }
+
+  /**
+   * Entries whose sidecar lists fewer albums than are now known
+   * @returns {Array<object>}
+   */
+  getStaleSidecars() {
+    return [...this.entries.values()].filter(
+      entry => entry.metadata && entry.members.some(member => !DedupIndex.isListed(entry.metadata.albums, member))
+    );
+  }
+
+  /**
+   * Totals for the migration summary
+   * @returns {{uniqueFiles: number, duplicates: number, bytesSaved: number}}
+   */
+  getReport() {
+    let duplicates = 0;
+    let bytesSaved = 0;
+    let uniqueFiles = 0;
+
+    for (const entry of this.entries.values()) {
+      if (!entry.destinationKey) continue;
+      // Seeded entries list only this run's duplicates
+      const extra = entry.primary ? entry.members.length - 1 : entry.members.length;
+      uniqueFiles++;
+      duplicates += extra;
+      bytesSaved += extra * (entry.size || 0);
+    }
+
+    return { uniqueFiles, duplicates, bytesSaved };
+  }
+
+  /**
+   * Build the dedup manifest: every stored file that more than one asset shares
+   * @param {string} sessionId - Migration session ID
+   * @returns {object}
+   */
+  toManifest(sessionId) {
+    const files = [...this.entries.values()]
+      .filter(entry => entry.destinationKey && entry.members.length > (entry.primary ? 1 : 0))
+      .map(entry => ({
+        hash: entry.hash,
+        hashSource: entry.source,
+        destinationKey: entry.destinationKey,
+        size: entry.size,
+        albums: entry.members,
+      }));
+
+    return {
+      sessionId,
+      generatedAt: new Date().toISOString(),
+      ...this.getReport(),
+      files,
+    };
+  }
+}
+
+export default DedupIndex;
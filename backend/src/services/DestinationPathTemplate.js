@@ -0,0 +1,237 @@
+import path from 'path';
+
+/**
+ * Destination Path Template
+ * Builds destination keys (B2 object names / local relative paths) from a
+ * user-defined template such as "{folderPath}/{album}/{filename}" or
+ * "{yyyy}/{mm}/{imageKey}.{ext}".
+ *
+ * Token values are sanitized so they can never introduce extra path segments,
+ * except {folderPath}, which deliberately expands to one segment per folder.
+ */
+class DestinationPathTemplate {
+  /**
+   * @param {string} template - Template string
+   */
+  constructor(template = DestinationPathTemplate.STRUCTURED) {
+    const { valid, errors } = DestinationPathTemplate.validate(template);
+    if (!valid) {
+      throw new Error(`Invalid destination path template: ${errors.join('; ')}`);
+    }
+
+    this.template = template;
+  }
+
+  /**
+   * Default template: keep SmugMug folder/album structure
+   */
+  static STRUCTURED = '{folderPath}/{album}/{filename}';
+
+  /**
+   * Legacy template: every file at the destination root
+   */
+  static FLAT = '{filename}';
+
+  /**
+   * Supported tokens and their descriptions
+   */
+  static TOKENS = {
+    folderPath: 'Folder path from the account root (may be several levels)',
+    album: 'Album name',
+    albumKey: 'SmugMug album key',
+    yyyy: 'Year taken (4 digits)',
+    mm: 'Month taken (2 digits)',
+    dd: 'Day taken (2 digits)',
+    imageKey: 'SmugMug image key',
+    filename: 'Original filename including extension',
+    ext: 'File extension without the dot',
+  };
+
+  /**
+   * Validate a template string
+   * @param {string} template - Template string
+   * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}}
+   */
+  static validate(template) {
+    const errors = [];
+    const warnings = [];
+
+    if (typeof template !== 'string' || template.trim() === '') {
+      return { valid: false, errors: ['Template must be a non-empty string'], warnings };
+    }
+
+    if (template.length > 512) {
+      errors.push('Template must be at most 512 characters');
+    }
+
+    if (template.startsWith('/')) {
+      errors.push('Template must be relative (no leading "/")');
+    }
+
+    if (template.includes('\\')) {
+      errors.push('Use "/" to separate path segments, not "\\"');
+    }
+
+    // Every brace must belong to a {token}
+    const withoutTokens = template.replace(/\{[^{}]*\}/g, '');
+    if (withoutTokens.includes('{') || withoutTokens.includes('}')) {
+      errors.push('Unbalanced "{" or "}" in template');
+    }
+
+    const tokens = [...template.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+    const unknown = tokens.filter(token => !(token in DestinationPathTemplate.TOKENS));
+    if (unknown.length > 0) {
+      errors.push(`Unknown token(s): ${unknown.map(token => `{${token}}`).join(', ')}`);
+    }
+
+    const segments = template.split('/');
+    if (segments.some(segment => segment === '.' || segment === '..')) {
+      errors.push('Template must not contain "." or ".." path segments');
+    }
+
+    const lastSegment = segments[segments.length - 1];
+    if (!lastSegment.includes('{filename}') && !lastSegment.includes('{imageKey}')) {
+      errors.push('The last path segment must contain {filename} or {imageKey}');
+    }
+
+    if (
+      tokens.includes('imageKey') &&
+      !tokens.includes('filename') &&
+      !tokens.includes('ext')
+    ) {
+      warnings.push('Without {ext} or {filename}, files will have no extension');
+    }
+
+    if (
+      !tokens.includes('imageKey') &&
+      !tokens.includes('album') &&
+      !tokens.includes('albumKey')
+    ) {
+      warnings.push('Files with the same name in different albums may collide; consider adding {album} or {imageKey}');
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * Make a name safe to use as one path segment
+   * @param {string} segment - Name
+   * @returns {string} Sanitized segment
+   */
+  static sanitizeSegment(segment) {
+    const cleaned = String(segment)
+      .replace(/[/\\]/g, '_')
+      .replace(/[\x00-\x1f\x7f]/g, '')
+      .trim();
+
+    if (cleaned === '' || cleaned === '.' || cleaned === '..') {
+      return '_';
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * Split an asset date into year, month and day
+   * SmugMug dates carry the camera's local time, so the date part is read from the
+   * string itself rather than converted through a timezone.
+   * @param {string|null} value - ISO 8601 date string
+   * @returns {{yyyy: string, mm: string, dd: string}}
+   */
+  static getDateParts(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+      return { yyyy: match[1], mm: match[2], dd: match[3] };
+    }
+
+    const date = value ? new Date(value) : null;
+    if (date && !Number.isNaN(date.getTime())) {
+      return {
+        yyyy: String(date.getUTCFullYear()),
+        mm: String(date.getUTCMonth() + 1).padStart(2, '0'),
+        dd: String(date.getUTCDate()).padStart(2, '0'),
+      };
+    }
+
+    return { yyyy: 'undated', mm: 'undated', dd: 'undated' };
+  }
+
+  /**
+   * Get token values for an asset
+   * @param {object} asset - Asset object
+   * @returns {object} Token values (folderPath is an array of segments)
+   */
+  getTokenValues(asset) {
+    const filename = asset.filename || `${asset.imageKey || asset.assetId}`;
+    const extFromName = path.extname(filename).replace(/^\./, '');
+    const ext = extFromName || (asset.format ? asset.format.toLowerCase() : '');
+
+    return {
+      folderPath: asset.folderPath || [],
+      album: asset.albumName || 'Unsorted',
+      albumKey: asset.albumKey || 'no-album',
+      ...DestinationPathTemplate.getDateParts(asset.dateTaken || asset.dateUploaded),
+      imageKey: asset.imageKey || asset.assetId,
+      filename,
+      ext,
+    };
+  }
+
+  /**
+   * Render the destination key for an asset
+   * @param {object} asset - Asset object
+   * @returns {string} Destination key using forward slashes
+   */
+  render(asset) {
+    const values = this.getTokenValues(asset);
+
+    const rendered = this.template.replace(/\{([^{}]+)\}/g, (match, token) => {
+      if (token === 'folderPath') {
+        return values.folderPath
+          .map(segment => DestinationPathTemplate.sanitizeSegment(segment))
+          .join('/');
+      }
+      return DestinationPathTemplate.sanitizeSegment(values[token]);
+    });
+
+    // Empty tokens (e.g. an album at the account root has no folderPath) collapse away
+    return rendered
+      .split('/')
+      .filter(segment => segment.trim() !== '')
+      .map(segment => DestinationPathTemplate.sanitizeSegment(segment))
+      .join('/');
+  }
+
+  /**
+   * Render the directory an album's assets are stored in
+   * @param {Album} album - Album
+   * @returns {string|null} Directory, or null when the template does not give each album
+   *   its own directory (e.g. "{yyyy}/{mm}/{filename}" or "{filename}")
+   */
+  renderAlbumDirectory(album) {
+    const directory = this.template.split('/').slice(0, -1).join('/');
+    const tokens = [...directory.matchAll(/\{([^{}]+)\}/g)].map(match => match[1]);
+
+    if (!tokens.some(token => token === 'album' || token === 'albumKey') ||
+        tokens.some(token => !['folderPath', 'album', 'albumKey'].includes(token))) {
+      return null;
+    }
+
+    // Render the template's directory with a stand-in filename, then drop it
+    return new DestinationPathTemplate(`${directory}/{filename}`)
+      .render({ folderPath: album.folderPath, albumName: album.name, albumKey: album.albumKey, filename: '_' })
+      .split('/')
+      .slice(0, -1)
+      .join('/');
+  }
+
+  /**
+   * Get the template string
+   * @returns {string}
+   */
+  toString() {
+    return this.template;
+  }
+}
+
+export default DestinationPathTemplate;
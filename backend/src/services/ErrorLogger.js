@@ -1,3 +1,5 @@
+import fs from 'fs/promises';
+
 /**
  * Error Logger Service
  * Handles structured error logging for migration operations
@@ -17,6 +19,7 @@ class ErrorLogger {
    * @param {string} errorData.message - Error message
    * @param {string} errorData.filename - Associated filename (optional)
    * @param {string} errorData.assetId - Associated asset ID (optional)
+   * @param {string} errorData.assetKey - Inventory key (album + ImageKey) of the asset (optional)
    * @param {string} errorData.errorCode - Error code (optional)
    * @param {boolean} errorData.retryable - Whether error is retryable (optional)
    * @param {object} errorData.additionalData - Additional error context (optional)
@@ -28,6 +31,7 @@ class ErrorLogger {
       errorMessage: errorData.message || errorData.errorMessage || 'Unknown error',
       filename: errorData.filename || null,
       assetId: errorData.assetId || null,
+      assetKey: errorData.assetKey || null,
       errorCode: errorData.errorCode || null,
       retryable: errorData.retryable !== undefined ? errorData.retryable : false,
       additionalData: errorData.additionalData || null,
@@ -48,13 +52,17 @@ class ErrorLogger {
    * @param {string} assetId - Asset ID
    * @param {string} errorMessage - Error message
    * @param {boolean} retryable - Whether error is retryable
+   * @param {string|null} errorCode - Error code from MigrationErrors (optional)
+   * @param {string|null} assetKey - Inventory key of the asset (optional)
    */
-  logDownloadError(filename, assetId, errorMessage, retryable = false) {
+  logDownloadError(filename, assetId, errorMessage, retryable = false, errorCode = null, assetKey = null) {
     this.logError({
       phase: 'download',
       filename,
       assetId,
+      assetKey,
       message: errorMessage,
+      errorCode,
       retryable,
     });
   }
@@ -64,12 +72,16 @@ class ErrorLogger {
    * @param {string} filename - Filename
    * @param {string} errorMessage - Error message
    * @param {boolean} retryable - Whether error is retryable
+   * @param {string|null} errorCode - Error code from MigrationErrors (optional)
+   * @param {string|null} assetKey - Inventory key of the asset, when the upload was the asset itself
    */
-  logUploadError(filename, errorMessage, retryable = false) {
+  logUploadError(filename, errorMessage, retryable = false, errorCode = null, assetKey = null) {
     this.logError({
       phase: 'upload',
       filename,
+      assetKey,
       message: errorMessage,
+      errorCode,
       retryable,
     });
   }
@@ -211,6 +223,23 @@ class ErrorLogger {
     }
   }
 
+  /**
+   * Load a previously saved error log into this logger
+   * @returns {Promise<Array>} Loaded errors (empty if no log was saved)
+   */
+  async loadErrorLog() {
+    try {
+      const content = await fs.readFile(this.fsManager.getLogFilePath(this.logFileName), 'utf8');
+      this.errors = JSON.parse(content).errors || [];
+      return this.errors;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Error log read failed: ${error.message}`);
+    }
+  }
+
   /**
    * Generate error summary for display
    * @returns {object} Error summary
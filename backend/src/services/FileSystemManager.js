@@ -1,4 +1,5 @@
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
 import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
@@ -122,6 +123,38 @@ class FileSystemManager {
     }
   }
 
+  /**
+   * Open a write stream for a file in the downloads directory
+   * @param {string} fileName - File name
+   * @returns {Promise<WriteStream>} Write stream
+   */
+  async createWriteStream(fileName) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return createWriteStream(this.getFilePath(fileName), { mode: 0o600 });
+  }
+
+  /**
+   * Open a read stream for a file in the downloads directory
+   * @param {string} fileName - File name
+   * @param {{start: number, end: number}} range - Optional inclusive byte range
+   * @returns {ReadStream} Read stream
+   */
+  createReadStream(fileName, range = {}) {
+    return createReadStream(this.getFilePath(fileName), range);
+  }
+
+  /**
+   * Get full path for a file in the downloads directory
+   * @param {string} fileName - File name
+   * @returns {string} Full file path
+   */
+  getFilePath(fileName) {
+    return path.join(this.downloadsDir, fileName);
+  }
+
   /**
    * Check if file exists in downloads directory
    * @param {string} fileName - File name
@@ -291,6 +324,15 @@ class FileSystemManager {
     }
   }
 
+  /**
+   * Get full path for a log file
+   * @param {string} fileName - Log file name
+   * @returns {string} Full file path
+   */
+  getLogFilePath(fileName) {
+    return path.join(this.logsDir, fileName);
+  }
+
   /**
    * Get paths for session directories
    * @returns {object} Directory paths
@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import MetadataService from './MetadataService.js';
+
+/**
+ * JPEG Metadata Writer
+ * Embeds SmugMug metadata into a JPEG in pure JavaScript:
+ *
+ * - APP1 XMP: title, caption, keywords, album, date taken, GPS and rating (the
+ *   same packet as the XMP sidecar). It replaces any XMP packet already in the file.
+ * - APP13 IPTC-IIM: title (2:05), caption (2:120) and keywords (2:25), UTF-8. Other
+ *   Photoshop resources in the segment are kept; the IPTC digest is updated.
+ * - APP1 EXIF: the GPS IFD. The existing EXIF data is never moved: a new GPS IFD
+ *   and a copy of IFD0 pointing at it are appended, and the header is repointed,
+ *   so offsets into the original data (maker notes, thumbnails) stay valid.
+ *
+ * The compressed image data is copied unchanged.
+ */
+class JpegMetadataWriter {
+  /**
+   * @param {MetadataService} metadataService - Generates the XMP packet
+   */
+  constructor(metadataService = new MetadataService()) {
+    this.metadataService = metadataService;
+  }
+
+  static EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+  static XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+  static XMP_EXTENSION_HEADER = Buffer.from('http://ns.adobe.com/xmp/extension/\0', 'latin1');
+  static PHOTOSHOP_HEADER = Buffer.from('Photoshop 3.0\0', 'latin1');
+
+  static MARKER = { SOI: 0xD8, EOI: 0xD9, SOS: 0xDA, APP0: 0xE0, APP1: 0xE1, APP13: 0xED };
+
+  // Photoshop image resources holding IPTC-IIM data and its MD5 digest
+  static RESOURCE_IPTC = 0x0404;
+  static RESOURCE_IPTC_DIGEST = 0x0425;
+
+  // IPTC-IIM dataset size limits, in bytes
+  static IPTC_LIMITS = { objectName: 64, keyword: 64, caption: 2000 };
+
+  /**
+   * Check whether an asset is a JPEG by its format or file extension
+   * @param {Asset} asset - Asset
+   * @returns {boolean}
+   */
+  static isJpeg(asset) {
+    const format = String(asset.format || '').toUpperCase();
+    return ['JPG', 'JPEG'].includes(format) || /\.jpe?g$/i.test(asset.filename || '');
+  }
+
+  /**
+   * Embed metadata into a JPEG
+   * @param {Buffer} jpeg - JPEG file contents
+   * @param {object} metadata - Metadata from MetadataService.extractMetadata()
+   * @returns {{buffer: Buffer, segments: Array<string>}} New file contents, and the segments written
+   */
+  write(jpeg, metadata) {
+    const { segments, imageData } = this.parseSegments(jpeg);
+    const { APP0, APP1, APP13 } = JpegMetadataWriter.MARKER;
+    const startsWith = (segment, header) => segment.data.subarray(0, header.length).equals(header);
+
+    const exif = segments.find(s => s.marker === APP1 && startsWith(s, JpegMetadataWriter.EXIF_HEADER));
+    const photoshop = segments.find(s => s.marker === APP13 && startsWith(s, JpegMetadataWriter.PHOTOSHOP_HEADER));
+    const written = [];
+
+    // EXIF: only rewritten when there is a position to add
+    let exifSegment = exif || null;
+    const gps = this.getGpsCoordinates(metadata.gpsCoordinates);
+    if (gps) {
+      const tiff = exif ? exif.data.subarray(JpegMetadataWriter.EXIF_HEADER.length) : null;
+      exifSegment = {
+        marker: APP1,
+        data: Buffer.concat([JpegMetadataWriter.EXIF_HEADER, this.addGpsToTiff(tiff, gps)]),
+      };
+      written.push('exif');
+    }
+
+    const xmpSegment = {
+      marker: APP1,
+      data: Buffer.concat([
+        JpegMetadataWriter.XMP_HEADER,
+        Buffer.from(this.metadataService.generateXmpSidecar(metadata), 'utf8'),
+      ]),
+    };
+    written.push('xmp');
+
+    // IPTC: only rewritten when there is a title, caption or keyword to write
+    let photoshopSegment = photoshop || null;
+    const iptc = this.buildIptc(metadata);
+    if (iptc) {
+      const resources = photoshop
+        ? this.parseResources(photoshop.data.subarray(JpegMetadataWriter.PHOTOSHOP_HEADER.length))
+        : [];
+      photoshopSegment = {
+        marker: APP13,
+        data: Buffer.concat([
+          JpegMetadataWriter.PHOTOSHOP_HEADER,
+          ...resources
+            .filter(r => r.id !== JpegMetadataWriter.RESOURCE_IPTC && r.id !== JpegMetadataWriter.RESOURCE_IPTC_DIGEST)
+            .map(r => r.raw),
+          this.encodeResource(JpegMetadataWriter.RESOURCE_IPTC, iptc),
+          this.encodeResource(JpegMetadataWriter.RESOURCE_IPTC_DIGEST, crypto.createHash('md5').update(iptc).digest()),
+        ]),
+      };
+      written.push('iptc');
+    }
+
+    // JFIF/JFXX first, then EXIF, XMP and IPTC, then everything else in its original order
+    const replaced = new Set([exif, photoshop]);
+    const others = segments.filter(segment => !replaced.has(segment) &&
+      !(segment.marker === APP1 && (startsWith(segment, JpegMetadataWriter.XMP_HEADER) ||
+        startsWith(segment, JpegMetadataWriter.XMP_EXTENSION_HEADER))));
+    const firstNonApp0 = others.findIndex(segment => segment.marker !== APP0);
+    const leadingCount = firstNonApp0 === -1 ? others.length : firstNonApp0;
+
+    const ordered = [
+      ...others.slice(0, leadingCount),
+      exifSegment,
+      xmpSegment,
+      photoshopSegment,
+      ...others.slice(leadingCount),
+    ].filter(Boolean);
+
+    return {
+      buffer: Buffer.concat([
+        Buffer.from([0xFF, JpegMetadataWriter.MARKER.SOI]),
+        ...ordered.map(segment => this.encodeSegment(segment)),
+        imageData,
+      ]),
+      segments: written,
+    };
+  }
+
+  /**
+   * Split a JPEG into its marker segments and the image data that follows them
+   * @param {Buffer} jpeg - JPEG file contents
+   * @returns {{segments: Array<{marker: number, data: Buffer|null}>, imageData: Buffer}}
+   */
+  parseSegments(jpeg) {
+    if (jpeg.length < 4 || jpeg[0] !== 0xFF || jpeg[1] !== JpegMetadataWriter.MARKER.SOI) {
+      throw new Error('Not a JPEG file');
+    }
+
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 1 < jpeg.length) {
+      if (jpeg[offset] !== 0xFF) {
+        throw new Error(`Invalid JPEG marker at byte ${offset}`);
+      }
+
+      const marker = jpeg[offset + 1];
+      if (marker === 0xFF) {
+        offset++; // Fill byte
+        continue;
+      }
+      if (marker === JpegMetadataWriter.MARKER.SOS || marker === JpegMetadataWriter.MARKER.EOI) {
+        return { segments, imageData: jpeg.subarray(offset) };
+      }
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+        segments.push({ marker, data: null }); // Markers without a length
+        offset += 2;
+        continue;
+      }
+
+      const length = offset + 4 <= jpeg.length ? jpeg.readUInt16BE(offset + 2) : 0;
+      if (length < 2 || offset + 2 + length > jpeg.length) {
+        throw new Error(`Truncated JPEG segment at byte ${offset}`);
+      }
+
+      segments.push({ marker, data: jpeg.subarray(offset + 4, offset + 2 + length) });
+      offset += 2 + length;
+    }
+
+    throw new Error('JPEG has no image data');
+  }
+
+  /**
+   * Encode a marker segment
+   * @param {{marker: number, data: Buffer|null}} segment - Segment
+   * @returns {Buffer}
+   */
+  encodeSegment({ marker, data }) {
+    if (data === null) {
+      return Buffer.from([0xFF, marker]);
+    }
+    if (data.length + 2 > 0xFFFF) {
+      throw new Error(`JPEG segment too large (${data.length} bytes)`);
+    }
+
+    const header = Buffer.alloc(4);
+    header[0] = 0xFF;
+    header[1] = marker;
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+  }
+
+  /**
+   * Get valid GPS coordinates from metadata
+   * @param {object|undefined} coordinates - { latitude, longitude, altitude }
+   * @returns {{latitude: number, longitude: number, altitude: number|null}|null}
+   */
+  getGpsCoordinates(coordinates) {
+    if (!coordinates ||
+        !this.metadataService.isCoordinate(coordinates.latitude, 90) ||
+        !this.metadataService.isCoordinate(coordinates.longitude, 180)) {
+      return null;
+    }
+
+    const latitude = Number(coordinates.latitude);
+    const longitude = Number(coordinates.longitude);
+    if (latitude === 0 && longitude === 0) {
+      return null;
+    }
+
+    const altitude = Number(coordinates.altitude ?? NaN);
+    return { latitude, longitude, altitude: Number.isFinite(altitude) ? altitude : null };
+  }
+
+  /**
+   * Add a GPS IFD to EXIF TIFF data, creating the TIFF data if there is none
+   * @param {Buffer|null} tiff - TIFF data from the EXIF segment
+   * @param {{latitude: number, longitude: number, altitude: number|null}} gps - Position
+   * @returns {Buffer} New TIFF data
+   */
+  addGpsToTiff(tiff, gps) {
+    if (!tiff) {
+      // Big-endian header and an empty IFD0
+      tiff = Buffer.from([0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    }
+
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (tiff.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) {
+      throw new Error('Invalid EXIF data');
+    }
+
+    const io = this.getByteOrder(byteOrder === 'II');
+    const ifd0Offset = io.read32(tiff, 4);
+    const count = ifd0Offset + 2 <= tiff.length ? io.read16(tiff, ifd0Offset) : 0;
+    if (ifd0Offset < 8 || ifd0Offset + 2 + count * 12 + 4 > tiff.length) {
+      throw new Error('Invalid EXIF IFD0');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entry = tiff.subarray(ifd0Offset + 2 + i * 12, ifd0Offset + 14 + i * 12);
+      if (io.read16(entry, 0) !== 0x8825) {
+        entries.push(entry);
+      }
+    }
+    const nextIfdOffset = io.read32(tiff, ifd0Offset + 2 + count * 12);
+
+    // Appended after the original data, word aligned: the GPS IFD, then the new IFD0
+    const gpsOffset = tiff.length + (tiff.length % 2);
+    const gpsIfd = this.buildGpsIfd(gps, gpsOffset, io);
+    const newIfd0Offset = gpsOffset + gpsIfd.length;
+
+    const gpsPointer = Buffer.alloc(12);
+    io.write16(gpsPointer, 0x8825, 0);
+    io.write16(gpsPointer, 4, 2); // LONG
+    io.write32(gpsPointer, 1, 4);
+    io.write32(gpsPointer, gpsOffset, 8);
+    entries.push(gpsPointer);
+    entries.sort((a, b) => io.read16(a, 0) - io.read16(b, 0));
+
+    const ifd0 = Buffer.alloc(2 + entries.length * 12 + 4);
+    io.write16(ifd0, entries.length, 0);
+    entries.forEach((entry, index) => entry.copy(ifd0, 2 + index * 12));
+    io.write32(ifd0, nextIfdOffset, 2 + entries.length * 12);
+
+    const result = Buffer.concat([tiff, Buffer.alloc(gpsOffset - tiff.length), gpsIfd, ifd0]);
+    io.write32(result, newIfd0Offset, 4);
+    return result;
+  }
+
+  /**
+   * Build a GPS IFD with its values
+   * @param {{latitude: number, longitude: number, altitude: number|null}} gps - Position
+   * @param {number} offset - Offset of the IFD within the TIFF data
+   * @param {object} io - Byte order helpers
+   * @returns {Buffer}
+   */
+  buildGpsIfd(gps, offset, io) {
+    const BYTE = 1;
+    const ASCII = 2;
+    const RATIONAL = 5;
+
+    const entries = [
+      { tag: 0x0000, type: BYTE, count: 4, inline: Buffer.from([2, 2, 0, 0]) },
+      { tag: 0x0001, type: ASCII, count: 2, inline: Buffer.from(gps.latitude < 0 ? 'S\0' : 'N\0', 'latin1') },
+      { tag: 0x0002, type: RATIONAL, count: 3, values: this.toDegreesMinutesSeconds(gps.latitude) },
+      { tag: 0x0003, type: ASCII, count: 2, inline: Buffer.from(gps.longitude < 0 ? 'W\0' : 'E\0', 'latin1') },
+      { tag: 0x0004, type: RATIONAL, count: 3, values: this.toDegreesMinutesSeconds(gps.longitude) },
+    ];
+    if (gps.altitude !== null) {
+      entries.push(
+        { tag: 0x0005, type: BYTE, count: 1, inline: Buffer.from([gps.altitude < 0 ? 1 : 0]) },
+        { tag: 0x0006, type: RATIONAL, count: 1, values: [[Math.round(Math.abs(gps.altitude) * 100), 100]] }
+      );
+    }
+
+    const headerSize = 2 + entries.length * 12 + 4;
+    const valueSize = entries.reduce((sum, entry) => sum + (entry.values ? entry.values.length * 8 : 0), 0);
+    const ifd = Buffer.alloc(headerSize + valueSize);
+    let valueOffset = headerSize;
+
+    io.write16(ifd, entries.length, 0);
+    entries.forEach((entry, index) => {
+      const position = 2 + index * 12;
+      io.write16(ifd, entry.tag, position);
+      io.write16(ifd, entry.type, position + 2);
+      io.write32(ifd, entry.count, position + 4);
+
+      if (entry.inline) {
+        entry.inline.copy(ifd, position + 8);
+      } else {
+        io.write32(ifd, offset + valueOffset, position + 8);
+        for (const [numerator, denominator] of entry.values) {
+          io.write32(ifd, numerator, valueOffset);
+          io.write32(ifd, denominator, valueOffset + 4);
+          valueOffset += 8;
+        }
+      }
+    });
+    io.write32(ifd, 0, 2 + entries.length * 12); // No next IFD
+
+    return ifd;
+  }
+
+  /**
+   * Convert decimal degrees to EXIF degrees, minutes and seconds rationals
+   * @param {number} value - Decimal degrees
+   * @returns {Array<[number, number]>}
+   */
+  toDegreesMinutesSeconds(value) {
+    // Work in ten-thousandths of a second so rounding never produces 60 seconds
+    const units = Math.round(Math.abs(value) * 3600 * 10000);
+    const degrees = Math.floor(units / 36000000);
+    const minutes = Math.floor((units % 36000000) / 600000);
+    const seconds = units % 600000;
+    return [[degrees, 1], [minutes, 1], [seconds, 10000]];
+  }
+
+  /**
+   * Byte order helpers for TIFF data
+   * @param {boolean} littleEndian - Intel (II) byte order
+   * @returns {object}
+   */
+  getByteOrder(littleEndian) {
+    return littleEndian
+      ? {
+        read16: (buffer, offset) => buffer.readUInt16LE(offset),
+        read32: (buffer, offset) => buffer.readUInt32LE(offset),
+        write16: (buffer, value, offset) => buffer.writeUInt16LE(value, offset),
+        write32: (buffer, value, offset) => buffer.writeUInt32LE(value, offset),
+      }
+      : {
+        read16: (buffer, offset) => buffer.readUInt16BE(offset),
+        read32: (buffer, offset) => buffer.readUInt32BE(offset),
+        write16: (buffer, value, offset) => buffer.writeUInt16BE(value, offset),
+        write32: (buffer, value, offset) => buffer.writeUInt32BE(value, offset),
+      };
+  }
+
+  /**
+   * Build IPTC-IIM data for the title, caption and keywords
+   * @param {object} metadata - Metadata
+   * @returns {Buffer|null} IPTC data, or null if there is nothing to write
+   */
+  buildIptc(metadata) {
+    const { objectName, keyword, caption } = JpegMetadataWriter.IPTC_LIMITS;
+    const datasets = [];
+
+    if (metadata.title) datasets.push(this.encodeDataset(2, 5, this.truncateUtf8(metadata.title, objectName)));
+    (metadata.keywords || []).forEach(k => datasets.push(this.encodeDataset(2, 25, this.truncateUtf8(k, keyword))));
+    if (metadata.caption) datasets.push(this.encodeDataset(2, 120, this.truncateUtf8(metadata.caption, caption)));
+
+    if (datasets.length === 0) {
+      return null;
+    }
+
+    // Record 1 declares UTF-8 (ESC % G); record 2 starts with its version
+    return Buffer.concat([
+      this.encodeDataset(1, 90, Buffer.from([0x1B, 0x25, 0x47])),
+      this.encodeDataset(2, 0, Buffer.from([0x00, 0x04])),
+      ...datasets,
+    ]);
+  }
+
+  /**
+   * Encode an IPTC-IIM dataset
+   * @param {number} record - Record number
+   * @param {number} dataset - Dataset number
+   * @param {Buffer} value - Value
+   * @returns {Buffer}
+   */
+  encodeDataset(record, dataset, value) {
+    const header = Buffer.from([0x1C, record, dataset, 0, 0]);
+    header.writeUInt16BE(value.length, 3);
+    return Buffer.concat([header, value]);
+  }
+
+  /**
+   * Encode text as UTF-8, cut to a byte limit without splitting a character
+   * @param {string} text - Text
+   * @param {number} maxBytes - Byte limit
+   * @returns {Buffer}
+   */
+  truncateUtf8(text, maxBytes) {
+    const bytes = Buffer.from(String(text), 'utf8');
+    if (bytes.length <= maxBytes) {
+      return bytes;
+    }
+
+    let end = maxBytes;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) {
+      end--;
+    }
+    return bytes.subarray(0, end);
+  }
+
+  /**
+   * Split Photoshop image resources
+   * @param {Buffer} data - APP13 contents after the "Photoshop 3.0" header
+   * @returns {Array<{id: number, raw: Buffer}>}
+   */
+  parseResources(data) {
+    const resources = [];
+    let offset = 0;
+
+    while (offset + 12 <= data.length && data.toString('latin1', offset, offset + 4) === '8BIM') {
+      const id = data.readUInt16BE(offset + 4);
+      const nameLength = data[offset + 6];
+      const sizeOffset = offset + 6 + nameLength + 1 + ((nameLength + 1) % 2);
+      if (sizeOffset + 4 > data.length) break;
+
+      const size = data.readUInt32BE(sizeOffset);
+      if (sizeOffset + 4 + size > data.length) break;
+
+      const end = Math.min(sizeOffset + 4 + size + (size % 2), data.length);
+      resources.push({ id, raw: data.subarray(offset, end) });
+      offset = end;
+    }
+
+    return resources;
+  }
+
+  /**
+   * Encode a Photoshop image resource with an empty name
+   * @param {number} id - Resource ID
+   * @param {Buffer} data - Resource data
+   * @returns {Buffer}
+   */
+  encodeResource(id, data) {
+    const header = Buffer.alloc(12);
+    header.write('8BIM', 0, 'latin1');
+    header.writeUInt16BE(id, 4);
+    // Bytes 6-7: empty name, padded to an even length
+    header.writeUInt32BE(data.length, 8);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+  }
+}
+
+export default JpegMetadataWriter;
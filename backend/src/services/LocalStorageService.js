@@ -1,5 +1,9 @@
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { IntegrityError, NotFoundError, PermissionError, classifyFsError } from './MigrationErrors.js';
 
 /**
  * Local Storage Service
@@ -48,12 +52,12 @@ class LocalStorageService {
       };
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error(`Path does not exist: ${this.destinationPath}`);
+        throw new NotFoundError(`Path does not exist: ${this.destinationPath}`, { service: 'local', serviceCode: error.code });
       }
       if (error.code === 'EACCES') {
-        throw new Error(`Permission denied: ${this.destinationPath}`);
+        throw new PermissionError(`Permission denied: ${this.destinationPath}`, { service: 'local', serviceCode: error.code });
       }
-      throw new Error(`Path validation failed: ${error.message}`);
+      throw classifyFsError(error, 'Path validation failed');
     }
   }
 
@@ -63,28 +67,42 @@ class LocalStorageService {
    * @param {Buffer} fileData - File contents
    * @param {string} fileName - Destination filename
    * @param {string} contentType - MIME type (ignored for local storage)
+   * @param {string|null} sha1 - Expected SHA1 of fileData; the written file is checked against it
+   * @param {object} options - Options
+   * @param {boolean} options.overwrite - Replace an existing file instead of adding a suffix
    * @returns {Promise<object>} Upload result
    */
-  async uploadFileWithRetry(fileData, fileName, contentType = 'application/octet-stream') {
+  async uploadFileWithRetry(fileData, fileName, contentType = 'application/octet-stream', sha1 = null, { overwrite = false } = {}) {
     try {
       if (!this.validated) {
         await this.testConnection();
       }
 
-      const filePath = path.join(this.destinationPath, fileName);
+      const filePath = this.resolveDestinationPath(fileName);
+      const directory = path.dirname(filePath);
+
+      // Keys may contain folder/album prefixes
+      await fs.mkdir(directory, { recursive: true });
 
       // Handle filename conflicts by adding suffix
       let finalPath = filePath;
       let attempt = 0;
-      while (await this.fileExists(finalPath)) {
+      while (!overwrite && await this.fileExists(finalPath)) {
         attempt++;
         const ext = path.extname(fileName);
         const base = path.basename(fileName, ext);
-        finalPath = path.join(this.destinationPath, `${base}_${attempt}${ext}`);
+        finalPath = path.join(directory, `${base}_${attempt}${ext}`);
       }
 
       await fs.writeFile(finalPath, fileData, { mode: 0o644 });
 
+      // Hash what actually landed on disk, not the buffer we meant to write
+      const contentSha1 = await this.hashFile(finalPath);
+      if (sha1 && contentSha1 !== sha1) {
+        await fs.unlink(finalPath).catch(() => {});
+        throw new IntegrityError(`SHA1 mismatch: expected ${sha1}, wrote ${contentSha1}`, { service: 'local' });
+      }
+
       this.uploadedCount++;
       this.totalSize += fileData.length;
 
@@ -94,23 +112,262 @@ class LocalStorageService {
 
       return {
         success: true,
-        fileName: path.basename(finalPath),
+        fileName: this.toDestinationKey(finalPath),
         filePath: finalPath,
         contentLength: fileData.length,
+        contentSha1,
       };
     } catch (error) {
-      this.failedCount++;
-      this.errors.push({
-        fileName,
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      });
+      return this.recordFailure(fileName, error);
+    }
+  }
 
-      return {
-        success: false,
-        fileName,
-        error: error.message,
-      };
+  /**
+   * "Upload" a file from a stream by writing it into the destination folder
+   * Matches BackBlazeB2Service.uploadStreamWithRetry. The stream is written through an
+   * upload sink, so the SHA1 is checked before the file is moved into place and a
+   * clashing name gets a _N suffix.
+   * @param {Function} openStream - Returns a new readable stream of the file
+   * @param {string} fileName - Destination key
+   * @param {string} contentType - MIME type (ignored for local storage)
+   * @param {{size: number, sha1: string}} source - Byte length and SHA1 of the stream
+   * @param {object} options - Options
+   * @param {boolean} options.overwrite - Replace an existing file instead of adding a suffix
+   * @returns {Promise<object>} Upload result
+   */
+  async uploadStreamWithRetry(openStream, fileName, contentType = 'application/octet-stream', { size = null, sha1 = null } = {}, { overwrite = false } = {}) {
+    let sink = null;
+
+    try {
+      sink = await this.createUploadSink(fileName, contentType, { overwrite });
+      await pipeline(openStream(), sink.stream);
+      return await sink.commit({ size, sha1 });
+    } catch (error) {
+      if (sink) {
+        await sink.abort();
+      }
+      return this.recordFailure(fileName, error);
+    }
+  }
+
+  /**
+   * Record a failed write and build its upload result
+   * @param {string} fileName - Destination key
+   * @param {Error} error - What went wrong
+   * @returns {object} Failed upload result
+   */
+  recordFailure(fileName, error) {
+    const typed = classifyFsError(error, 'Failed to write file');
+    this.failedCount++;
+    this.errors.push({
+      fileName,
+      error: typed.message,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: false,
+      fileName,
+      error: typed.message,
+      errorCode: typed.code,
+      retryable: typed.retryable,
+    };
+  }
+
+  /**
+   * Create a sink that streams a download straight into the destination folder
+   * Data is written to a hidden partial file and only linked into place once the
+   * downloader's checksums match what landed on disk, so no temp staging is needed.
+   * @param {string} fileName - Destination key
+   * @param {string} contentType - MIME type (ignored for local storage)
+   * @param {object} options - Options
+   * @param {boolean} options.overwrite - Replace an existing file instead of adding a suffix
+   * @returns {Promise<{stream: Writable, commit: Function, abort: Function}>}
+   */
+  async createUploadSink(fileName, contentType = 'application/octet-stream', { overwrite = false } = {}) {
+    if (!this.validated) {
+      await this.testConnection();
+    }
+
+    const filePath = this.resolveDestinationPath(fileName);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const partialPath = path.join(
+      path.dirname(filePath),
+      `.${path.basename(filePath)}.partial-${crypto.randomBytes(4).toString('hex')}`
+    );
+    const stream = createWriteStream(partialPath, { mode: 0o644 });
+
+    const abort = async () => {
+      stream.destroy();
+      await fs.unlink(partialPath).catch(() => {});
+    };
+
+    const commit = async (checksums) => {
+      try {
+        const contentSha1 = await this.hashFile(partialPath);
+        if (checksums?.sha1 && contentSha1 !== checksums.sha1) {
+          throw new IntegrityError(`SHA1 mismatch: expected ${checksums.sha1}, wrote ${contentSha1}`, { service: 'local' });
+        }
+
+        let finalPath = filePath;
+        if (overwrite) {
+          await fs.rename(partialPath, filePath);
+        } else {
+          finalPath = await this.moveIntoPlace(partialPath, filePath);
+        }
+
+        this.uploadedCount++;
+        this.totalSize += checksums?.size || 0;
+
+        if (this.progressCallback) {
+          this.progressCallback(this.uploadedCount, null, fileName);
+        }
+
+        return {
+          success: true,
+          fileName: this.toDestinationKey(finalPath),
+          filePath: finalPath,
+          contentLength: checksums?.size,
+          contentSha1,
+        };
+      } catch (error) {
+        await abort();
+        throw error;
+      }
+    };
+
+    return { stream, commit, abort };
+  }
+
+  /**
+   * Move a finished file to its destination, adding a _N suffix on clashes
+   * Hard-linking fails atomically if the name is taken, so concurrent writers never
+   * overwrite each other. Filesystems without hard links (e.g. exFAT) fall back to
+   * check-then-rename.
+   * @param {string} sourcePath - Finished file
+   * @param {string} filePath - Desired destination path
+   * @returns {Promise<string>} Final path
+   */
+  async moveIntoPlace(sourcePath, filePath) {
+    const ext = path.extname(filePath);
+    const base = path.basename(filePath, ext);
+    const directory = path.dirname(filePath);
+    const candidateFor = attempt =>
+      attempt === 0 ? filePath : path.join(directory, `${base}_${attempt}${ext}`);
+
+    for (let attempt = 0; ; attempt++) {
+      const candidate = candidateFor(attempt);
+      try {
+        await fs.link(sourcePath, candidate);
+        await fs.unlink(sourcePath);
+        return candidate;
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          continue;
+        }
+        if (!['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'].includes(error.code)) {
+          throw error;
+        }
+
+        let fallback = candidate;
+        for (let next = attempt + 1; await this.fileExists(fallback); next++) {
+          fallback = candidateFor(next);
+        }
+        await fs.rename(sourcePath, fallback);
+        return fallback;
+      }
+    }
+  }
+
+  /**
+   * Resolve a destination key (e.g. "Family/2019/IMG_0001.jpg") to a path
+   * under the destination folder
+   * @param {string} key - Destination key using forward slashes
+   * @returns {string} Absolute file path
+   */
+  resolveDestinationPath(key) {
+    const root = path.resolve(this.destinationPath);
+    const filePath = path.resolve(root, ...key.split('/'));
+
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Destination key escapes destination folder: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Convert a file path under the destination folder back to a destination key
+   * @param {string} filePath - Absolute file path
+   * @returns {string} Destination key using forward slashes
+   */
+  toDestinationKey(filePath) {
+    return path
+      .relative(path.resolve(this.destinationPath), filePath)
+      .split(path.sep)
+      .join('/');
+  }
+
+  /**
+   * List every file under the destination folder
+   * SHA1s are not computed here; use getFileSha1() for the files that matter.
+   * @returns {Promise<Array<{fileName: string, contentLength: number, contentSha1: null}>>}
+   */
+  async listAllFiles() {
+    const root = path.resolve(this.destinationPath);
+    const files = [];
+
+    const walk = async (directory) => {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.stat(entryPath);
+          files.push({
+            fileName: this.toDestinationKey(entryPath),
+            contentLength: stats.size,
+            contentSha1: null,
+          });
+        }
+      }
+    };
+
+    try {
+      await walk(root);
+      return files;
+    } catch (error) {
+      console.error('List local files error:', error);
+      throw classifyFsError(error, 'Failed to list files');
+    }
+  }
+
+  /**
+   * Compute the SHA1 of a stored file by destination key
+   * @param {string} key - Destination key
+   * @returns {Promise<string>} SHA1 hex digest
+   */
+  async getFileSha1(key) {
+    return this.hashFile(this.resolveDestinationPath(key));
+  }
+
+  /**
+   * Compute the SHA1 of a file on disk
+   * @param {string} filePath - Full path to file
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const hash = crypto.createHash('sha1');
+      for await (const chunk of handle.createReadStream()) {
+        hash.update(chunk);
+      }
+      return hash.digest('hex');
+    } finally {
+      await handle.close();
     }
   }
 
@@ -1,12 +1,35 @@
 /**
  * Metadata Service
- * Handles extraction of SmugMug metadata and generation of JSON sidecar files
+ * Handles extraction of SmugMug metadata and generation of JSON and XMP sidecar files
  */
 class MetadataService {
   constructor() {
     this.extractionErrors = [];
   }
 
+  /**
+   * Sidecar formats a migration can write
+   */
+  static SIDECAR_FORMATS = ['json', 'xmp', 'both'];
+
+  /**
+   * Content types of the sidecar files
+   */
+  static SIDECAR_CONTENT_TYPES = {
+    json: 'application/json',
+    xmp: 'application/rdf+xml',
+  };
+
+  /**
+   * XMP namespaces written to XMP sidecars
+   */
+  static XMP_NAMESPACES = {
+    dc: 'http://purl.org/dc/elements/1.1/',
+    photoshop: 'http://ns.adobe.com/photoshop/1.0/',
+    exif: 'http://ns.adobe.com/exif/1.0/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+  };
+
   /**
    * Extract complete metadata from SmugMug API response or Asset object
    * @param {object} source - Image object from SmugMug API or Asset object
@@ -27,6 +50,8 @@ class MetadataService {
         // Album info
         albumName: data.albumName || albumInfo.name || null,
         albumKey: data.albumKey || null,
+        albumPath: data.albumPath || null,
+        albumPosition: data.albumPosition ?? null,
 
         // Timestamps
         retrievedFromSmugmug: new Date().toISOString(),
@@ -38,6 +63,8 @@ class MetadataService {
         title: data.title || null,
         caption: data.caption || null,
         keywords: data.keywords || [],
+        rating: data.rating ?? null,
+        comments: data.comments || null,
 
         // File properties
         format: data.format || null,
@@ -96,12 +123,16 @@ class MetadataService {
         assetId: source.assetId || source.imageKey,
         albumName: source.albumName,
         albumKey: source.albumKey,
+        albumPath: source.getAlbumPath?.() || null,
+        albumPosition: source.albumPosition,
         dateTaken: source.dateTaken,
         dateUploaded: source.dateUploaded,
         dateModified: source.dateModified,
         title: source.title,
         caption: source.caption,
         keywords: this.normalizeKeywords(source.keywords),
+        rating: source.rating,
+        comments: source.comments,
         format: source.format,
         fileSize: source.originalSize,
         dimensions: source.originalWidth && source.originalHeight ? {
@@ -132,6 +163,7 @@ class MetadataService {
       title: source.Title || source.title,
       caption: source.Caption || source.caption,
       keywords: this.extractKeywords(source),
+      rating: source.Rating ?? source.rating,
       format: source.Format || source.format,
       fileSize: source.OriginalSize || source.ArchivedSize || source.originalSize,
       dimensions: source.OriginalWidth && source.OriginalHeight ? {
@@ -334,6 +366,185 @@ class MetadataService {
     return `${originalFilename}.json`;
   }
 
+  /**
+   * Get the sidecar types written for a sidecar format
+   * @param {string} format - 'json', 'xmp' or 'both'
+   * @returns {Array<string>} Sidecar types, e.g. ['json', 'xmp']
+   */
+  getSidecarTypes(format = 'json') {
+    return format === 'both' ? ['json', 'xmp'] : [format];
+  }
+
+  /**
+   * Generate sidecar file content
+   * @param {string} type - 'json' or 'xmp'
+   * @param {object} metadata - Extracted metadata
+   * @returns {string} Sidecar content
+   */
+  generateSidecar(type, metadata) {
+    return type === 'xmp' ? this.generateXmpSidecar(metadata) : this.generateJsonSidecar(metadata);
+  }
+
+  /**
+   * Generate filename for a sidecar
+   * @param {string} type - 'json' or 'xmp'
+   * @param {string} originalFilename - Original asset filename
+   * @returns {string} Sidecar filename
+   */
+  getSidecarFilename(type, originalFilename) {
+    return type === 'xmp'
+      ? this.getXmpSidecarFilename(originalFilename)
+      : this.getJsonSidecarFilename(originalFilename);
+  }
+
+  /**
+   * Get the content type of a sidecar
+   * @param {string} type - 'json' or 'xmp'
+   * @returns {string} Content type
+   */
+  getSidecarContentType(type) {
+    return MetadataService.SIDECAR_CONTENT_TYPES[type];
+  }
+
+  /**
+   * Generate XMP sidecar file content
+   * Maps title and caption to dc:title and dc:description, keywords to dc:subject,
+   * the album to photoshop:Source, dateTaken to photoshop:DateCreated and
+   * exif:DateTimeOriginal, GPS to the exif:GPS* properties, and rating to xmp:Rating.
+   * @param {object} metadata - Extracted metadata
+   * @returns {string} XMP packet
+   */
+  generateXmpSidecar(metadata) {
+    try {
+      const properties = [];
+      const langAlt = (name, value) => properties.push(
+        `<${name}><rdf:Alt><rdf:li xml:lang="x-default">${this.escapeXml(value)}</rdf:li></rdf:Alt></${name}>`
+      );
+      const simple = (name, value) => properties.push(`<${name}>${this.escapeXml(value)}</${name}>`);
+
+      if (metadata.title) langAlt('dc:title', metadata.title);
+      if (metadata.caption) langAlt('dc:description', metadata.caption);
+      if (metadata.keywords?.length > 0) {
+        const items = metadata.keywords.map(keyword => `<rdf:li>${this.escapeXml(keyword)}</rdf:li>`).join('');
+        properties.push(`<dc:subject><rdf:Bag>${items}</rdf:Bag></dc:subject>`);
+      }
+
+      // Files stored once for several albums list every album
+      const albums = metadata.albums?.length > 0
+        ? metadata.albums.map(album => album.albumPath || album.albumName)
+        : [metadata.albumPath || metadata.albumName];
+      const source = [...new Set(albums.filter(Boolean))].join('; ');
+      if (source) simple('photoshop:Source', source);
+
+      const dateTaken = this.formatXmpDate(metadata.dateTaken);
+      if (dateTaken) {
+        simple('photoshop:DateCreated', dateTaken);
+        simple('exif:DateTimeOriginal', dateTaken);
+      }
+
+      const gps = metadata.gpsCoordinates;
+      // 0,0 almost always means no position was recorded
+      if (gps && this.isCoordinate(gps.latitude, 90) && this.isCoordinate(gps.longitude, 180) &&
+          !(Number(gps.latitude) === 0 && Number(gps.longitude) === 0)) {
+        simple('exif:GPSVersionID', '2.2.0.0');
+        simple('exif:GPSLatitude', this.formatXmpCoordinate(Number(gps.latitude), 'N', 'S'));
+        simple('exif:GPSLongitude', this.formatXmpCoordinate(Number(gps.longitude), 'E', 'W'));
+        const altitude = Number(gps.altitude ?? NaN);
+        if (Number.isFinite(altitude)) {
+          simple('exif:GPSAltitudeRef', altitude < 0 ? '1' : '0');
+          simple('exif:GPSAltitude', `${Math.round(Math.abs(altitude) * 100)}/100`);
+        }
+      }
+
+      const rating = Number(metadata.rating ?? NaN);
+      if (Number.isInteger(rating) && rating >= -1 && rating <= 5) {
+        simple('xmp:Rating', String(rating));
+      }
+
+      const namespaces = Object.entries(MetadataService.XMP_NAMESPACES)
+        .map(([prefix, uri]) => `\n      xmlns:${prefix}="${uri}"`)
+        .join('');
+
+      return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="smugmug-retrieve">',
+        '  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        `    <rdf:Description rdf:about=""${namespaces}>`,
+        ...properties.map(property => `      ${property}`),
+        '    </rdf:Description>',
+        '  </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>',
+        '',
+      ].join('\n');
+    } catch (error) {
+      console.error('XMP generation error:', error);
+      throw new Error(`Failed to generate XMP: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate filename for XMP sidecar
+   * The full filename is kept (IMG_0001.CR2.xmp, as darktable and digiKam write them)
+   * so a RAW and a JPEG with the same base name get separate sidecars.
+   * @param {string} originalFilename - Original asset filename
+   * @returns {string} XMP sidecar filename
+   */
+  getXmpSidecarFilename(originalFilename) {
+    return `${originalFilename}.xmp`;
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Format a date for XMP (ISO 8601); SmugMug dates are kept as given when already ISO
+   * @param {string|undefined} value - Date
+   * @returns {string|null} XMP date, or null if it can't be parsed
+   */
+  formatXmpDate(value) {
+    if (!value || Number.isNaN(Date.parse(value))) {
+      return null;
+    }
+    return /^\d{4}-\d{2}-\d{2}/.test(value) ? value : new Date(value).toISOString();
+  }
+
+  /**
+   * Check that a coordinate is a number within range
+   * @param {*} value - Latitude or longitude
+   * @param {number} limit - 90 or 180
+   * @returns {boolean}
+   */
+  isCoordinate(value, limit) {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) && Math.abs(number) <= limit;
+  }
+
+  /**
+   * Format a coordinate the way XMP's exif:GPSLatitude/GPSLongitude expect: "DDD,MM.mmmmmmR"
+   * @param {number} value - Decimal degrees
+   * @param {string} positive - Reference for positive values ('N' or 'E')
+   * @param {string} negative - Reference for negative values ('S' or 'W')
+   * @returns {string}
+   */
+  formatXmpCoordinate(value, positive, negative) {
+    const absolute = Math.abs(value);
+    const degrees = Math.floor(absolute);
+    const minutes = (absolute - degrees) * 60;
+    return `${degrees},${minutes.toFixed(6)}${value < 0 ? negative : positive}`;
+  }
+
   /**
    * Validate JSON schema consistency
    * @param {object} metadata - Metadata object
@@ -0,0 +1,159 @@
+import BackBlazeB2Service from './BackBlazeB2Service.js';
+import LocalStorageService from './LocalStorageService.js';
+import DestinationPathTemplate from './DestinationPathTemplate.js';
+import CheckpointJournal from './CheckpointJournal.js';
+import FileSystemManager from './FileSystemManager.js';
+import AlbumSelection from './AlbumSelection.js';
+import AssetFilter from './AssetFilter.js';
+import MetadataService from './MetadataService.js';
+
+/**
+ * Migration Config
+ * Turns a migration request (the /api/migration/start body, or the CLI's config
+ * file merged with the environment) into the configuration MigrationOrchestrator
+ * expects, and connects to the destination it names.
+ *
+ * Shared by the HTTP routes and the smugmug-retrieve CLI so both validate the
+ * same way.
+ */
+class MigrationConfig {
+  /**
+   * Validate a migration request and build the orchestrator configuration
+   * @param {object} body - Migration request
+   * @param {object} [options]
+   * @param {boolean} [options.allowStateDir=false] - Honor body.stateDir; only the CLI sets this,
+   *   HTTP clients must not choose where the server reads and writes session state
+   * @returns {{config?: object, error?: string}} Configuration or validation error
+   */
+  static build(body, { allowStateDir = false } = {}) {
+    const { smugmug, backblaze, localStorage, destinationType, testMode, testAssetLimit, excludeVideos, preserveStructure, pathTemplate, syncMode, stateDir, selection, filter, dedupe, sidecarFormat, embedMetadata, keepOriginals, includeComments } = body;
+
+    // Validate SmugMug configuration
+    if (!smugmug?.apiKey || !smugmug?.apiSecret) {
+      return { error: 'SmugMug API credentials are required' };
+    }
+
+    if (!smugmug?.accessToken || !smugmug?.accessTokenSecret) {
+      return { error: 'SmugMug access tokens are required. Please complete OAuth flow first.' };
+    }
+
+    // Validate storage destination based on type
+    const destType = destinationType || 'b2';
+
+    if (destType === 'local') {
+      if (!localStorage?.path) {
+        return { error: 'Local destination path is required' };
+      }
+    } else {
+      // Default to B2
+      if (!backblaze?.accountId || !backblaze?.applicationKey || !backblaze?.bucketName) {
+        return { error: 'BackBlaze B2 credentials are required' };
+      }
+
+      if (backblaze.largeFileThresholdMB !== undefined && backblaze.largeFileThresholdMB !== null &&
+          !(Number(backblaze.largeFileThresholdMB) >= 5)) {
+        return { error: 'Large file threshold must be at least 5 MB' };
+      }
+    }
+
+    // Validate custom destination path template
+    const template = typeof pathTemplate === 'string' ? pathTemplate.trim() : '';
+    if (template) {
+      const { valid, errors } = DestinationPathTemplate.validate(template);
+      if (!valid) {
+        return { error: `Invalid destination path template: ${errors.join('; ')}` };
+      }
+    }
+
+    // Validate album/folder selection
+    const albumSelection = AlbumSelection.normalize(selection);
+    if (albumSelection.error) {
+      return { error: albumSelection.error };
+    }
+
+    // Validate asset filter
+    const assetFilter = AssetFilter.normalize(filter);
+    if (assetFilter.error) {
+      return { error: `Invalid asset filter: ${assetFilter.error}` };
+    }
+
+    // Validate sidecar format
+    if (sidecarFormat && !MetadataService.SIDECAR_FORMATS.includes(sidecarFormat)) {
+      return { error: `Sidecar format must be one of ${MetadataService.SIDECAR_FORMATS.join(', ')}, got "${sidecarFormat}"` };
+    }
+
+    return {
+      config: {
+        smugmug: {
+          apiKey: smugmug.apiKey,
+          apiSecret: smugmug.apiSecret,
+          accessToken: smugmug.accessToken,
+          accessTokenSecret: smugmug.accessTokenSecret
+        },
+        destinationType: destType,
+        backblaze: destType === 'b2' ? {
+          accountId: backblaze.accountId,
+          applicationKey: backblaze.applicationKey,
+          bucketName: backblaze.bucketName,
+          largeFileThresholdMB: Number(backblaze.largeFileThresholdMB || process.env.B2_LARGE_FILE_THRESHOLD_MB) || null
+        } : null,
+        localStorage: destType === 'local' ? {
+          path: localStorage.path
+        } : null,
+        testMode: testMode || false,
+        testAssetLimit: testAssetLimit || 10,
+        excludeVideos: excludeVideos === true, // Videos are migrated unless excluded
+        preserveStructure: preserveStructure !== false, // Default to true
+        pathTemplate: template || null,
+        syncMode: syncMode || false,
+        selection: albumSelection.selection,
+        filter: assetFilter.filter,
+        dedupe: dedupe === true, // Store files shared by several albums once
+        sidecarFormat: sidecarFormat || 'json',
+        embedMetadata: embedMetadata === true, // Write SmugMug metadata into JPEGs
+        keepOriginals: embedMetadata === true && keepOriginals === true,
+        includeComments: includeComments === true, // Fetch each image's SmugMug comments
+        stateDir: (allowStateDir && stateDir) || process.env.STATE_DIR || null
+      }
+    };
+  }
+
+  /**
+   * Build the checkpoint journal for a session from its state directory
+   * Mirrors MigrationOrchestrator: the state dir if configured, otherwise the session's log dir.
+   * @param {string} sessionId - Migration session ID
+   * @param {string} [stateDir] - State directory from the CLI's --state-dir; HTTP routes omit it
+   * @returns {CheckpointJournal}
+   */
+  static getSessionJournal(sessionId, stateDir) {
+    const directory = stateDir || process.env.STATE_DIR || new FileSystemManager(sessionId).getPaths().logs;
+    return new CheckpointJournal(sessionId, directory);
+  }
+
+  /**
+   * Validate the destination part of a migration request and connect to it
+   * @param {object} body - Migration request
+   * @returns {Promise<{storageService?: object, error?: string}>}
+   */
+  static async connectDestination(body) {
+    const { destinationType, localStorage, backblaze } = body;
+
+    if ((destinationType || 'b2') === 'local') {
+      if (!localStorage?.path) {
+        return { error: 'Local destination path is required' };
+      }
+      const storageService = new LocalStorageService(localStorage.path);
+      await storageService.testConnection();
+      return { storageService };
+    }
+
+    if (!backblaze?.accountId || !backblaze?.applicationKey || !backblaze?.bucketName) {
+      return { error: 'BackBlaze B2 credentials are required' };
+    }
+    const storageService = new BackBlazeB2Service(backblaze.accountId, backblaze.applicationKey);
+    await storageService.testConnection(backblaze.bucketName);
+    return { storageService };
+  }
+}
+
+export default MigrationConfig;
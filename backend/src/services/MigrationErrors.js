@@ -0,0 +1,273 @@
+/**
+ * Migration Errors
+ * Typed errors shared by the SmugMug, storage and download services.
+ *
+ * Each error carries a stable `code` for the error log, a `retryable` flag for
+ * retry loops, and where known the HTTP `status`, the originating `service` and
+ * that service's own error code (`serviceCode`, e.g. SmugMug's Code or B2's
+ * "storage_cap_exceeded"). Wrapping with `wrapError()` adds context to the
+ * message without losing the type.
+ */
+
+/**
+ * Base class for all typed migration errors
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details
+   * @param {string} options.code - Stable error code
+   * @param {boolean} options.retryable - Whether retrying may succeed
+   * @param {number|null} options.status - HTTP status
+   * @param {string|null} options.service - Originating service (smugmug, b2, local, download)
+   * @param {string|number|null} options.serviceCode - Service-specific error code
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || this.constructor.CODE;
+    this.retryable = options.retryable ?? this.constructor.RETRYABLE;
+    this.status = options.status ?? null;
+    this.service = options.service ?? null;
+    this.serviceCode = options.serviceCode ?? null;
+  }
+
+  static CODE = 'MIGRATION_ERROR';
+  static RETRYABLE = false;
+
+  /**
+   * Fields for ErrorLogger.logError()
+   * @returns {{errorCode: string, retryable: boolean, additionalData: object}}
+   */
+  toLogFields() {
+    return {
+      errorCode: this.code,
+      retryable: this.retryable,
+      additionalData: {
+        status: this.status,
+        service: this.service,
+        serviceCode: this.serviceCode,
+      },
+    };
+  }
+}
+
+/**
+ * Credentials missing, invalid or expired
+ */
+export class AuthError extends MigrationError {
+  static CODE = 'AUTH_FAILED';
+}
+
+/**
+ * Request rejected for exceeding the service's rate limit
+ */
+export class RateLimitError extends MigrationError {
+  static CODE = 'RATE_LIMITED';
+  static RETRYABLE = true;
+
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details, plus retryAfter (ms)
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * Album, image, bucket, file or path does not exist
+ */
+export class NotFoundError extends MigrationError {
+  static CODE = 'NOT_FOUND';
+}
+
+/**
+ * Timeouts, dropped connections and 5xx responses
+ */
+export class TransientNetworkError extends MigrationError {
+  static CODE = 'TRANSIENT_NETWORK';
+  static RETRYABLE = true;
+}
+
+/**
+ * Destination is out of space or over its storage/transaction cap
+ */
+export class StorageQuotaError extends MigrationError {
+  static CODE = 'STORAGE_QUOTA';
+}
+
+/**
+ * Transferred data does not match the expected size or checksum
+ * Retryable, since a fresh transfer usually succeeds.
+ */
+export class IntegrityError extends MigrationError {
+  static CODE = 'INTEGRITY_MISMATCH';
+  static RETRYABLE = true;
+}
+
+/**
+ * Authenticated, but not allowed to read or write the resource
+ */
+export class PermissionError extends MigrationError {
+  static CODE = 'PERMISSION_DENIED';
+}
+
+/**
+ * Network error codes from Node/axios that indicate a transient failure
+ */
+const TRANSIENT_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ERR_STREAM_PREMATURE_CLOSE',
+];
+
+/**
+ * B2 error codes that mean a cap or quota was reached
+ */
+const B2_QUOTA_CODES = ['storage_cap_exceeded', 'transaction_cap_exceeded', 'download_cap_exceeded', 'cap_exceeded'];
+
+/**
+ * B2 auth codes that a fresh token (new upload URL or re-authorize) fixes
+ */
+const B2_REFRESHABLE_AUTH_CODES = ['expired_auth_token', 'bad_auth_token'];
+
+/**
+ * Filesystem error codes handled by classifyFsError()
+ */
+const FS_CODES = ['ENOSPC', 'EDQUOT', 'EACCES', 'EPERM', 'EROFS', 'ENOENT'];
+
+/**
+ * Convert an axios/HTTP error into a typed error
+ * @param {Error} error - Error from axios or an axios-based client
+ * @param {string} service - Originating service (smugmug, b2, download)
+ * @param {string} context - Message prefix, e.g. "API request failed"
+ * @returns {MigrationError}
+ */
+export function classifyHttpError(error, service, context) {
+  if (error instanceof MigrationError) {
+    return wrapError(error, context);
+  }
+
+  const status = error.response?.status ?? null;
+  const body = error.response?.data && typeof error.response.data === 'object' ? error.response.data : {};
+  const serviceCode = body.code ?? body.Code ?? null;
+  const detail = body.message || body.Message;
+  const message = `${context}: ${detail && detail !== error.message ? `${error.message} (${detail})` : error.message}`;
+  const options = { status, service, serviceCode, cause: error };
+
+  if (status === 429) {
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    return new RateLimitError(message, {
+      ...options,
+      retryAfter: Number.isNaN(retryAfter) ? null : retryAfter * 1000,
+    });
+  }
+  if (status === 401) {
+    return new AuthError(message, {
+      ...options,
+      retryable: B2_REFRESHABLE_AUTH_CODES.includes(serviceCode),
+    });
+  }
+  if (status === 403) {
+    return B2_QUOTA_CODES.includes(serviceCode)
+      ? new StorageQuotaError(message, options)
+      : new PermissionError(message, options);
+  }
+  if (status === 404) {
+    return new NotFoundError(message, options);
+  }
+  if (status === 408 || status >= 500 || (!status && TRANSIENT_CODES.includes(error.code))) {
+    return new TransientNetworkError(message, options);
+  }
+
+  // No response and no recognisable code: most likely a dropped stream, so retry as before
+  return new MigrationError(message, { ...options, retryable: !status });
+}
+
+/**
+ * Convert a filesystem error into a typed error
+ * @param {Error} error - Error from fs
+ * @param {string} context - Message prefix
+ * @returns {MigrationError}
+ */
+export function classifyFsError(error, context) {
+  if (error instanceof MigrationError) {
+    return wrapError(error, context);
+  }
+
+  const message = `${context}: ${error.message}`;
+  const options = { service: 'local', serviceCode: error.code ?? null, cause: error };
+
+  switch (error.code) {
+    case 'ENOSPC':
+    case 'EDQUOT':
+      return new StorageQuotaError(message, options);
+    case 'EACCES':
+    case 'EPERM':
+    case 'EROFS':
+      return new PermissionError(message, options);
+    case 'ENOENT':
+      return new NotFoundError(message, options);
+    default:
+      return new MigrationError(message, options);
+  }
+}
+
+/**
+ * Classify an error from a transfer that touches both network and disk
+ * Filesystem codes (e.g. ENOSPC from a write stream) are classified as
+ * filesystem errors, everything else as HTTP/network errors.
+ * @param {Error} error - Error
+ * @param {string} service - Originating service for HTTP errors
+ * @param {string} context - Message prefix
+ * @returns {MigrationError}
+ */
+export function classifyError(error, service, context) {
+  return FS_CODES.includes(error.code)
+    ? classifyFsError(error, context)
+    : classifyHttpError(error, service, context);
+}
+
+/**
+ * Prefix an error's message with context, keeping its type and details
+ * @param {Error} error - Error to wrap
+ * @param {string} context - Message prefix, e.g. "Failed to get albums"
+ * @returns {MigrationError}
+ */
+export function wrapError(error, context) {
+  const message = `${context}: ${error.message}`;
+
+  if (error instanceof MigrationError) {
+    return new error.constructor(message, {
+      code: error.code,
+      retryable: error.retryable,
+      status: error.status,
+      service: error.service,
+      serviceCode: error.serviceCode,
+      retryAfter: error.retryAfter,
+      cause: error,
+    });
+  }
+
+  return new MigrationError(message, { cause: error });
+}
+
+/**
+ * Fields for ErrorLogger.logError() from any error
+ * @param {Error} error - Error
+ * @returns {{errorCode: string|null, retryable: boolean, additionalData: object|null}}
+ */
+export function getErrorLogFields(error) {
+  if (error instanceof MigrationError) {
+    return error.toLogFields();
+  }
+  return { errorCode: null, retryable: false, additionalData: null };
+}
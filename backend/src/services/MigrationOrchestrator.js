@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import pLimit from 'p-limit';
 import SmugMugService from './SmugMugService.js';
 import AccountDiscoveryService from './AccountDiscoveryService.js';
 import AssetInventoryService from './AssetInventoryService.js';
@@ -10,6 +11,15 @@ import MetadataService from './MetadataService.js';
 import FileSystemManager from './FileSystemManager.js';
 import ErrorLogger from './ErrorLogger.js';
 import ProgressTracker from './ProgressTracker.js';
+import CheckpointJournal from './CheckpointJournal.js';
+import SyncManifest from './SyncManifest.js';
+import DestinationPathTemplate from './DestinationPathTemplate.js';
+import MigrationPlanner from './MigrationPlanner.js';
+import AlbumSelection from './AlbumSelection.js';
+import AssetFilter from './AssetFilter.js';
+import DedupIndex from './DedupIndex.js';
+import ArchiveManifest from './ArchiveManifest.js';
+import { wrapError } from './MigrationErrors.js';
 
 /**
  * MigrationOrchestrator
@@ -30,26 +40,57 @@ import ProgressTracker from './ProgressTracker.js';
  * - Test mode support (limit asset count)
  * - Automatic cleanup of temporary files
  * - SSE broadcast support for UI updates
+ * - Resumable sessions via a per-asset checkpoint journal
+ * - Incremental sync mode (only new or changed assets since the last run)
+ * - Pause, resume and cancel while assets are being processed
+ * - Retrying a finished session's failed assets under a child session
+ * - Dry-run planning (destination keys, clashes, skipped videos, bytes) without transfers
+ * - Partial migrations of selected albums and folder subtrees, narrowed by asset filters
+ * - Optional content-hash dedup: a file shared by several albums is stored once
+ * - JSON and/or XMP sidecars, chosen per migration
+ * - Optionally embedding the metadata into JPEGs (EXIF GPS, IPTC, XMP), keeping originals on request
+ * - Self-describing archives: album.json per album directory and manifest.json at the root
+ * - Optionally capturing each image's SmugMug comments into sidecars and album manifests
  */
 class MigrationOrchestrator {
-  constructor(config) {
+  /**
+   * @param {object} config - Migration configuration
+   * @param {string|null} sessionId - Existing session ID (when resuming)
+   */
+  constructor(config, sessionId = null) {
     this.config = config;
-    this.sessionId = uuidv4();
+    this.sessionId = sessionId || uuidv4();
 
     // Initialize services (order matters - FileSystemManager must be first)
     this.fileSystemManager = new FileSystemManager(this.sessionId);
     this.progressTracker = new ProgressTracker(this.sessionId);
     this.errorLogger = new ErrorLogger(this.fileSystemManager, this.sessionId);
+    this.checkpointJournal = new CheckpointJournal(
+      this.sessionId,
+      config.stateDir || this.fileSystemManager.getPaths().logs
+    );
 
     // Service instances (initialized during workflow)
     this.smugmugService = null;
     this.storageService = null; // Either BackBlazeB2Service or LocalStorageService
     this.accountStructure = null;
     this.assetInventory = null;
+    this.syncManifest = null;
+    this.downloadService = null;
+    this.dedupIndex = null; // Set in processAssets() when dedupe is enabled
+    this.dedupManifestPath = null;
+    this.archiveManifest = null; // Set in complete() once album.json/manifest.json are written
 
     // Migration state
     this.isRunning = false;
     this.isPaused = false;
+    this.isCancelled = false;
+    this.isResume = false;
+    this.isDryRun = false; // Set by planMigration(); nothing is transferred or journaled
+    this.retry = null; // Set by prepareRetry() when retrying another session's failures
+    this.parentJournal = null; // The retried session's checkpoint journal
+    this.pauseWaiters = [];
+    this.concurrencyLimit = 8;
     this.startTime = null;
     this.endTime = null;
   }
@@ -62,17 +103,20 @@ class MigrationOrchestrator {
   }
 
   /**
-   * Subscribe to progress updates (for SSE broadcasting)
+   * Subscribe to progress updates (for SSE broadcasting and the CLI)
+   * @param {Function} callback - Called with each progress event
+   * @returns {number} Subscription ID for unsubscribeFromProgress()
    */
   subscribeToProgress(callback) {
-    this.progressTracker.subscribe(callback);
+    return this.progressTracker.subscribe(callback);
   }
 
   /**
    * Unsubscribe from progress updates
+   * @param {number} subscriptionId - ID returned by subscribeToProgress()
    */
-  unsubscribeFromProgress(callback) {
-    this.progressTracker.unsubscribe(callback);
+  unsubscribeFromProgress(subscriptionId) {
+    this.progressTracker.unsubscribe(subscriptionId);
   }
 
   /**
@@ -97,12 +141,19 @@ class MigrationOrchestrator {
     try {
       // Phase 1: Authentication
       await this.authenticateServices();
+      await this.checkpointJournal.initialize(this.getRedactedConfig());
+      if (this.isResume) {
+        await this.cancelOrphanedLargeFiles();
+      }
 
       // Phase 2: Discovery & Enumeration
       await this.discoverAndEnumerate();
 
       // Phase 3: Download & Upload Pipeline
-      await this.processAssets();
+      await this.waitIfPaused();
+      if (!this.isCancelled) {
+        await this.processAssets();
+      }
 
       // Phase 4: Completion
       await this.complete();
@@ -115,16 +166,240 @@ class MigrationOrchestrator {
       this.progressTracker.setPhase('error', `Migration failed: ${error.message}`);
 
       // Save error log
-      await this.errorLogger.saveErrorLog(
-        this.fileSystemManager.getLogFilePath('error-log.json')
+      await this.errorLogger.saveErrorLog();
+
+      throw error;
+    } finally {
+      await this.cancelUnfinishedLargeFiles();
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Dry run: authenticate, discover and enumerate, then plan the migration
+   * Nothing is downloaded, uploaded or recorded in the checkpoint journal. The
+   * destination is listed once so clashes with existing objects show up. The plan
+   * is saved to the session's logs directory for later download.
+   * @returns {Promise<object>} Migration plan
+   */
+  async planMigration() {
+    if (this.isRunning) {
+      throw new Error('Migration is already running');
+    }
+
+    this.isRunning = true;
+    this.isDryRun = true;
+    this.startTime = new Date();
+    this.progressTracker.setPhase('auth', 'Planning migration...');
+
+    try {
+      await this.authenticateServices();
+      await this.discoverAndEnumerate();
+
+      this.progressTracker.setCurrentOperation('Listing existing files at the destination...');
+      const existing = await this.storageService.listAllFiles();
+
+      const pathTemplate = this.getPathTemplate();
+      const planner = new MigrationPlanner(pathTemplate, this.config.dedupe);
+      const { totals, items } = planner.build(
+        this.getAssetsToProcess(),
+        this.assetInventory.getSkippedVideos(),
+        existing.map(file => file.fileName)
       );
 
+      const plan = {
+        sessionId: this.sessionId,
+        plannedAt: new Date().toISOString(),
+        destinationType: this.config.destinationType || 'b2',
+        destination: this.getDestination(),
+        pathTemplate: pathTemplate.template,
+        testMode: this.config.testMode,
+        excludeVideos: this.config.excludeVideos,
+        selection: this.config.selection || null,
+        filter: this.config.filter || null,
+        dedupe: this.config.dedupe || false,
+        sidecarFormat: this.config.sidecarFormat || 'json',
+        embedMetadata: this.config.embedMetadata || false,
+        keepOriginals: this.config.keepOriginals || false,
+        includeComments: this.config.includeComments || false,
+        syncMode: this.config.syncMode || false,
+        sync: this.syncManifest ? this.syncManifest.getReport() : null,
+        totals,
+        items,
+      };
+
+      await this.fileSystemManager.writeLog(MigrationPlanner.FILE_NAME, plan);
+
+      this.endTime = new Date();
+      this.progressTracker.setPhase(
+        'complete',
+        `Plan ready: ${totals.assets} assets, ${totals.clashes} clashes, ${totals.skippedVideos} videos skipped`
+      );
+      return plan;
+    } catch (error) {
+      this.progressTracker.setPhase('error', `Planning failed: ${error.message}`);
       throw error;
     } finally {
       this.isRunning = false;
     }
   }
 
+  /**
+   * Cancel B2 large files this run started but never finished (failed or cancelled uploads)
+   */
+  async cancelUnfinishedLargeFiles() {
+    if (typeof this.storageService?.cancelUnfinishedLargeFiles !== 'function') {
+      return;
+    }
+
+    try {
+      const cancelled = await this.storageService.cancelUnfinishedLargeFiles();
+      if (cancelled > 0) {
+        console.log(`Cancelled ${cancelled} unfinished large file upload(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to cancel unfinished large files:', error.message);
+    }
+  }
+
+  /**
+   * Cancel large files left behind by an interrupted run of this session
+   * Only files named in the session inventory are touched.
+   */
+  async cancelOrphanedLargeFiles() {
+    if (typeof this.storageService?.cancelUnfinishedLargeFiles !== 'function') {
+      return;
+    }
+
+    try {
+      const inventory = await this.checkpointJournal.loadInventory();
+      const cancelled = await this.storageService.cancelUnfinishedLargeFiles(
+        inventory.map(entry => entry.destinationKey)
+      );
+      if (cancelled > 0) {
+        this.progressTracker.setCurrentOperation(
+          `Cancelled ${cancelled} large file upload(s) left by the interrupted run`
+        );
+      }
+    } catch (error) {
+      // No inventory means the previous run never reached the transfer phase
+      console.warn('Skipping orphaned large file cleanup:', error.message);
+    }
+  }
+
+  /**
+   * Load the checkpoint journal of a previous run of this session
+   * Must be called before resumeMigration() so a missing journal can be reported up front.
+   * @returns {Promise<object>} Journal load summary
+   */
+  async loadCheckpoint() {
+    const result = await this.checkpointJournal.load();
+    this.restoreSessionSettings(this.checkpointJournal);
+    this.isResume = true;
+    return result;
+  }
+
+  /**
+   * Settings that decide where assets are stored and what is stored with them
+   */
+  static SESSION_SETTINGS = ['pathTemplate', 'preserveStructure', 'excludeVideos', 'sidecarFormat', 'embedMetadata', 'keepOriginals', 'includeComments'];
+
+  /**
+   * Take the key- and content-shaping settings from the session a journal belongs to
+   * A resumed or retried run must store its assets the way the first run did,
+   * whatever the client sending it defaults to.
+   * @param {CheckpointJournal} journal - Loaded journal of the earlier session
+   */
+  restoreSessionSettings(journal) {
+    const sessionConfig = journal.getSessionRecord()?.config;
+    if (!sessionConfig) {
+      return;
+    }
+
+    for (const setting of MigrationOrchestrator.SESSION_SETTINGS) {
+      this.config[setting] = sessionConfig[setting];
+    }
+  }
+
+  /**
+   * Resume an interrupted migration, processing only assets that did not complete
+   */
+  async resumeMigration() {
+    if (!this.isResume) {
+      await this.loadCheckpoint();
+    }
+
+    await this.checkpointJournal.recordResume();
+    return this.runMigration();
+  }
+
+  /**
+   * Set this run up to retry the failed assets of an earlier session
+   * Must be called before runMigration(). Every asset in the parent's inventory that
+   * did not complete is selected; with onlyRetryable, assets whose logged error was
+   * not retryable (e.g. not found, permission denied) are left out. Settings that
+   * shape destination keys are taken from the parent so retried assets land where
+   * the first run would have put them.
+   * @param {string} parentSessionId - Session whose failures are retried
+   * @param {object} options - Options
+   * @param {Array<object>|null} options.errors - Parent error log entries, if still in memory
+   * @param {boolean} options.onlyRetryable - Skip assets whose error was not retryable
+   * @returns {Promise<{parentSessionId: string, selected: number, parentTotal: number, parentComplete: number}>}
+   */
+  async prepareRetry(parentSessionId, { errors = null, onlyRetryable = false } = {}) {
+    const parentLogs = new FileSystemManager(parentSessionId);
+    const parentJournal = new CheckpointJournal(
+      parentSessionId,
+      this.config.stateDir || parentLogs.getPaths().logs
+    );
+
+    await parentJournal.load();
+    const inventory = await parentJournal.loadInventory();
+    const parentErrors = errors || await new ErrorLogger(parentLogs, parentSessionId).loadErrorLog();
+
+    // Asset failures are logged with the asset's inventory key; filenames and ImageKeys
+    // repeat across albums, so only the key identifies the failed asset
+    const retryableKeys = new Set(
+      parentErrors.filter(error => error.retryable && error.assetKey).map(error => error.assetKey)
+    );
+
+    const selected = inventory.filter(entry => {
+      const state = parentJournal.getStateByKey(entry.key);
+      if (state?.status === CheckpointJournal.STATUS.COMPLETE) {
+        return false;
+      }
+      // Interrupted assets never failed, so they are always worth another attempt
+      if (!onlyRetryable || state?.status !== CheckpointJournal.STATUS.FAILED) {
+        return true;
+      }
+      return retryableKeys.has(entry.key);
+    });
+
+    this.restoreSessionSettings(parentJournal);
+    // Failed assets may lie outside a test-mode limit, and sync would skip them
+    this.config.testMode = false;
+    this.config.syncMode = false;
+    this.config.retryOf = parentSessionId;
+
+    this.parentJournal = parentJournal;
+    this.retry = {
+      parentSessionId,
+      keys: new Set(selected.map(entry => entry.key)),
+      onlyRetryable,
+      parentTotal: inventory.length,
+      parentComplete: inventory.filter(
+        entry => parentJournal.getStateByKey(entry.key)?.status === CheckpointJournal.STATUS.COMPLETE
+      ).length,
+    };
+
+    return {
+      parentSessionId,
+      selected: selected.length,
+      parentTotal: this.retry.parentTotal,
+      parentComplete: this.retry.parentComplete,
+    };
+  }
+
   /**
    * Phase 1: Authenticate with SmugMug and BackBlaze B2
    */
@@ -161,9 +436,12 @@ class MigrationOrchestrator {
       } else {
         // Default: BackBlaze B2
         this.progressTracker.setCurrentOperation('Authenticating with BackBlaze B2...');
-        const { accountId, applicationKey, bucketName } = this.config.backblaze;
+        const { accountId, applicationKey, bucketName, largeFileThresholdMB } = this.config.backblaze;
         this.storageService = new BackBlazeB2Service(accountId, applicationKey);
         await this.storageService.testConnection(bucketName);
+        if (largeFileThresholdMB) {
+          this.storageService.setLargeFileOptions({ threshold: largeFileThresholdMB * 1024 * 1024 });
+        }
         this.progressTracker.setCurrentOperation(`Connected to B2 bucket: ${bucketName}`);
       }
 
@@ -173,7 +451,7 @@ class MigrationOrchestrator {
 
     } catch (error) {
       this.errorLogger.logAuthError('SmugMug or storage authentication', error.message);
-      throw new Error(`Authentication failed: ${error.message}`);
+      throw wrapError(error, 'Authentication failed');
     }
   }
 
@@ -209,16 +487,32 @@ class MigrationOrchestrator {
         this.progressTracker.setCurrentOperation(message);
       });
 
+      // Comments cost a request per image, and a dry run doesn't write sidecars
+      inventoryService.setIncludeComments(this.config.includeComments === true && !this.isDryRun);
+
       // Apply test mode limit if enabled
       const assetLimit = this.config.testMode ? this.config.testAssetLimit : 0;
 
-      // Pass excludeVideos option to filter during enumeration
-      await inventoryService.buildInventory(assetLimit, this.config.excludeVideos);
+      // Pass excludeVideos option, album selection and asset filter to filter during enumeration
+      await inventoryService.buildInventory(
+        assetLimit,
+        this.config.excludeVideos,
+        this.config.selection ? new AlbumSelection(this.config.selection) : null,
+        this.config.filter ? new AssetFilter(this.config.filter) : null
+      );
 
       this.assetInventory = inventoryService;
-      const assets = inventoryService.getAssets();
+
+      if (this.config.syncMode) {
+        await this.prepareSync();
+      }
+
+      const assets = this.getAssetsToProcess();
 
       this.progressTracker.setDiscovered(assets.length);
+      if (!this.isDryRun) {
+        await this.saveSessionInventory(assets);
+      }
       this.progressTracker.setCurrentOperation(
         `Asset enumeration complete: ${assets.length} assets to process`
       );
@@ -235,11 +529,113 @@ class MigrationOrchestrator {
     }
   }
 
+  /**
+   * Get the destination path template for this migration
+   * @returns {DestinationPathTemplate}
+   */
+  getPathTemplate() {
+    if (this.config.pathTemplate) {
+      return new DestinationPathTemplate(this.config.pathTemplate);
+    }
+
+    return new DestinationPathTemplate(
+      this.config.preserveStructure !== false
+        ? DestinationPathTemplate.STRUCTURED
+        : DestinationPathTemplate.FLAT
+    );
+  }
+
+  /**
+   * Persist the assets this run is expected to transfer, for later verification
+   * @param {Array<Asset>} assets - Assets to process
+   */
+  async saveSessionInventory(assets) {
+    const pathTemplate = this.getPathTemplate();
+
+    await this.checkpointJournal.saveInventory(assets.map(asset => ({
+      key: CheckpointJournal.getAssetKey(asset),
+      assetId: asset.assetId,
+      filename: asset.filename,
+      albumKey: asset.albumKey || null,
+      albumName: asset.albumName || null,
+      destinationKey: pathTemplate.render(asset),
+      archivedSize: asset.archivedSize || null,
+      archivedMD5: asset.archivedMD5 || null,
+    })));
+  }
+
+  /**
+   * Compare the fresh inventory against the manifest from the previous sync run
+   */
+  async prepareSync() {
+    this.progressTracker.setCurrentOperation('Comparing inventory with previous sync manifest...');
+
+    this.syncManifest = new SyncManifest({
+      userNickName: this.accountStructure.user.nickName,
+      destinationType: this.config.destinationType || 'b2',
+      destination: this.getDestination(),
+      directory: this.config.stateDir,
+    });
+
+    await this.syncManifest.load();
+
+    // A test-mode, album-selection, filtered or video-less inventory is partial, so absent
+    // assets are not deletions
+    const diff = this.syncManifest.compare(
+      this.assetInventory.getAssets(),
+      !this.config.testMode && !this.config.selection && !this.config.filter && !this.config.excludeVideos
+    );
+
+    this.progressTracker.setCurrentOperation(
+      this.syncManifest.hasPreviousRun()
+        ? `Sync: ${diff.added.length} new, ${diff.modified.length} modified, ` +
+          `${diff.unchanged.length} unchanged, ${diff.deleted.length} deleted on SmugMug`
+        : 'Sync: no previous manifest found, transferring all assets'
+    );
+  }
+
+  /**
+   * Get the assets this run should transfer
+   * @returns {Array<Asset>} All inventory assets, only changed ones in sync mode, or
+   *   only the parent session's failures when retrying
+   */
+  getAssetsToProcess() {
+    if (this.retry) {
+      return this.assetInventory.getAssets().filter(
+        asset => this.retry.keys.has(CheckpointJournal.getAssetKey(asset))
+      );
+    }
+    if (this.syncManifest) {
+      return this.syncManifest.getChangedAssets();
+    }
+    return this.assetInventory.getAssets();
+  }
+
+  /**
+   * Get destination bucket name or local path
+   * @returns {string}
+   */
+  getDestination() {
+    return this.config.destinationType === 'local'
+      ? this.config.localStorage.path
+      : this.config.backblaze?.bucketName;
+  }
+
   /**
    * Phase 3: Download and upload assets with metadata
    */
   async processAssets() {
-    const assets = this.assetInventory.getAssets();
+    const allAssets = this.getAssetsToProcess();
+    const assets = this.checkpointJournal.getPendingAssets(allAssets);
+    const alreadyComplete = allAssets.length - assets.length;
+
+    if (alreadyComplete > 0) {
+      this.progressTracker.setDownloaded(alreadyComplete);
+      this.progressTracker.setUploaded(alreadyComplete);
+      this.progressTracker.setCurrentOperation(
+        `Resuming: ${alreadyComplete} assets already complete, ${assets.length} remaining`
+      );
+    }
 
     if (assets.length === 0) {
       this.progressTracker.setPhase('complete', 'No assets to process');
@@ -251,6 +647,7 @@ class MigrationOrchestrator {
     try {
       // Initialize processing services
       const downloadService = new AssetDownloadService(this.smugmugService, this.fileSystemManager);
+      this.downloadService = downloadService;
       const metadataService = new MetadataService();
       const uploadService = new AssetUploadService(
         downloadService,
@@ -260,10 +657,23 @@ class MigrationOrchestrator {
         this.errorLogger,
         this.progressTracker
       );
+      uploadService.setCheckpointJournal(this.checkpointJournal, this.parentJournal);
+      uploadService.setPathTemplate(this.getPathTemplate().toString());
+      uploadService.setSidecarFormat(this.config.sidecarFormat || 'json');
+      uploadService.setEmbedMetadata(this.config.embedMetadata === true, this.config.keepOriginals === true);
+      uploadService.setSyncManifest(this.syncManifest);
+
+      if (this.config.dedupe) {
+        // Files already stored by an interrupted run of this session count as stored
+        this.dedupIndex = new DedupIndex();
+        this.dedupIndex.addInventory(allAssets);
+        this.dedupIndex.seedFromJournal(this.checkpointJournal.getCompletedRecords());
+        uploadService.setDedupIndex(this.dedupIndex);
+      }
 
       // Configure services
-      downloadService.setConcurrencyLimit(8);
-      this.storageService.setConcurrencyLimit(8);
+      downloadService.setConcurrencyLimit(this.concurrencyLimit);
+      this.storageService.setConcurrencyLimit(this.concurrencyLimit);
 
       // Set up progress callbacks
       downloadService.setProgressCallback((phase, current, total, message) => {
@@ -283,6 +693,11 @@ class MigrationOrchestrator {
       // Process assets in batches for better progress tracking
       const batchSize = 50;
       for (let i = 0; i < assets.length; i += batchSize) {
+        await this.waitIfPaused();
+        if (this.isCancelled) {
+          break;
+        }
+
         const batch = assets.slice(i, i + batchSize);
 
         this.progressTracker.setCurrentOperation(
@@ -292,6 +707,13 @@ class MigrationOrchestrator {
         await this.processBatch(batch, uploadService);
       }
 
+      if (this.dedupIndex) {
+        const refreshed = await uploadService.refreshDedupSidecars();
+        if (refreshed > 0) {
+          this.progressTracker.setCurrentOperation(`Updated album lists in ${refreshed} sidecars`);
+        }
+      }
+
       // Log any errors from services
       const downloadErrors = downloadService.getErrors();
       const uploadErrors = this.storageService.getUploadErrors();
@@ -305,14 +727,8 @@ class MigrationOrchestrator {
         this.progressTracker.incrementErrors();
       });
 
-      uploadErrors.forEach(err => {
-        this.errorLogger.logUploadError(
-          err.filename,
-          err.assetId || 'unknown',
-          err.error
-        );
-        this.progressTracker.incrementErrors();
-      });
+      // AssetUploadService already logged these with their type and retryability
+      this.progressTracker.incrementErrors(uploadErrors.length);
 
     } catch (error) {
       this.errorLogger.logCriticalError('Asset processing', error.message);
@@ -322,16 +738,25 @@ class MigrationOrchestrator {
 
   /**
    * Process a batch of assets
+   * Assets are scheduled through a concurrency limiter; each one checks for
+   * pause/cancel when its turn comes, so in-flight transfers are never interrupted.
    */
   async processBatch(assets, uploadService) {
-    const promises = assets.map(async (asset) => {
+    const limiter = pLimit(this.concurrencyLimit);
+
+    const promises = assets.map(asset => limiter(async () => {
+      await this.waitIfPaused();
+      if (this.isCancelled) {
+        return;
+      }
+
       try {
         await uploadService.processAsset(asset);
       } catch (error) {
         // Individual asset errors are already logged by services
         console.error(`Failed to process asset ${asset.assetId}:`, error.message);
       }
-    });
+    }));
 
     await Promise.allSettled(promises);
   }
@@ -340,20 +765,47 @@ class MigrationOrchestrator {
    * Phase 4: Cleanup and generate completion summary
    */
   async complete() {
-    this.progressTracker.setPhase('complete', 'Finalizing migration...');
+    this.progressTracker.setPhase(
+      this.isCancelled ? 'cancelled' : 'complete',
+      this.isCancelled ? 'Migration cancelled, finalizing...' : 'Finalizing migration...'
+    );
 
     try {
       // Save error log
       await this.errorLogger.saveErrorLog();
 
+      if (this.dedupIndex) {
+        await this.saveDedupManifest();
+      }
+
+      if (this.assetInventory) {
+        await this.saveArchiveManifests();
+      }
+
       // Generate migration summary
       const summary = this.generateSummary();
       await this.fileSystemManager.writeLog('migration-summary.json', JSON.stringify(summary, null, 2));
 
+      // Record what was transferred so the next sync run can skip it
+      if (this.syncManifest) {
+        await this.fileSystemManager.writeLog('sync-report.json', summary.sync);
+        const manifestPath = await this.syncManifest.save(
+          asset => (this.checkpointJournal.isComplete(asset)
+            ? this.checkpointJournal.getAssetState(asset).destinationKey
+            : null),
+          this.sessionId
+        );
+        this.progressTracker.setCurrentOperation(`Sync manifest saved: ${manifestPath}`);
+      }
+
       // Cleanup temporary files (optional - keep for debugging in MVP)
       // await this.fileSystemManager.cleanupDownloads();
 
-      this.progressTracker.setCurrentOperation('Migration complete');
+      if (this.isCancelled) {
+        this.progressTracker.setControlState('cancelled', 'Migration cancelled');
+      } else {
+        this.progressTracker.setCurrentOperation('Migration complete');
+      }
 
       // Broadcast completion event
       this.progressTracker.broadcastCompletion(summary);
@@ -380,7 +832,8 @@ class MigrationOrchestrator {
 
     return {
       sessionId: this.sessionId,
-      success: successRate >= 99,
+      success: !this.isCancelled && successRate >= 99,
+      cancelled: this.isCancelled,
       totalAssets,
       successful,
       failed,
@@ -393,33 +846,307 @@ class MigrationOrchestrator {
       testMode: this.config.testMode,
       testAssetLimit: this.config.testAssetLimit,
       excludeVideos: this.config.excludeVideos,
+      selection: this.config.selection || null,
+      filter: this.config.filter || null,
+      preserveStructure: this.config.preserveStructure !== false,
+      pathTemplate: this.config.pathTemplate || null,
+      sidecarFormat: this.config.sidecarFormat || 'json',
+      embedMetadata: this.config.embedMetadata || false,
+      keepOriginals: this.config.keepOriginals || false,
+      includeComments: this.config.includeComments || false,
+      comments: this.config.includeComments && this.assetInventory
+        ? this.assetInventory.getStats().comments
+        : null,
       destinationType: this.config.destinationType || 'b2',
-      destination: this.config.destinationType === 'local'
-        ? this.config.localStorage.path
-        : this.config.backblaze?.bucketName,
-      errorLogPath: `${this.fileSystemManager.getPaths().logs}/error-log.json`,
+      destination: this.getDestination(),
+      syncMode: this.config.syncMode || false,
+      sync: this.syncManifest ? this.syncManifest.getReport() : null,
+      errorLogPath: this.getErrorLogPath(),
+      resumed: this.isResume,
+      checkpointJournalPath: this.checkpointJournal.getFilePath(),
+      checksums: this.getChecksumReport(),
+      retry: this.getRetryReport(),
+      dedup: this.dedupIndex ? {
+        ...this.dedupIndex.getReport(),
+        manifestPath: this.dedupManifestPath,
+      } : null,
+      archiveManifest: this.archiveManifest,
       errors: errorSummary
     };
   }
 
+  /**
+   * Save the dedup manifest to the session logs and the destination root
+   * Lists every stored file that several assets share, with all of their albums.
+   */
+  async saveDedupManifest() {
+    const manifest = this.dedupIndex.toManifest(this.sessionId);
+    this.dedupManifestPath = await this.fileSystemManager.writeLog(DedupIndex.MANIFEST_FILE_NAME, manifest);
+    await this.uploadJson(DedupIndex.MANIFEST_FILE_NAME, manifest);
+
+    this.progressTracker.setCurrentOperation(
+      `Dedup: ${manifest.duplicates} duplicates of ${manifest.uniqueFiles} files, ` +
+      `${this.assetInventory.getFormattedSize(manifest.bytesSaved)} saved`
+    );
+  }
+
+  /**
+   * Write album.json into each album's directory and manifest.json at the destination root
+   * Failures are logged; the migration itself has already finished.
+   */
+  async saveArchiveManifests() {
+    try {
+      this.progressTracker.setCurrentOperation('Writing album and account manifests...');
+
+      // A sync run skips unchanged assets; they are still stored where an earlier run put them
+      const unchangedKeys = new Set(
+        (this.syncManifest?.diff?.unchanged || []).map(asset => asset.getInventoryKey())
+      );
+      const archiveManifest = new ArchiveManifest({
+        sessionId: this.sessionId,
+        accountStructure: this.accountStructure,
+        pathTemplate: this.getPathTemplate(),
+        metadataService: new MetadataService(),
+        getStoredKey: asset => this.getStoredKey(asset, unchangedKeys),
+      });
+      const { albums, account } = archiveManifest.build(this.assetInventory.getAssets());
+
+      let uploaded = 0;
+      for (const { key, manifest } of albums) {
+        if (await this.uploadJson(key, manifest)) {
+          uploaded++;
+        }
+      }
+      await this.uploadJson(ArchiveManifest.ACCOUNT_FILE_NAME, account);
+
+      this.archiveManifest = {
+        path: await this.fileSystemManager.writeLog(ArchiveManifest.ACCOUNT_FILE_NAME, account),
+        albumManifests: uploaded,
+      };
+    } catch (error) {
+      this.errorLogger.logError({
+        phase: 'manifest',
+        filename: ArchiveManifest.ACCOUNT_FILE_NAME,
+        message: `Archive manifests not written: ${error.message}`,
+      });
+    }
+  }
+
+  /**
+   * Find the key an asset is stored under
+   * Assets transferred by this session (or the session it retries) are in a checkpoint
+   * journal; assets a sync run skipped as unchanged are where the sync manifest says
+   * an earlier run stored them (which may carry a clash suffix or an older template).
+   * @param {Asset} asset - Asset
+   * @param {Set<string>} unchangedKeys - Inventory keys a sync run skipped
+   * @returns {string|null} Destination key, or null if the asset is not stored
+   */
+  getStoredKey(asset, unchangedKeys) {
+    for (const journal of [this.checkpointJournal, this.parentJournal]) {
+      const state = journal?.getAssetState(asset);
+      if (state?.status === CheckpointJournal.STATUS.COMPLETE) {
+        return state.destinationKey || null;
+      }
+    }
+    return unchangedKeys.has(asset.getInventoryKey()) ? this.syncManifest.getDestinationKey(asset) : null;
+  }
+
+  /**
+   * Upload a JSON document to the destination, replacing any earlier copy
+   * @param {string} key - Destination key
+   * @param {object} data - Document
+   * @returns {Promise<boolean>} Whether the upload succeeded
+   */
+  async uploadJson(key, data) {
+    const result = await this.storageService.uploadFileWithRetry(
+      Buffer.from(JSON.stringify(data, null, 2), 'utf8'),
+      key,
+      'application/json',
+      null,
+      { overwrite: true }
+    );
+    if (!result.success) {
+      this.errorLogger.logUploadError(key, result.error, result.retryable ?? true, result.errorCode);
+    }
+    return result.success;
+  }
+
+  /**
+   * Build the checksum section of the summary from the checkpoint journal
+   * Uses the journal rather than this run's results so resumed sessions
+   * still report assets completed before the interruption.
+   * @returns {object} Checksum totals and per-asset checksums
+   */
+  getChecksumReport() {
+    const assets = this.checkpointJournal.getCompletedRecords().map(record => ({
+      key: record.key,
+      filename: record.filename,
+      destinationKey: record.destinationKey || null,
+      ...(record.checksums || {}),
+    }));
+
+    return {
+      sourceVerified: assets.filter(entry => entry.sourceVerified).length,
+      sourceUnverified: assets.filter(entry => !entry.sourceVerified).length,
+      destinationVerified: assets.filter(entry => entry.destinationVerified).length,
+      assets,
+    };
+  }
+
+  /**
+   * Build the retry section of the summary
+   * Combines the parent session's completed assets with those recovered by this run.
+   * @returns {object|null} Retry outcome, or null when this run is not a retry
+   */
+  getRetryReport() {
+    if (!this.retry) {
+      return null;
+    }
+
+    const recovered = [...this.retry.keys].filter(
+      key => this.checkpointJournal.getStateByKey(key)?.status === CheckpointJournal.STATUS.COMPLETE
+    ).length;
+    const successful = this.retry.parentComplete + recovered;
+
+    return {
+      parentSessionId: this.retry.parentSessionId,
+      onlyRetryable: this.retry.onlyRetryable,
+      requested: this.retry.keys.size,
+      recovered,
+      stillFailed: this.retry.keys.size - recovered,
+      combined: {
+        totalAssets: this.retry.parentTotal,
+        successful,
+        failed: this.retry.parentTotal - successful,
+        successRate: this.retry.parentTotal > 0
+          ? Math.round((successful / this.retry.parentTotal) * 100)
+          : 0,
+      },
+    };
+  }
+
+  /**
+   * Get configuration with credentials removed (safe to persist)
+   * @returns {object} Redacted configuration
+   */
+  getRedactedConfig() {
+    const { smugmug, backblaze, ...rest } = this.config;
+
+    return {
+      ...rest,
+      smugmug: smugmug ? { apiKey: '***' } : null,
+      backblaze: backblaze ? { bucketName: backblaze.bucketName, largeFileThresholdMB: backblaze.largeFileThresholdMB } : null,
+    };
+  }
+
+  /**
+   * Get the path the error log is saved to
+   * @returns {string}
+   */
+  getErrorLogPath() {
+    return this.fileSystemManager.getLogFilePath(this.errorLogger.logFileName);
+  }
+
   /**
    * Get error log for download
    */
   async getErrorLog() {
-    return this.errorLogger.getErrorLog();
+    return this.errorLogger.generateErrorLog();
   }
 
   /**
-   * Cancel/pause migration (future enhancement)
+   * Pause a running migration
+   * Transfers already in flight finish; no new assets are scheduled until resume().
+   * @returns {boolean} True if the migration was paused
    */
   pause() {
+    if (!this.isRunning || this.isPaused || this.isCancelled) {
+      return false;
+    }
+
     this.isPaused = true;
-    this.progressTracker.setCurrentOperation('Migration paused');
+    this.progressTracker.setControlState(
+      'paused',
+      'Migration paused - in-flight transfers will finish'
+    );
+    return true;
   }
 
+  /**
+   * Resume a paused migration
+   * (Not to be confused with resumeMigration(), which restarts an interrupted session.)
+   * @returns {boolean} True if the migration was resumed
+   */
   resume() {
+    if (!this.isPaused) {
+      return false;
+    }
+
     this.isPaused = false;
-    this.progressTracker.setCurrentOperation('Migration resumed');
+    this.releasePauseWaiters();
+    this.progressTracker.setControlState('running', 'Migration resumed');
+    return true;
+  }
+
+  /**
+   * Cancel a running migration
+   * In-flight downloads are aborted, uploads in progress finish, and nothing new is
+   * scheduled. Unfinished assets stay pending in the checkpoint journal.
+   * @returns {boolean} True if cancellation was requested
+   */
+  cancel() {
+    if (!this.isRunning || this.isCancelled) {
+      return false;
+    }
+
+    this.isCancelled = true;
+
+    // Wake paused tasks so they can observe the cancellation and exit
+    this.isPaused = false;
+    this.releasePauseWaiters();
+
+    if (this.downloadService) {
+      this.downloadService.abortAll();
+    }
+
+    this.progressTracker.setControlState(
+      'cancelling',
+      'Cancelling migration - waiting for in-flight transfers'
+    );
+    return true;
+  }
+
+  /**
+   * Wait while the migration is paused
+   * @returns {Promise<void>}
+   */
+  async waitIfPaused() {
+    if (!this.isPaused) {
+      return;
+    }
+
+    await new Promise(resolve => this.pauseWaiters.push(resolve));
+  }
+
+  /**
+   * Release everything waiting in waitIfPaused()
+   */
+  releasePauseWaiters() {
+    const waiters = this.pauseWaiters;
+    this.pauseWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Get pause/cancel state
+   * @returns {{isRunning: boolean, isPaused: boolean, isCancelled: boolean}}
+   */
+  getControlState() {
+    return {
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      isCancelled: this.isCancelled,
+    };
   }
 }
 
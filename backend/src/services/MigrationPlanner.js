@@ -0,0 +1,212 @@
+import path from 'path';
+
+/**
+ * Migration Planner
+ * Works out what a migration would do with an enumerated inventory, without
+ * transferring anything: the destination key of every asset, which keys clash
+ * and how the destination would resolve each clash, the videos left out, and
+ * the bytes to move.
+ *
+ * Clashes are keys already present at the destination or rendered for an
+ * earlier asset in the plan. Both destinations rename the later file with a
+ * _N suffix (see LocalStorageService.moveIntoPlace and
+ * BackBlazeB2Service.reserveFileName). Assets run concurrently, so which of two
+ * clashing assets keeps the plain name can differ in a real run.
+ *
+ * With dedup on, assets sharing an ArchivedMD5 with an earlier asset are
+ * planned as duplicates of its key. Files without an ArchivedMD5 are only
+ * hashed while downloading, so their duplicates are not foreseen here.
+ */
+class MigrationPlanner {
+  /**
+   * @param {DestinationPathTemplate} pathTemplate - Template that renders destination keys
+   * @param {boolean} dedupe - Whether files shared by several albums are stored once
+   */
+  constructor(pathTemplate, dedupe = false) {
+    this.pathTemplate = pathTemplate;
+    this.dedupe = dedupe;
+  }
+
+  /**
+   * File name the plan is saved under in the session's logs directory
+   */
+  static FILE_NAME = 'migration-plan.json';
+
+  /**
+   * Planned actions
+   */
+  static ACTION = {
+    UPLOAD: 'upload',
+    RENAME: 'rename', // Stored under a _N suffixed key
+    SKIP_VIDEO: 'skip_video',
+    DUPLICATE: 'duplicate', // Dedup: same content as an earlier asset, not stored again
+  };
+
+  /**
+   * Build the plan
+   * @param {Array<Asset>} assets - Assets the migration would transfer
+   * @param {Array<Asset>} skippedVideos - Videos left out by excludeVideos
+   * @param {Array<string>} existingKeys - Keys already present at the destination
+   * @returns {{totals: object, items: Array<object>}}
+   */
+  build(assets, skippedVideos = [], existingKeys = []) {
+    const existing = new Set(existingKeys);
+    const taken = new Set(existingKeys);
+    const plannedByHash = new Map();
+
+    const items = assets.map(asset => {
+      const hash = this.dedupe && asset.archivedMD5 ? String(asset.archivedMD5).toLowerCase() : null;
+      if (hash && plannedByHash.has(hash)) {
+        return {
+          ...MigrationPlanner.describeAsset(asset),
+          action: MigrationPlanner.ACTION.DUPLICATE,
+          destinationKey: this.pathTemplate.render(asset),
+          plannedKey: plannedByHash.get(hash),
+          clash: null,
+        };
+      }
+
+      const destinationKey = this.pathTemplate.render(asset);
+      const item = {
+        ...MigrationPlanner.describeAsset(asset),
+        action: MigrationPlanner.ACTION.UPLOAD,
+        destinationKey,
+        plannedKey: destinationKey,
+        clash: null,
+      };
+
+      if (taken.has(destinationKey)) {
+        item.clash = existing.has(destinationKey) ? 'exists_at_destination' : 'duplicate_in_plan';
+        item.action = MigrationPlanner.ACTION.RENAME;
+        item.plannedKey = MigrationPlanner.getSuffixedKey(destinationKey, taken);
+      }
+
+      taken.add(item.plannedKey);
+      if (hash) {
+        plannedByHash.set(hash, item.plannedKey);
+      }
+      return item;
+    });
+
+    const skipped = skippedVideos.map(asset => ({
+      ...MigrationPlanner.describeAsset(asset),
+      action: MigrationPlanner.ACTION.SKIP_VIDEO,
+      destinationKey: null,
+      plannedKey: null,
+      clash: null,
+    }));
+
+    return {
+      totals: this.getTotals(items, skipped, existing.size),
+      items: [...items, ...skipped],
+    };
+  }
+
+  /**
+   * Fields of an asset shown in the plan
+   * @param {Asset} asset - Asset
+   * @returns {object}
+   */
+  static describeAsset(asset) {
+    const size = Number(asset.archivedSize || asset.originalSize) || null;
+
+    return {
+      assetId: asset.assetId,
+      filename: asset.filename,
+      albumKey: asset.albumKey || null,
+      albumPath: [...(asset.folderPath || []), asset.albumName].filter(Boolean).join('/'),
+      type: asset.isVideo ? 'video' : 'image',
+      size,
+    };
+  }
+
+  /**
+   * First free "<name>_N<ext>" key, as LocalStorageService would choose it
+   * @param {string} key - Clashing key
+   * @param {Set<string>} taken - Keys in use
+   * @returns {string}
+   */
+  static getSuffixedKey(key, taken) {
+    const ext = path.posix.extname(key);
+    const base = key.slice(0, key.length - ext.length);
+
+    for (let attempt = 1; ; attempt++) {
+      const candidate = `${base}_${attempt}${ext}`;
+      if (!taken.has(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Sum up the plan
+   * @param {Array<object>} items - Planned transfers (including duplicates)
+   * @param {Array<object>} skipped - Skipped videos
+   * @param {number} existingObjects - Objects already at the destination
+   * @returns {object} Totals
+   */
+  getTotals(items, skipped, existingObjects) {
+    const count = predicate => items.filter(predicate).length;
+    const sum = list => list.reduce((total, item) => total + (item.size || 0), 0);
+    const duplicates = items.filter(item => item.action === MigrationPlanner.ACTION.DUPLICATE);
+    const transferred = items.filter(item => item.action !== MigrationPlanner.ACTION.DUPLICATE);
+
+    return {
+      assets: items.length,
+      images: count(item => item.type === 'image'),
+      videos: count(item => item.type === 'video'),
+      bytes: sum(transferred),
+      unknownSize: count(item => item.size === null),
+      clashes: count(item => item.clash !== null),
+      renamed: count(item => item.action === MigrationPlanner.ACTION.RENAME),
+      duplicates: duplicates.length,
+      duplicateBytes: sum(duplicates),
+      skippedVideos: skipped.length,
+      skippedVideoBytes: sum(skipped),
+      existingObjects,
+    };
+  }
+
+  /**
+   * Export a plan as CSV
+   * @param {object} plan - Migration plan
+   * @returns {string} CSV content
+   */
+  static exportAsCSV(plan) {
+    const headers = [
+      'Action',
+      'Destination Key',
+      'Planned Key',
+      'Clash',
+      'Filename',
+      'Album',
+      'Type',
+      'Size',
+      'Asset ID',
+    ];
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = plan.items.map(item => [
+      item.action,
+      item.destinationKey,
+      item.plannedKey,
+      item.clash,
+      item.filename,
+      item.albumPath,
+      item.type,
+      item.size,
+      item.assetId,
+    ].map(escape));
+
+    return [
+      headers.join(','),
+      ...rows.map(row => row.join(',')),
+    ].join('\n');
+  }
+}
+
+export default MigrationPlanner;
@@ -18,7 +18,8 @@ class ProgressTracker {
   getInitialState() {
     return {
       sessionId: this.sessionId,
-      phase: 'idle', // idle, auth, discover, download, upload, complete, error
+      phase: 'idle', // idle, auth, discover, download, upload, complete, cancelled, error
+      controlState: 'running', // running, paused, cancelling, cancelled
       discovered: 0,
       downloaded: 0,
       uploaded: 0,
@@ -51,7 +52,7 @@ class ProgressTracker {
       this.state.startTime = new Date().toISOString();
     }
 
-    if (phase === 'complete' || phase === 'error') {
+    if (phase === 'complete' || phase === 'cancelled' || phase === 'error') {
       this.state.endTime = new Date().toISOString();
     }
 
@@ -148,6 +149,23 @@ class ProgressTracker {
     });
   }
 
+  /**
+   * Set pause/cancel control state
+   * @param {string} controlState - running, paused, cancelling or cancelled
+   * @param {string} message - Optional message
+   */
+  setControlState(controlState, message = '') {
+    this.state.controlState = controlState;
+    if (message) {
+      this.state.currentOperation = message;
+    }
+
+    this.forceBroadcast('control', {
+      controlState,
+      message: message || `Migration ${controlState}`,
+    });
+  }
+
   /**
    * Update estimated completion time
    */
@@ -390,12 +408,22 @@ class ProgressTracker {
       successful: summary.successful,
       failed: summary.failed,
       successRate: summary.successRate,
+      cancelled: summary.cancelled,
       sessionId: summary.sessionId,
       bucketName: summary.bucketName,
       errorLogPath: summary.errorLogPath,
-      message: summary.success
-        ? 'Migration completed successfully'
-        : 'Migration completed with errors',
+      sync: summary.sync,
+      checksums: summary.checksums ? {
+        sourceVerified: summary.checksums.sourceVerified,
+        sourceUnverified: summary.checksums.sourceUnverified,
+        destinationVerified: summary.checksums.destinationVerified,
+      } : null,
+      retry: summary.retry,
+      message: summary.cancelled
+        ? 'Migration cancelled'
+        : summary.success
+          ? 'Migration completed successfully'
+          : 'Migration completed with errors',
     });
   }
 }
@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Session Store
+ * File-backed history of migration sessions, so past runs outlive the server process.
+ *
+ * Each session is one JSON file holding its redacted config, lifecycle state, final
+ * progress and summary, and where its error log and checkpoint journal live.
+ * Credentials never reach the store: only MigrationOrchestrator.getRedactedConfig()
+ * is persisted.
+ */
+class SessionStore {
+  /**
+   * @param {string|null} directory - Directory holding session files
+   */
+  constructor(directory = null) {
+    this.directory = directory ||
+      process.env.SESSION_STORE_DIR ||
+      path.join(os.homedir(), '.smugmug-retrieve', 'sessions');
+  }
+
+  /**
+   * Session lifecycle states
+   */
+  static STATE = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    COMPLETED_WITH_ERRORS: 'completed_with_errors',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted',
+  };
+
+  /**
+   * Check that a session ID is safe to build file paths from
+   * Session IDs are UUIDs; anything else must not be able to escape a directory.
+   * @param {string} sessionId - Session ID
+   * @returns {boolean}
+   */
+  static isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[A-Za-z0-9-]+$/.test(sessionId);
+  }
+
+  /**
+   * Get the file path for a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} File path
+   */
+  getFilePath(sessionId) {
+    if (!SessionStore.isValidSessionId(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(this.directory, `session-${sessionId}.json`);
+  }
+
+  /**
+   * Record that a session has started
+   * @param {MigrationOrchestrator} orchestrator - Orchestrator being launched
+   * @param {string} kind - How the session was started (start, resume, retry)
+   * @returns {Promise<object>} Stored session
+   */
+  async recordStart(orchestrator, kind = 'start') {
+    const existing = await this.get(orchestrator.getSessionId());
+
+    return this.save({
+      ...(existing || {}),
+      sessionId: orchestrator.getSessionId(),
+      kind: existing?.kind || kind,
+      parentSessionId: orchestrator.config.retryOf || existing?.parentSessionId || null,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      state: SessionStore.STATE.RUNNING,
+      config: orchestrator.getRedactedConfig(),
+      errorLogPath: orchestrator.getErrorLogPath(),
+      checkpointJournalPath: orchestrator.checkpointJournal.getFilePath(),
+      runs: (existing?.runs || 0) + 1,
+      error: null,
+    });
+  }
+
+  /**
+   * Record how a session ended
+   * @param {MigrationOrchestrator} orchestrator - Finished orchestrator
+   * @param {Error|null} error - Error that ended the run, if it failed
+   * @returns {Promise<object>} Stored session
+   */
+  async recordFinish(orchestrator, error = null) {
+    const existing = await this.get(orchestrator.getSessionId());
+    const summary = orchestrator.generateSummary();
+
+    let state;
+    if (error) {
+      state = SessionStore.STATE.FAILED;
+    } else if (summary.cancelled) {
+      state = SessionStore.STATE.CANCELLED;
+    } else {
+      state = summary.failed > 0
+        ? SessionStore.STATE.COMPLETED_WITH_ERRORS
+        : SessionStore.STATE.COMPLETED;
+    }
+
+    return this.save({
+      ...(existing || {}),
+      sessionId: orchestrator.getSessionId(),
+      finishedAt: new Date().toISOString(),
+      state,
+      progress: orchestrator.getProgress(),
+      summary,
+      error: error ? error.message : null,
+    });
+  }
+
+  /**
+   * Write a session file
+   * @param {object} session - Session record
+   * @returns {Promise<object>} Saved session
+   */
+  async save(session) {
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+      const record = { ...session, updatedAt: new Date().toISOString() };
+      const filePath = this.getFilePath(session.sessionId);
+      const tempPath = `${filePath}.tmp`;
+
+      // Write then rename so a crash never leaves a half-written session file
+      await fs.writeFile(tempPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+
+      return record;
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      throw new Error(`Session save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read one session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object|null>} Session, or null if unknown
+   */
+  async get(sessionId) {
+    try {
+      const content = await fs.readFile(this.getFilePath(sessionId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Session read failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * List all sessions, newest first
+   * @returns {Promise<Array<object>>} Sessions
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Session list failed: ${error.message}`);
+    }
+
+    const sessions = [];
+    for (const file of files.filter(name => /^session-.+\.json$/.test(name))) {
+      try {
+        const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+        sessions.push(JSON.parse(content));
+      } catch (error) {
+        console.warn(`Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+
+    return sessions.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  }
+
+  /**
+   * Reduce a session to the fields shown in the history list
+   * @param {object} session - Stored session
+   * @returns {object} Session overview
+   */
+  static toOverview(session) {
+    return {
+      sessionId: session.sessionId,
+      kind: session.kind,
+      parentSessionId: session.parentSessionId,
+      state: session.state,
+      startedAt: session.startedAt,
+      finishedAt: session.finishedAt,
+      destinationType: session.config?.destinationType || 'b2',
+      destination: session.summary?.destination || null,
+      totalAssets: session.summary?.totalAssets ?? null,
+      successful: session.summary?.successful ?? null,
+      failed: session.summary?.failed ?? null,
+      successRate: session.summary?.successRate ?? null,
+      testMode: session.config?.testMode || false,
+    };
+  }
+}
+
+export default SessionStore;
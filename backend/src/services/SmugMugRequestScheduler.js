@@ -0,0 +1,209 @@
+/**
+ * SmugMug Request Scheduler
+ * Paces every request made against SmugMug and retries throttled or failed ones.
+ *
+ * One scheduler is shared by all SmugMugService instances in the process, so
+ * discovery, enumeration and downloads from parallel sessions draw on the same
+ * request rate. Requests start at least `minInterval` apart; a 429 (or a 503
+ * with Retry-After) pauses the whole queue, not just the request that saw it.
+ * 429 and 5xx responses are retried with exponential backoff and jitter
+ * until the request's attempt or wait budget runs out.
+ */
+class SmugMugRequestScheduler {
+  /**
+   * @param {object} options - Scheduler options
+   * @param {number} options.minInterval - Minimum ms between request starts
+   * @param {number} options.maxAttempts - Attempts per request, including the first
+   * @param {number} options.baseDelay - Backoff base delay in ms
+   * @param {number} options.maxDelay - Longest single backoff in ms
+   * @param {number} options.maxWait - Total ms a request may spend waiting on retries
+   */
+  constructor(options = {}) {
+    this.minInterval = options.minInterval ?? 100;
+    this.maxAttempts = options.maxAttempts ?? 6;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 60000;
+    this.maxWait = options.maxWait ?? 300000;
+
+    // Next time a request may start, and the end of any server-requested pause
+    this.nextSlot = 0;
+    this.pausedUntil = 0;
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      serverErrors: 0,
+      gaveUp: 0,
+    };
+  }
+
+  /**
+   * Network errors that are worth retrying
+   */
+  static RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+  /**
+   * Process-wide instance, created on first use
+   */
+  static shared = null;
+
+  /**
+   * Get the process-wide scheduler
+   * @returns {SmugMugRequestScheduler}
+   */
+  static getShared() {
+    if (!SmugMugRequestScheduler.shared) {
+      SmugMugRequestScheduler.shared = new SmugMugRequestScheduler();
+    }
+    return SmugMugRequestScheduler.shared;
+  }
+
+  /**
+   * Run a request through the scheduler
+   * @param {Function} request - Performs one attempt and returns a promise (e.g. an axios call)
+   * @param {object} options - Options
+   * @param {string} options.label - Description used in log messages
+   * @param {AbortSignal} options.signal - Abort waiting between attempts
+   * @returns {Promise<*>} Result of the first successful attempt
+   */
+  async schedule(request, { label = 'SmugMug request', signal = null } = {}) {
+    let waited = 0;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.acquireSlot(signal);
+      this.stats.requests++;
+
+      try {
+        return await request();
+      } catch (error) {
+        const status = error.response?.status;
+
+        if (!this.isRetryable(error) || signal?.aborted) {
+          throw error;
+        }
+
+        if (status === 429) {
+          this.stats.throttled++;
+        } else if (status >= 500) {
+          this.stats.serverErrors++;
+        }
+
+        const retryAfter = this.getRetryAfter(error.response?.headers);
+        const delay = retryAfter ?? this.getBackoffDelay(attempt);
+
+        if (attempt >= this.maxAttempts || waited + delay > this.maxWait) {
+          this.stats.gaveUp++;
+          error.message = `${error.message} (gave up after ${attempt} attempt${attempt === 1 ? '' : 's'})`;
+          throw error;
+        }
+
+        // Throttling applies to the API key, so hold back every queued request
+        if (status === 429 || (retryAfter !== null && status === 503)) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+
+        console.warn(
+          `${label} failed with ${status || error.code}; retrying in ${(delay / 1000).toFixed(1)}s ` +
+          `(attempt ${attempt + 1}/${this.maxAttempts})`
+        );
+
+        this.stats.retries++;
+        waited += delay;
+        await this.sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Wait until the next request may start
+   * @param {AbortSignal|null} signal - Abort signal
+   */
+  async acquireSlot(signal = null) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot, this.pausedUntil);
+    this.nextSlot = start + this.minInterval;
+
+    if (start > now) {
+      await this.sleep(start - now, signal);
+    }
+  }
+
+  /**
+   * Check whether a failed attempt should be retried
+   * @param {Error} error - Request error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    return SmugMugRequestScheduler.RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date)
+   * @param {object} headers - Response headers
+   * @returns {number|null} Delay in ms
+   */
+  getRetryAfter(headers) {
+    const value = headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Exponential backoff with jitter (half fixed, half random)
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Sleep, waking early if the signal aborts
+   * @param {number} ms - Milliseconds
+   * @param {AbortSignal|null} signal - Abort signal
+   */
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Request cancelled'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request cancelled'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {object} Request counts
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default SmugMugRequestScheduler;
@@ -1,6 +1,8 @@
 import OAuth from 'oauth-1.0a';
 import crypto from 'crypto';
 import axios from 'axios';
+import SmugMugRequestScheduler from './SmugMugRequestScheduler.js';
+import { AuthError, classifyHttpError, wrapError } from './MigrationErrors.js';
 
 /**
  * SmugMug API Service
@@ -38,6 +40,9 @@ class SmugMugService {
     this.accessToken = null;
     this.accessTokenSecret = null;
     this.authUser = null;
+
+    // Shared pacing/backoff for every request against SmugMug
+    this.scheduler = SmugMugRequestScheduler.getShared();
   }
 
   /**
@@ -77,7 +82,7 @@ class SmugMugService {
       this.requestTokenSecret = params.get('oauth_token_secret');
 
       if (!this.requestToken || !this.requestTokenSecret) {
-        throw new Error('Failed to obtain request token from SmugMug');
+        throw new AuthError('Failed to obtain request token from SmugMug', { service: 'smugmug' });
       }
 
       // Build authorization URL
@@ -90,7 +95,7 @@ class SmugMugService {
       };
     } catch (error) {
       console.error('Error getting request token:', error.response?.data || error.message);
-      throw new Error(`Failed to get request token: ${error.message}`);
+      throw classifyHttpError(error, 'smugmug', 'Failed to get request token');
     }
   }
 
@@ -102,7 +107,7 @@ class SmugMugService {
   async getAccessToken(oauthVerifier) {
     try {
       if (!this.requestToken || !this.requestTokenSecret) {
-        throw new Error('Request token not found. Call getRequestToken() first.');
+        throw new AuthError('Request token not found. Call getRequestToken() first.', { service: 'smugmug' });
       }
 
       const requestData = {
@@ -142,7 +147,7 @@ class SmugMugService {
       this.accessTokenSecret = params.get('oauth_token_secret');
 
       if (!this.accessToken || !this.accessTokenSecret) {
-        throw new Error('Failed to obtain access token from SmugMug');
+        throw new AuthError('Failed to obtain access token from SmugMug', { service: 'smugmug' });
       }
 
       return {
@@ -151,7 +156,7 @@ class SmugMugService {
       };
     } catch (error) {
       console.error('Error getting access token:', error.response?.data || error.message);
-      throw new Error(`Failed to get access token: ${error.message}`);
+      throw classifyHttpError(error, 'smugmug', 'Failed to get access token');
     }
   }
 
@@ -175,7 +180,7 @@ class SmugMugService {
   async makeAuthenticatedRequest(endpoint, method = 'GET', params = {}) {
     try {
       if (!this.accessToken || !this.accessTokenSecret) {
-        throw new Error('Not authenticated. Access token required.');
+        throw new AuthError('Not authenticated. Access token required.', { service: 'smugmug' });
       }
 
       // Build full URL - handle full URLs, API paths, and relative endpoints
@@ -207,30 +212,34 @@ class SmugMugService {
         secret: this.accessTokenSecret,
       };
 
-      const headers = this.oauth.toHeader(
-        this.oauth.authorize(requestData, token)
-      );
+      // Sign each attempt separately; OAuth nonces and timestamps cannot be reused
+      const response = await this.scheduler.schedule(() => {
+        const headers = this.oauth.toHeader(
+          this.oauth.authorize(requestData, token)
+        );
 
-      const config = {
-        method,
-        url,
-        headers: {
-          ...headers,
-          Accept: 'application/json',
-        },
-      };
+        const config = {
+          method,
+          url,
+          headers: {
+            ...headers,
+            Accept: 'application/json',
+          },
+        };
 
-      if (method === 'GET') {
-        config.params = params;
-      } else {
-        config.data = params;
-      }
+        if (method === 'GET') {
+          config.params = params;
+        } else {
+          config.data = params;
+        }
+
+        return axios(config);
+      }, { label: `SmugMug ${method} ${endpoint}` });
 
-      const response = await axios(config);
       return response.data;
     } catch (error) {
       console.error('API request error:', error.response?.data || error.message);
-      throw new Error(`API request failed: ${error.message}`);
+      throw classifyHttpError(error, 'smugmug', 'API request failed');
     }
   }
 
@@ -244,7 +253,7 @@ class SmugMugService {
       this.authUser = response.Response.User;
       return this.authUser;
     } catch (error) {
-      throw new Error(`Failed to get authenticated user: ${error.message}`);
+      throw wrapError(error, 'Failed to get authenticated user');
     }
   }
 
@@ -272,16 +281,104 @@ class SmugMugService {
   }
 
   /**
-   * Get user's albums
+   * Get user's albums (all pages)
    * @param {string} albumsUri - Albums URI (e.g., '/api/v2/user/username!albums')
+   * @param {number} count - Albums per page
    * @returns {Promise<Array>} List of albums
    */
-  async getAlbums(albumsUri) {
+  async getAlbums(albumsUri, count = 100) {
     try {
-      const response = await this.makeAuthenticatedRequest(albumsUri);
-      return response.Response.Album || [];
+      const albums = [];
+      let start = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.makeAuthenticatedRequest(
+          albumsUri,
+          'GET',
+          { start, count, _expand: 'HighlightImage' }
+        );
+
+        const page = response.Response.Album || [];
+        page.forEach(album => this.attachHighlightImage(album, response.Expansions));
+        albums.push(...page);
+
+        hasMore = response.Response.Pages?.NextPage !== undefined;
+        start += count;
+      }
+
+      return albums;
     } catch (error) {
-      throw new Error(`Failed to get albums: ${error.message}`);
+      throw wrapError(error, 'Failed to get albums');
+    }
+  }
+
+  /**
+   * Get a single album
+   * @param {string} albumUri - Album URI (e.g., '/api/v2/album/abc123')
+   * @returns {Promise<object>} Album data
+   */
+  async getAlbum(albumUri) {
+    try {
+      const response = await this.makeAuthenticatedRequest(albumUri, 'GET', { _expand: 'HighlightImage' });
+      const album = response.Response.Album;
+      this.attachHighlightImage(album, response.Expansions);
+      return album;
+    } catch (error) {
+      throw wrapError(error, 'Failed to get album');
+    }
+  }
+
+  /**
+   * Copy an album's expanded highlight (cover) image onto the album as HighlightImage
+   * Expansions are keyed by the related URI and wrap the image in its locator
+   * (Image or AlbumImage depending on the endpoint).
+   * @param {object} album - Album data
+   * @param {object} expansions - Expansions from the same response
+   */
+  attachHighlightImage(album, expansions) {
+    const uri = album?.Uris?.HighlightImage?.Uri;
+    const expansion = uri ? expansions?.[uri] : null;
+    if (!expansion) return;
+
+    album.HighlightImage = expansion.Image || expansion.AlbumImage || null;
+  }
+
+  /**
+   * Get the largest available rendition of a video
+   * @param {string} largestVideoUri - LargestVideo URI (e.g., '/api/v2/image/abc123-0!largestvideo')
+   * @returns {Promise<object>} LargestVideo data (Url, Size, Width, Height, MD5, ...)
+   */
+  async getLargestVideo(largestVideoUri) {
+    try {
+      const response = await this.makeAuthenticatedRequest(largestVideoUri);
+      return response.Response.LargestVideo;
+    } catch (error) {
+      throw wrapError(error, 'Failed to get largest video');
+    }
+  }
+
+  /**
+   * Get the children of a folder node
+   * @param {string} nodeUri - Node URI
+   * @param {number} start - Start index for pagination
+   * @param {number} count - Number of nodes to fetch
+   * @returns {Promise<object>} Child nodes with pagination info
+   */
+  async getNodeChildren(nodeUri, start = 1, count = 100) {
+    try {
+      const response = await this.makeAuthenticatedRequest(
+        `${nodeUri}!children`,
+        'GET',
+        { start, count }
+      );
+
+      return {
+        nodes: response.Response.Node || [],
+        pages: response.Response.Pages,
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to get node children');
     }
   }
 
@@ -305,7 +402,31 @@ class SmugMugService {
         pages: response.Response.Pages,
       };
     } catch (error) {
-      throw new Error(`Failed to get album images: ${error.message}`);
+      throw wrapError(error, 'Failed to get album images');
+    }
+  }
+
+  /**
+   * Get comments left on an image
+   * @param {string} commentsUri - Image comments URI (e.g., '/api/v2/album/abc123/image/def456-0!comments')
+   * @param {number} start - Start index for pagination
+   * @param {number} count - Number of comments to fetch
+   * @returns {Promise<object>} Comments with pagination info
+   */
+  async getImageComments(commentsUri, start = 1, count = 100) {
+    try {
+      const response = await this.makeAuthenticatedRequest(
+        commentsUri,
+        'GET',
+        { start, count }
+      );
+
+      return {
+        comments: response.Response.Comment || [],
+        pages: response.Response.Pages,
+      };
+    } catch (error) {
+      throw wrapError(error, 'Failed to get image comments');
     }
   }
 
@@ -319,7 +440,7 @@ class SmugMugService {
       const response = await this.makeAuthenticatedRequest(imageUri);
       return response.Response.Image;
     } catch (error) {
-      throw new Error(`Failed to get image metadata: ${error.message}`);
+      throw wrapError(error, 'Failed to get image metadata');
     }
   }
 
@@ -335,7 +456,7 @@ class SmugMugService {
       });
       return Buffer.from(response.data);
     } catch (error) {
-      throw new Error(`Failed to download image: ${error.message}`);
+      throw classifyHttpError(error, 'smugmug', 'Failed to download image');
     }
   }
 }
@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Sync Manifest Service
+ * Persists what a previous migration transferred so later runs against the same
+ * account and destination only move assets that were added or changed on SmugMug.
+ *
+ * Assets are keyed on album + ImageKey and fingerprinted with LastUpdated and
+ * ArchivedMD5. Entries present in the manifest but missing from a fresh inventory
+ * are reported as deletions; nothing is ever removed from the destination.
+ * Each entry keeps the key the asset was stored under, so a modified asset
+ * replaces its earlier copy instead of landing next to it.
+ */
+class SyncManifest {
+  /**
+   * @param {object} options
+   * @param {string} options.userNickName - SmugMug account nickname
+   * @param {string} options.destinationType - 'b2' or 'local'
+   * @param {string} options.destination - Bucket name or local path
+   * @param {string|null} options.directory - Directory holding manifests
+   */
+  constructor({ userNickName, destinationType, destination, directory = null }) {
+    this.userNickName = userNickName;
+    this.destinationType = destinationType;
+    this.destination = destination;
+    this.directory = directory || path.join(os.homedir(), '.smugmug-retrieve');
+
+    const destinationHash = crypto
+      .createHash('sha1')
+      .update(`${destinationType}:${destination}`)
+      .digest('hex')
+      .substring(0, 12);
+
+    this.filePath = path.join(
+      this.directory,
+      `sync-manifest-${userNickName}-${destinationHash}.json`
+    );
+
+    this.manifest = null;
+    this.previousSyncAt = null;
+    this.diff = null;
+  }
+
+  /**
+   * Build the fingerprint used to detect modified assets
+   * @param {object} asset - Asset object
+   * @returns {string} Fingerprint
+   */
+  static getFingerprint(asset) {
+    return `${asset.dateModified || ''}|${asset.archivedMD5 || ''}`;
+  }
+
+  /**
+   * Build a manifest entry for an asset
+   * @param {object} asset - Asset object
+   * @param {string|null} destinationKey - Key the asset is stored under
+   * @returns {object} Manifest entry
+   */
+  static createEntry(asset, destinationKey = null) {
+    return {
+      imageKey: asset.imageKey || asset.assetId,
+      albumKey: asset.albumKey || null,
+      albumName: asset.albumName || null,
+      filename: asset.filename || null,
+      destinationKey,
+      lastUpdated: asset.dateModified || null,
+      archivedMD5: asset.archivedMD5 || null,
+      archivedSize: asset.archivedSize || null,
+      fingerprint: SyncManifest.getFingerprint(asset),
+      syncedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Load the manifest from the previous run (empty manifest on first run)
+   * @returns {Promise<object>} Manifest
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      this.manifest = JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Sync manifest read failed: ${error.message}`);
+      }
+
+      this.manifest = {
+        manifestVersion: '1.0',
+        user: this.userNickName,
+        destinationType: this.destinationType,
+        destination: this.destination,
+        lastSyncAt: null,
+        lastSessionId: null,
+        assets: {},
+      };
+    }
+
+    this.previousSyncAt = this.manifest.lastSyncAt;
+    return this.manifest;
+  }
+
+  /**
+   * Check whether a previous run left a manifest
+   * @returns {boolean}
+   */
+  hasPreviousRun() {
+    return Boolean(this.previousSyncAt);
+  }
+
+  /**
+   * Get the key a previous run stored an asset under
+   * @param {object} asset - Asset object
+   * @returns {string|null} Destination key, or null if the manifest has none
+   */
+  getDestinationKey(asset) {
+    return this.manifest?.assets[asset.getInventoryKey()]?.destinationKey || null;
+  }
+
+  /**
+   * Compare a fresh inventory against the stored manifest
+   * @param {Array<object>} assets - Assets from a fresh inventory
+   * @param {boolean} inventoryComplete - False when the inventory was limited (test mode,
+   *   album selection, filters, videos excluded), in which case missing entries cannot
+   *   be treated as deletions
+   * @returns {{added: Array, modified: Array, unchanged: Array, deleted: Array}}
+   */
+  compare(assets, inventoryComplete = true) {
+    if (!this.manifest) {
+      throw new Error('Sync manifest not loaded. Call load() first.');
+    }
+
+    const previous = this.manifest.assets;
+    const seen = new Set();
+    const added = [];
+    const modified = [];
+    const unchanged = [];
+
+    for (const asset of assets) {
+      const key = asset.getInventoryKey();
+      seen.add(key);
+
+      const entry = previous[key];
+      if (!entry) {
+        added.push(asset);
+      } else if (entry.fingerprint !== SyncManifest.getFingerprint(asset)) {
+        modified.push(asset);
+      } else {
+        unchanged.push(asset);
+      }
+    }
+
+    const deleted = inventoryComplete
+      ? Object.entries(previous)
+        .filter(([key]) => !seen.has(key))
+        .map(([key, entry]) => ({ key, ...entry }))
+      : [];
+
+    this.diff = { added, modified, unchanged, deleted };
+    return this.diff;
+  }
+
+  /**
+   * Get assets that need transferring in this run
+   * @returns {Array<object>} Added and modified assets
+   */
+  getChangedAssets() {
+    if (!this.diff) {
+      return [];
+    }
+    return [...this.diff.added, ...this.diff.modified];
+  }
+
+  /**
+   * Write the updated manifest after a run
+   * Unchanged entries are carried over, transferred assets are refreshed, and
+   * failed assets keep their previous entry (or none) so the next run retries them.
+   * @param {Function} getStoredKey - Returns the key an asset was stored under in this
+   *   run, or null if it did not complete
+   * @param {string} sessionId - Session that produced the manifest
+   * @returns {Promise<string>} Manifest file path
+   */
+  async save(getStoredKey, sessionId) {
+    if (!this.manifest || !this.diff) {
+      throw new Error('Nothing to save. Call load() and compare() first.');
+    }
+
+    const previous = this.manifest.assets;
+    const deletedKeys = new Set(this.diff.deleted.map(entry => entry.key));
+    const assets = {};
+
+    for (const [key, entry] of Object.entries(previous)) {
+      if (!deletedKeys.has(key)) {
+        assets[key] = entry;
+      }
+    }
+
+    for (const asset of this.getChangedAssets()) {
+      const destinationKey = getStoredKey(asset);
+      if (destinationKey) {
+        assets[asset.getInventoryKey()] = SyncManifest.createEntry(asset, destinationKey);
+      }
+    }
+
+    this.manifest = {
+      ...this.manifest,
+      lastSyncAt: new Date().toISOString(),
+      lastSessionId: sessionId,
+      assets,
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(this.filePath, JSON.stringify(this.manifest, null, 2), { mode: 0o600 });
+      return this.filePath;
+    } catch (error) {
+      console.error('Failed to save sync manifest:', error);
+      throw new Error(`Sync manifest save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a sync report for logging and the migration summary
+   * @returns {object} Sync report
+   */
+  getReport() {
+    const diff = this.diff || { added: [], modified: [], unchanged: [], deleted: [] };
+
+    return {
+      manifestPath: this.filePath,
+      previousSyncAt: this.previousSyncAt,
+      added: diff.added.length,
+      modified: diff.modified.length,
+      unchanged: diff.unchanged.length,
+      deletedOnSmugMug: diff.deleted.length,
+      deletedAssets: diff.deleted.map(entry => ({
+        imageKey: entry.imageKey,
+        albumKey: entry.albumKey,
+        albumName: entry.albumName,
+        filename: entry.filename,
+        lastSyncedAt: entry.syncedAt,
+      })),
+    };
+  }
+}
+
+export default SyncManifest;
@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Verification Service
+ * Audits a finished session against what actually exists at the destination.
+ *
+ * Expected objects come from the session inventory saved beside the checkpoint
+ * journal; the journal supplies the final destination key (after any clash
+ * renaming) and the size/SHA1 recorded at transfer time. The destination is
+ * listed once and each expected object is reported as ok, missing,
+ * size_mismatch or checksum_mismatch.
+ */
+class VerificationService {
+  /**
+   * @param {BackBlazeB2Service|LocalStorageService} storageService - Connected storage service
+   * @param {CheckpointJournal} checkpointJournal - Journal of the session to verify
+   */
+  constructor(storageService, checkpointJournal) {
+    this.storageService = storageService;
+    this.checkpointJournal = checkpointJournal;
+    this.reportPath = path.join(
+      checkpointJournal.directory,
+      `verify-report-${checkpointJournal.sessionId}.json`
+    );
+
+    // Progress callback
+    this.progressCallback = null;
+  }
+
+  /**
+   * Verification statuses
+   */
+  static STATUS = {
+    OK: 'ok',
+    MISSING: 'missing',
+    SIZE_MISMATCH: 'size_mismatch',
+    CHECKSUM_MISMATCH: 'checksum_mismatch',
+  };
+
+  /**
+   * Set progress callback
+   * @param {Function} callback - Callback function (current, total, message)
+   */
+  setProgressCallback(callback) {
+    this.progressCallback = callback;
+  }
+
+  /**
+   * Run the verification and save the report
+   * @returns {Promise<object>} Verification report
+   */
+  async run() {
+    await this.checkpointJournal.load();
+    const inventory = await this.checkpointJournal.loadInventory();
+
+    const listed = await this.storageService.listAllFiles();
+    const destinationFiles = new Map(listed.map(file => [file.fileName, file]));
+
+    const items = [];
+    for (let i = 0; i < inventory.length; i++) {
+      items.push(await this.verifyEntry(inventory[i], destinationFiles));
+
+      if (this.progressCallback && (i + 1) % 100 === 0) {
+        this.progressCallback(i + 1, inventory.length, `Verified ${i + 1}/${inventory.length} assets`);
+      }
+    }
+
+    const report = {
+      sessionId: this.checkpointJournal.sessionId,
+      verifiedAt: new Date().toISOString(),
+      destinationObjects: listed.length,
+      totals: this.getTotals(items),
+      items,
+    };
+
+    await this.saveReport(report);
+    return report;
+  }
+
+  /**
+   * Verify one expected asset
+   * @param {object} entry - Session inventory entry
+   * @param {Map<string, object>} destinationFiles - Listed files by key
+   * @returns {Promise<object>} Verification item
+   */
+  async verifyEntry(entry, destinationFiles) {
+    const record = this.checkpointJournal.getStateByKey(entry.key);
+    const destinationKey = record?.destinationKey || entry.destinationKey;
+    const expectedSize = record?.checksums?.size ?? (entry.archivedSize ? Number(entry.archivedSize) : null);
+    const expectedSha1 = record?.checksums?.sha1 || null;
+
+    const item = {
+      key: entry.key,
+      filename: entry.filename,
+      albumName: entry.albumName,
+      destinationKey,
+      journalStatus: record?.status || null,
+      status: VerificationService.STATUS.OK,
+      expectedSize,
+      actualSize: null,
+      expectedSha1,
+      actualSha1: null,
+    };
+
+    const file = destinationFiles.get(destinationKey);
+    if (!file) {
+      item.status = VerificationService.STATUS.MISSING;
+      return item;
+    }
+
+    item.actualSize = file.contentLength;
+    if (expectedSize !== null && file.contentLength !== expectedSize) {
+      item.status = VerificationService.STATUS.SIZE_MISMATCH;
+      return item;
+    }
+
+    if (expectedSha1) {
+      item.actualSha1 = await this.getSha1(file);
+      if (item.actualSha1 && item.actualSha1 !== expectedSha1) {
+        item.status = VerificationService.STATUS.CHECKSUM_MISMATCH;
+      }
+    }
+
+    return item;
+  }
+
+  /**
+   * Get the SHA1 of a listed file, hashing it if the lister did not provide one
+   * @param {object} file - Listed file
+   * @returns {Promise<string|null>} SHA1 hex digest
+   */
+  async getSha1(file) {
+    if (file.contentSha1) {
+      return file.contentSha1;
+    }
+
+    if (typeof this.storageService.getFileSha1 === 'function') {
+      return this.storageService.getFileSha1(file.fileName);
+    }
+
+    return null;
+  }
+
+  /**
+   * Count items by status
+   * @param {Array<object>} items - Verification items
+   * @returns {object} Totals
+   */
+  getTotals(items) {
+    const count = status => items.filter(item => item.status === status).length;
+
+    return {
+      expected: items.length,
+      ok: count(VerificationService.STATUS.OK),
+      missing: count(VerificationService.STATUS.MISSING),
+      sizeMismatch: count(VerificationService.STATUS.SIZE_MISMATCH),
+      checksumMismatch: count(VerificationService.STATUS.CHECKSUM_MISMATCH),
+      checksumNotChecked: items.filter(
+        item => item.status === VerificationService.STATUS.OK && !item.actualSha1
+      ).length,
+    };
+  }
+
+  /**
+   * Save the report beside the checkpoint journal
+   * @param {object} report - Verification report
+   * @returns {Promise<string>} Report file path
+   */
+  async saveReport(report) {
+    try {
+      await fs.writeFile(this.reportPath, JSON.stringify(report, null, 2), { mode: 0o600 });
+      return this.reportPath;
+    } catch (error) {
+      console.error('Failed to save verification report:', error);
+      throw new Error(`Verification report save failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the report from the last verification run
+   * @returns {Promise<object>} Verification report
+   */
+  async loadReport() {
+    try {
+      const content = await fs.readFile(this.reportPath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No verification report found for session ${this.checkpointJournal.sessionId}`);
+      }
+      throw new Error(`Verification report read failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export a report as CSV
+   * @param {object} report - Verification report
+   * @returns {string} CSV content
+   */
+  static exportAsCSV(report) {
+    const headers = [
+      'Status',
+      'Destination Key',
+      'Filename',
+      'Album',
+      'Journal Status',
+      'Expected Size',
+      'Actual Size',
+      'Expected SHA1',
+      'Actual SHA1',
+    ];
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = report.items.map(item => [
+      item.status,
+      item.destinationKey,
+      item.filename,
+      item.albumName,
+      item.journalStatus,
+      item.expectedSize,
+      item.actualSize,
+      item.expectedSha1,
+      item.actualSha1,
+    ].map(escape));
+
+    return [
+      headers.join(','),
+      ...rows.map(row => row.join(',')),
+    ].join('\n');
+  }
+}
+
+export default VerificationService;
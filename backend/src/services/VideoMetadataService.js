@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+
+/**
+ * Video Metadata Service
+ * Reads duration, codecs and dimensions from MP4/MOV (ISO base media) files.
+ *
+ * Only box headers and the moov box are read, so memory stays small even for
+ * multi-GB files. Other containers (AVI, WMV, MTS) are not parsed.
+ */
+class VideoMetadataService {
+  constructor() {
+    // moov is normally a few MB; refuse anything unreasonable
+    this.maxMoovSize = 64 * 1024 * 1024;
+  }
+
+  /**
+   * Readable names for common sample entry codes
+   */
+  static CODEC_NAMES = {
+    avc1: 'H.264',
+    avc3: 'H.264',
+    hvc1: 'H.265/HEVC',
+    hev1: 'H.265/HEVC',
+    mp4v: 'MPEG-4 Visual',
+    jpeg: 'Motion JPEG',
+    apcn: 'Apple ProRes 422',
+    apch: 'Apple ProRes 422 HQ',
+    apcs: 'Apple ProRes 422 LT',
+    apco: 'Apple ProRes 422 Proxy',
+    ap4h: 'Apple ProRes 4444',
+    av01: 'AV1',
+    vp09: 'VP9',
+    mp4a: 'AAC',
+    'ac-3': 'AC-3',
+    'ec-3': 'E-AC-3',
+    alac: 'Apple Lossless',
+    lpcm: 'PCM',
+    sowt: 'PCM',
+    twos: 'PCM',
+  };
+
+  /**
+   * Probe a video file
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<object|null>} Video metadata, or null if the container is not MP4/MOV
+   */
+  async probe(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size: fileSize } = await handle.stat();
+      const moov = await this.readTopLevelBox(handle, fileSize, 'moov');
+
+      if (!moov) {
+        return null;
+      }
+
+      return this.parseMoov(moov);
+    } catch (error) {
+      console.error(`Failed to probe video ${filePath}:`, error.message);
+      return null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Find a top-level box by type and read its payload
+   * @param {FileHandle} handle - Open file handle
+   * @param {number} fileSize - File size in bytes
+   * @param {string} type - Box type to find
+   * @returns {Promise<Buffer|null>} Box payload
+   */
+  async readTopLevelBox(handle, fileSize, type) {
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      const { bytesRead } = await handle.read(header, 0, 16, offset);
+      if (bytesRead < 8) {
+        return null;
+      }
+
+      let boxSize = header.readUInt32BE(0);
+      const boxType = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+
+      if (boxSize === 1) {
+        boxSize = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (boxSize === 0) {
+        boxSize = fileSize - offset;
+      }
+
+      if (boxSize < headerSize) {
+        return null; // Not an ISO media file
+      }
+
+      if (boxType === type) {
+        const payloadSize = boxSize - headerSize;
+        if (payloadSize > this.maxMoovSize) {
+          throw new Error(`${type} box too large (${payloadSize} bytes)`);
+        }
+
+        const payload = Buffer.alloc(payloadSize);
+        await handle.read(payload, 0, payloadSize, offset + headerSize);
+        return payload;
+      }
+
+      offset += boxSize;
+    }
+
+    return null;
+  }
+
+  /**
+   * Iterate the child boxes of a payload
+   * @param {Buffer} buffer - Box payload
+   * @returns {Array<{type: string, payload: Buffer}>} Child boxes
+   */
+  getChildBoxes(buffer) {
+    const boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= buffer.length) {
+      let boxSize = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      let headerSize = 8;
+
+      if (boxSize === 1 && offset + 16 <= buffer.length) {
+        boxSize = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (boxSize === 0) {
+        boxSize = buffer.length - offset;
+      }
+
+      if (boxSize < headerSize || offset + boxSize > buffer.length) {
+        break;
+      }
+
+      boxes.push({ type, payload: buffer.subarray(offset + headerSize, offset + boxSize) });
+      offset += boxSize;
+    }
+
+    return boxes;
+  }
+
+  /**
+   * Find a child box by path (e.g. ['mdia', 'minf', 'stbl', 'stsd'])
+   * @param {Buffer} buffer - Box payload
+   * @param {Array<string>} path - Box types to descend through
+   * @returns {Buffer|null} Payload of the last box
+   */
+  findBox(buffer, path) {
+    let current = buffer;
+    for (const type of path) {
+      const child = this.getChildBoxes(current).find(box => box.type === type);
+      if (!child) {
+        return null;
+      }
+      current = child.payload;
+    }
+    return current;
+  }
+
+  /**
+   * Parse the moov box
+   * @param {Buffer} moov - moov payload
+   * @returns {object} Video metadata
+   */
+  parseMoov(moov) {
+    const result = {
+      container: 'mp4/mov',
+      durationSeconds: null,
+      creationTime: null,
+      videoCodec: null,
+      videoCodecName: null,
+      audioCodec: null,
+      audioCodecName: null,
+      width: null,
+      height: null,
+    };
+
+    const mvhd = this.findBox(moov, ['mvhd']);
+    if (mvhd) {
+      Object.assign(result, this.parseMvhd(mvhd));
+    }
+
+    for (const trak of this.getChildBoxes(moov).filter(box => box.type === 'trak')) {
+      const hdlr = this.findBox(trak.payload, ['mdia', 'hdlr']);
+      const stsd = this.findBox(trak.payload, ['mdia', 'minf', 'stbl', 'stsd']);
+      if (!hdlr || !stsd || hdlr.length < 12 || stsd.length < 16) {
+        continue;
+      }
+
+      const handlerType = hdlr.toString('latin1', 8, 12);
+      const codec = stsd.toString('latin1', 12, 16);
+
+      if (handlerType === 'vide' && !result.videoCodec) {
+        result.videoCodec = codec;
+        result.videoCodecName = VideoMetadataService.CODEC_NAMES[codec] || codec;
+        // Visual sample entry: width/height follow 24 bytes of reserved fields
+        if (stsd.length >= 44) {
+          result.width = stsd.readUInt16BE(40);
+          result.height = stsd.readUInt16BE(42);
+        }
+      } else if (handlerType === 'soun' && !result.audioCodec) {
+        result.audioCodec = codec;
+        result.audioCodecName = VideoMetadataService.CODEC_NAMES[codec] || codec;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the movie header box for duration and creation time
+   * @param {Buffer} mvhd - mvhd payload
+   * @returns {{durationSeconds: number|null, creationTime: string|null}}
+   */
+  parseMvhd(mvhd) {
+    const version = mvhd.readUInt8(0);
+    let creation;
+    let timescale;
+    let duration;
+
+    if (version === 1) {
+      creation = Number(mvhd.readBigUInt64BE(4));
+      timescale = mvhd.readUInt32BE(20);
+      duration = Number(mvhd.readBigUInt64BE(24));
+    } else {
+      creation = mvhd.readUInt32BE(4);
+      timescale = mvhd.readUInt32BE(12);
+      duration = mvhd.readUInt32BE(16);
+    }
+
+    // ISO media times count seconds from 1904-01-01
+    const epochOffset = 2082844800;
+
+    return {
+      durationSeconds: timescale ? Math.round((duration / timescale) * 1000) / 1000 : null,
+      creationTime: creation > epochOffset
+        ? new Date((creation - epochOffset) * 1000).toISOString()
+        : null,
+    };
+  }
+}
+
+export default VideoMetadataService;
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import AccountDiscoveryService from '../src/services/AccountDiscoveryService.js';
+
+const USER = {
+  Name: 'Test User',
+  NickName: 'test',
+  Uris: { UserAlbums: { Uri: '/api/v2/user/test!albums' }, Node: { Uri: '/api/v2/node/root' } },
+};
+
+test('discovery fails when the folder hierarchy cannot be read', async () => {
+  const discovery = new AccountDiscoveryService({
+    async getAuthenticatedUser() { return USER; },
+    async getAlbums() { return []; },
+    async getNodeChildren() { throw new Error('503 Service Unavailable'); },
+  });
+
+  // Carrying on without folder paths would change every destination key
+  await assert.rejects(
+    discovery.discoverAccount(),
+    /Folder hierarchy discovery failed: 503 Service Unavailable/
+  );
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'stream';
+import AssetDownloadService from '../src/services/AssetDownloadService.js';
+
+/**
+ * Stands in for the shared scheduler: counts requests and answers each with respond()
+ * @param {Function} respond - Returns the response, or throws
+ */
+function createScheduler(respond) {
+  return {
+    calls: 0,
+    async schedule() {
+      this.calls++;
+      return respond();
+    },
+  };
+}
+
+function createSink() {
+  return {
+    stream: new Writable({ write(chunk, encoding, callback) { callback(); } }),
+    async commit() { return { success: true }; },
+    async abort() {},
+  };
+}
+
+const asset = {
+  assetId: 'img1',
+  filename: 'photo.jpg',
+  archivedUri: 'https://photos.example/photo.jpg',
+  archivedMD5: '00000000000000000000000000000000',
+  isVideo: false,
+};
+
+function createService(scheduler) {
+  const service = new AssetDownloadService({ scheduler }, null);
+  service.retryDelay = 0;
+  return service;
+}
+
+test('transient failures the scheduler gave up on are not retried again per asset', async () => {
+  const scheduler = createScheduler(() => {
+    const error = new Error('Request failed with status code 503 (gave up after 6 attempts)');
+    error.response = { status: 503, headers: {} };
+    throw error;
+  });
+
+  const result = await createService(scheduler).downloadAsset(asset, createSink);
+
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, true);
+  assert.equal(scheduler.calls, 1);
+});
+
+test('downloads that fail the MD5 check are fetched again up to retryAttempts times', async () => {
+  const scheduler = createScheduler(() => ({ data: Readable.from([Buffer.from('corrupted')]) }));
+  const service = createService(scheduler);
+
+  const result = await service.downloadAsset(asset, createSink);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorCode, 'INTEGRITY_MISMATCH');
+  assert.equal(scheduler.calls, service.retryAttempts);
+});
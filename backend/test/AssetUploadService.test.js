@@ -0,0 +1,244 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import AssetUploadService from '../src/services/AssetUploadService.js';
+import LocalStorageService from '../src/services/LocalStorageService.js';
+import FileSystemManager from '../src/services/FileSystemManager.js';
+import MetadataService from '../src/services/MetadataService.js';
+import DedupIndex from '../src/services/DedupIndex.js';
+import CheckpointJournal from '../src/services/CheckpointJournal.js';
+import SyncManifest from '../src/services/SyncManifest.js';
+import Asset from '../src/models/Asset.js';
+
+const SAMPLE_JPEG = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'photo_test', 'photo8.jpg');
+
+/**
+ * Stands in for AssetDownloadService: serves fixed bytes per asset, streaming into
+ * the upload sink when given one and staging through the FileSystemManager otherwise
+ */
+class FakeDownloadService {
+  constructor(fsManager, contents) {
+    this.fsManager = fsManager;
+    this.contents = contents;
+  }
+
+  async downloadAsset(asset, createSink = null) {
+    const data = this.contents.get(asset.assetId);
+    const stagingName = `${asset.assetId}-${asset.filename}`;
+    const checksums = {
+      size: data.length,
+      md5: crypto.createHash('md5').update(data).digest('hex'),
+      sha1: crypto.createHash('sha1').update(data).digest('hex'),
+      expectedMD5: asset.archivedMD5 || null,
+      sourceVerified: Boolean(asset.archivedMD5),
+    };
+
+    let sinkResult = null;
+    let filePath;
+    if (createSink) {
+      const sink = await createSink();
+      await new Promise((resolve, reject) => sink.stream.end(data, error => (error ? reject(error) : resolve())));
+      sinkResult = await sink.commit(checksums);
+      filePath = sinkResult.filePath;
+    } else {
+      filePath = await this.fsManager.writeFile(stagingName, data);
+    }
+
+    return { success: true, filename: asset.filename, stagingName, filePath, size: data.length, checksums, sinkResult };
+  }
+}
+
+const errorLogger = {
+  errors: [],
+  logDownloadError(...args) { this.errors.push(['download', ...args]); },
+  logUploadError(...args) { this.errors.push(['upload', ...args]); },
+  logMetadataError(...args) { this.errors.push(['metadata', ...args]); },
+  logError(entry) { this.errors.push(['error', entry]); },
+};
+
+const progressTracker = {
+  setCurrentOperation() {},
+  incrementDownloaded() {},
+  incrementUploaded() {},
+};
+
+let destination;
+let fsManager;
+
+beforeEach(async () => {
+  destination = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+  fsManager = new FileSystemManager(`upload-test-${crypto.randomBytes(4).toString('hex')}`);
+  errorLogger.errors = [];
+});
+
+afterEach(async () => {
+  await fs.rm(destination, { recursive: true, force: true });
+  await fs.rm(fsManager.baseDir, { recursive: true, force: true });
+});
+
+/**
+ * Build an upload service writing to the local test destination
+ * @param {Map<string, Buffer>} contents - Downloaded bytes by asset ID
+ * @param {object} storageService - Storage service to upload through
+ * @returns {AssetUploadService}
+ */
+function createUploadService(contents, storageService = new LocalStorageService(destination)) {
+  return new AssetUploadService(
+    new FakeDownloadService(fsManager, contents),
+    new MetadataService(),
+    storageService,
+    fsManager,
+    errorLogger,
+    progressTracker
+  );
+}
+
+function createAsset(imageKey, fileName, extra = {}, album = 'Trip') {
+  return new Asset(
+    { ImageKey: imageKey, FileName: fileName, Format: 'JPG', Title: `Title of ${imageKey}`, ...extra },
+    { name: album, albumKey: album.toLowerCase(), uri: `/api/v2/album/${album.toLowerCase()}`, folderPath: [] }
+  );
+}
+
+test('local destination stores JPEGs with embedded metadata and keeps the originals', async () => {
+  const jpeg = await fs.readFile(SAMPLE_JPEG);
+  const service = createUploadService(new Map([['img1', jpeg]]));
+  service.setEmbedMetadata(true, true);
+
+  // A file already at the destination key gets a _N suffix, as for direct streams
+  await fs.mkdir(path.join(destination, 'Trip'), { recursive: true });
+  await fs.writeFile(path.join(destination, 'Trip', 'photo.jpg'), 'existing');
+
+  const result = await service.processAsset(createAsset('img1', 'photo.jpg'));
+
+  assert.equal(result.success, true, JSON.stringify(errorLogger.errors));
+  assert.equal(result.destinationKey, 'Trip/photo_1.jpg');
+
+  const stored = await fs.readFile(path.join(destination, 'Trip', 'photo_1.jpg'));
+  assert.notDeepEqual(stored, jpeg);
+  assert.ok(stored.includes('Title of img1'));
+  assert.equal(result.checksums.destinationSha1, crypto.createHash('sha1').update(stored).digest('hex'));
+  assert.equal(result.checksums.original.sha1, crypto.createHash('sha1').update(jpeg).digest('hex'));
+
+  const original = await fs.readFile(path.join(destination, '_originals', 'Trip', 'photo_1.jpg'));
+  assert.deepEqual(original, jpeg);
+
+  const sidecar = JSON.parse(await fs.readFile(path.join(destination, 'Trip', 'photo_1.jpg.json'), 'utf8'));
+  assert.equal(sidecar.embeddedMetadata.embedded, true);
+  assert.equal(sidecar.embeddedMetadata.originalKey, '_originals/Trip/photo_1.jpg');
+  assert.equal(await fs.readFile(path.join(destination, 'Trip', 'photo.jpg'), 'utf8'), 'existing');
+});
+
+test('local destination dedups a file whose hash is only known after downloading', async () => {
+  const data = Buffer.from('the same photo in two albums');
+  const md5 = crypto.createHash('md5').update(data).digest('hex');
+  const service = createUploadService(new Map([['img1', data], ['img2', data]]));
+  const index = new DedupIndex();
+  service.setDedupIndex(index);
+
+  // The first copy has no ArchivedMD5, so it is staged and hashed before it is stored
+  const computed = createAsset('img1', 'beach.jpg', {}, 'Trip');
+  const archived = createAsset('img2', 'beach.jpg', { ArchivedMD5: md5 }, 'Best');
+  index.addInventory([computed, archived]);
+
+  const stored = await service.processAsset(computed);
+  assert.equal(stored.success, true, JSON.stringify(errorLogger.errors));
+  assert.equal(stored.destinationKey, 'Trip/beach.jpg');
+  assert.deepEqual(await fs.readFile(path.join(destination, 'Trip', 'beach.jpg')), data);
+
+  const duplicate = await service.processAsset(archived);
+  assert.equal(duplicate.success, true);
+  assert.equal(duplicate.duplicate, true);
+  assert.equal(duplicate.destinationKey, 'Trip/beach.jpg');
+  await assert.rejects(fs.access(path.join(destination, 'Best')));
+  assert.deepEqual(index.getReport(), { uniqueFiles: 1, duplicates: 1, bytesSaved: data.length });
+});
+
+test('a failed sidecar upload keeps the asset pending and a resume re-sends only the sidecar', async () => {
+  const data = Buffer.from('photo whose sidecar upload fails');
+  const storage = new LocalStorageService(destination);
+  const upload = storage.uploadFileWithRetry.bind(storage);
+  let failSidecars = true;
+  storage.uploadFileWithRetry = (fileData, fileName, ...rest) => (
+    failSidecars && fileName.endsWith('.json')
+      ? Promise.resolve({ success: false, fileName, error: 'disk full', errorCode: 'ENOSPC', retryable: true })
+      : upload(fileData, fileName, ...rest)
+  );
+
+  const journal = new CheckpointJournal('sidecar-test', destination);
+  await journal.initialize();
+  const service = createUploadService(new Map([['img1', data]]), storage);
+  service.setCheckpointJournal(journal);
+  const asset = createAsset('img1', 'photo.jpg');
+
+  const first = await service.processAsset(asset);
+  assert.equal(first.success, false);
+  assert.equal(first.phase, 'sidecar');
+  assert.equal(journal.getAssetState(asset).status, CheckpointJournal.STATUS.SIDECAR_PENDING);
+  assert.deepEqual(journal.getPendingAssets([asset]), [asset]);
+  await assert.rejects(fs.access(path.join(destination, 'Trip', 'photo.jpg.json')));
+
+  failSidecars = false;
+  const resumed = await service.processAsset(asset);
+  assert.equal(resumed.success, true, JSON.stringify(errorLogger.errors));
+  assert.equal(resumed.destinationKey, 'Trip/photo.jpg');
+  assert.equal(journal.getAssetState(asset).status, CheckpointJournal.STATUS.COMPLETE);
+
+  const sidecar = JSON.parse(await fs.readFile(path.join(destination, 'Trip', 'photo.jpg.json'), 'utf8'));
+  assert.equal(sidecar.title, 'Title of img1');
+  assert.deepEqual((await fs.readdir(path.join(destination, 'Trip'))).sort(), ['photo.jpg', 'photo.jpg.json']);
+});
+
+test('a modified asset replaces the copy a previous sync stored instead of adding a _N copy', async () => {
+  const asset = createAsset('img1', 'photo.jpg');
+  const manifest = new SyncManifest({ userNickName: 'user', destinationType: 'local', destination, directory: destination });
+  await manifest.load();
+  manifest.manifest.assets[asset.getInventoryKey()] = SyncManifest.createEntry(asset, 'Trip/photo_1.jpg');
+
+  // The earlier sync had to suffix the asset because another file took the plain name
+  await fs.mkdir(path.join(destination, 'Trip'), { recursive: true });
+  await fs.writeFile(path.join(destination, 'Trip', 'photo.jpg'), 'another asset');
+  await fs.writeFile(path.join(destination, 'Trip', 'photo_1.jpg'), 'stale');
+  await fs.writeFile(path.join(destination, 'Trip', 'photo_1.jpg.json'), '{}');
+
+  const data = Buffer.from('edited on SmugMug');
+  const service = createUploadService(new Map([['img1', data]]));
+  service.setSyncManifest(manifest);
+
+  const result = await service.processAsset(asset);
+
+  assert.equal(result.success, true, JSON.stringify(errorLogger.errors));
+  assert.equal(result.destinationKey, 'Trip/photo_1.jpg');
+  assert.deepEqual(await fs.readFile(path.join(destination, 'Trip', 'photo_1.jpg')), data);
+  assert.equal(await fs.readFile(path.join(destination, 'Trip', 'photo.jpg'), 'utf8'), 'another asset');
+  assert.deepEqual(
+    (await fs.readdir(path.join(destination, 'Trip'))).sort(),
+    ['photo.jpg', 'photo_1.jpg', 'photo_1.jpg.json']
+  );
+});
+
+test('a resumed asset replaces the copy the interrupted run stored under its journaled key', async () => {
+  const asset = createAsset('img1', 'photo.jpg');
+  const journal = new CheckpointJournal('resume-test', destination);
+  await journal.initialize();
+
+  // The interrupted run stored the file but stopped before the sidecar
+  await fs.mkdir(path.join(destination, 'Trip'), { recursive: true });
+  await fs.writeFile(path.join(destination, 'Trip', 'photo.jpg'), 'partial run');
+  await journal.recordAsset(asset, CheckpointJournal.STATUS.UPLOADED, { destinationKey: 'Trip/photo.jpg' });
+
+  const data = Buffer.from('the photo');
+  const service = createUploadService(new Map([['img1', data]]));
+  service.setCheckpointJournal(journal);
+
+  const result = await service.processAsset(asset);
+
+  assert.equal(result.success, true, JSON.stringify(errorLogger.errors));
+  assert.equal(result.destinationKey, 'Trip/photo.jpg');
+  assert.deepEqual(await fs.readFile(path.join(destination, 'Trip', 'photo.jpg')), data);
+  assert.deepEqual((await fs.readdir(path.join(destination, 'Trip'))).sort(), ['photo.jpg', 'photo.jpg.json']);
+});
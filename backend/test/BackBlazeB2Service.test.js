@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import BackBlazeB2Service from '../src/services/BackBlazeB2Service.js';
+import CheckpointJournal from '../src/services/CheckpointJournal.js';
+import VerificationService from '../src/services/VerificationService.js';
+
+/**
+ * Stands in for the backblaze-b2 client: lists the given keys (and what was uploaded)
+ * in name order, and accepts every upload
+ * @param {Array<string>} existing - Keys already in the bucket
+ */
+function createB2Client(existing) {
+  return {
+    uploads: [],
+    listCalls: 0,
+    async listFileNames({ startFileName = '', maxFileCount }) {
+      this.listCalls++;
+      const files = [...existing, ...this.uploads]
+        .filter(fileName => fileName >= startFileName)
+        .sort()
+        .slice(0, maxFileCount)
+        .map(fileName => ({ fileName, fileId: `id-${fileName}`, contentLength: 1, contentSha1: 'none' }));
+      return { data: { files, nextFileName: null } };
+    },
+    async getUploadUrl() {
+      return { data: { uploadUrl: 'https://upload.example', authorizationToken: 'token' } };
+    },
+    async uploadFile({ fileName, contentLength, hash }) {
+      this.uploads.push(fileName);
+      return { data: { fileId: `id-${fileName}`, fileName, contentLength, contentSha1: hash } };
+    },
+  };
+}
+
+function createService(existing) {
+  const service = new BackBlazeB2Service('account', 'key');
+  service.b2 = createB2Client(existing);
+  service.bucketId = 'bucket';
+  return service;
+}
+
+test('B2 uploads to an existing key get the same _N suffix as a local destination', async () => {
+  const service = createService(['Trip/photo.jpg', 'Trip/photo_1.jpg']);
+  const data = Buffer.from('another photo with the same name');
+  const sha1 = crypto.createHash('sha1').update(data).digest('hex');
+
+  const streamed = await service.uploadStreamWithRetry(() => Readable.from([data]), 'Trip/photo.jpg', 'image/jpeg', { size: data.length, sha1 });
+  assert.equal(streamed.success, true);
+  assert.equal(streamed.fileName, 'Trip/photo_2.jpg');
+
+  // Keys claimed earlier in the run count as taken too, including concurrent ones
+  const [first, second] = await Promise.all([
+    service.uploadFileWithRetry(data, 'Trip/photo.jpg', 'image/jpeg'),
+    service.uploadFileWithRetry(data, 'Trip/photo.jpg', 'image/jpeg'),
+  ]);
+  assert.deepEqual([first.fileName, second.fileName], ['Trip/photo_3.jpg', 'Trip/photo_4.jpg']);
+
+  assert.equal((await service.uploadFileWithRetry(data, 'Trip/other.jpg', 'image/jpeg')).fileName, 'Trip/other.jpg');
+  // Each candidate key is looked up on its own; keys claimed in this run are not looked up again
+  assert.equal(service.b2.listCalls, 6);
+  assert.deepEqual(service.b2.uploads, ['Trip/photo_2.jpg', 'Trip/photo_3.jpg', 'Trip/photo_4.jpg', 'Trip/other.jpg']);
+});
+
+test('B2 overwrite uploads keep the requested key without looking it up', async () => {
+  const service = createService(['manifest.json']);
+
+  const result = await service.uploadFileWithRetry(Buffer.from('{}'), 'manifest.json', 'application/json', null, { overwrite: true });
+
+  assert.equal(result.success, true);
+  assert.equal(result.fileName, 'manifest.json');
+  assert.equal(service.b2.listCalls, 0);
+});
+
+test('SHA1s B2 did not compute itself are not reported as destination-verified', async () => {
+  const sha1 = crypto.createHash('sha1').update('photo').digest('hex');
+  const service = createService([]);
+  service.b2.listFileNames = async () => ({
+    data: {
+      files: [
+        { fileName: 'small.jpg', fileId: '1', contentLength: 5, contentSha1: sha1 },
+        { fileName: 'large.mp4', fileId: '2', contentLength: 5, contentSha1: 'none', fileInfo: { large_file_sha1: sha1 } },
+        { fileName: 'late.jpg', fileId: '3', contentLength: 5, contentSha1: `unverified:${sha1}` },
+      ],
+      nextFileName: null,
+    },
+  });
+
+  const listed = await service.listAllFiles();
+  assert.deepEqual(listed.map(file => file.contentSha1), [sha1, null, null]);
+
+  // The audit counts the large file as not checked instead of comparing our own SHA1 with itself
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'b2-verify-test-'));
+  try {
+    const journal = new CheckpointJournal('verify-test', stateDir);
+    await journal.initialize();
+    await journal.saveInventory(['small.jpg', 'large.mp4'].map(fileName => ({ key: fileName, filename: fileName, destinationKey: fileName })));
+    for (const fileName of ['small.jpg', 'large.mp4']) {
+      await journal.recordAsset(
+        { getInventoryKey: () => fileName, assetId: fileName, filename: fileName },
+        CheckpointJournal.STATUS.COMPLETE,
+        { destinationKey: fileName, checksums: { size: 5, sha1 } }
+      );
+    }
+
+    const report = await new VerificationService(service, journal).run();
+    assert.deepEqual(report.items.map(item => [item.destinationKey, item.status, item.actualSha1]), [
+      ['small.jpg', 'ok', sha1],
+      ['large.mp4', 'ok', null],
+    ]);
+    assert.equal(report.totals.checksumNotChecked, 1);
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DestinationPathTemplate from '../src/services/DestinationPathTemplate.js';
+
+const ASSET = {
+  imageKey: 'abc123',
+  filename: 'IMG_0001.JPG',
+  albumName: 'Summer',
+  albumKey: 'summer',
+  folderPath: ['Family', '2024'],
+  dateTaken: '2024-07-04T23:30:00-07:00',
+};
+
+test('validate rejects templates that could escape the destination or lose the file name', () => {
+  const errors = template => DestinationPathTemplate.validate(template).errors;
+
+  assert.deepEqual(errors(DestinationPathTemplate.STRUCTURED), []);
+  assert.deepEqual(errors('{yyyy}/{mm}/{imageKey}.{ext}'), []);
+  assert.deepEqual(errors(''), ['Template must be a non-empty string']);
+  assert.deepEqual(errors('/{album}/{filename}'), ['Template must be relative (no leading "/")']);
+  assert.deepEqual(errors('{album}/../{filename}'), ['Template must not contain "." or ".." path segments']);
+  assert.deepEqual(errors('{album}\\{filename}'), ['Use "/" to separate path segments, not "\\"']);
+  assert.deepEqual(errors('{album}}/{filename}'), ['Unbalanced "{" or "}" in template']);
+  assert.deepEqual(errors('{camera}/{filename}'), ['Unknown token(s): {camera}']);
+  assert.deepEqual(errors('{filename}/{album}'), ['The last path segment must contain {filename} or {imageKey}']);
+
+  assert.deepEqual(DestinationPathTemplate.validate('{imageKey}').warnings, ['Without {ext} or {filename}, files will have no extension']);
+  assert.throws(() => new DestinationPathTemplate('{album}'), /^Error: Invalid destination path template: /);
+});
+
+test('render fills in tokens, keeping the date as taken', () => {
+  assert.equal(new DestinationPathTemplate().render(ASSET), 'Family/2024/Summer/IMG_0001.JPG');
+  // 23:30 local time stays on the 4th instead of moving to the 5th in UTC
+  assert.equal(new DestinationPathTemplate('{yyyy}/{mm}/{dd}/{imageKey}.{ext}').render(ASSET), '2024/07/04/abc123.JPG');
+  assert.equal(new DestinationPathTemplate('{yyyy}/{filename}').render({ ...ASSET, dateTaken: null }), 'undated/IMG_0001.JPG');
+});
+
+test('render sanitizes token values so they stay within one path segment', () => {
+  const template = new DestinationPathTemplate();
+  const asset = { ...ASSET, albumName: '../etc/passwd', folderPath: ['..', 'a/b', ' '], filename: 'x\u0000\\y.jpg' };
+
+  assert.equal(template.render(asset), '_/a_b/_/.._etc_passwd/x_y.jpg');
+  assert.ok(!template.render(asset).split('/').includes('..'));
+});
+
+test('an album at the account root collapses the empty {folderPath}', () => {
+  const template = new DestinationPathTemplate();
+
+  assert.equal(template.render({ ...ASSET, folderPath: [] }), 'Summer/IMG_0001.JPG');
+  assert.equal(template.renderAlbumDirectory({ name: 'Summer', albumKey: 'summer', folderPath: [] }), 'Summer');
+  assert.equal(template.renderAlbumDirectory({ name: 'Summer', albumKey: 'summer', folderPath: ['Family'] }), 'Family/Summer');
+  assert.equal(new DestinationPathTemplate('{yyyy}/{filename}').renderAlbumDirectory({ name: 'Summer', folderPath: [] }), null);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JpegMetadataWriter from '../src/services/JpegMetadataWriter.js';
+
+const SAMPLE_JPEG = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'photo_test', 'photo8.jpg');
+
+const METADATA = {
+  title: 'Sunset',
+  caption: 'Über the bay',
+  keywords: ['beach', 'evening'],
+  albumName: 'Trip',
+  gpsCoordinates: { latitude: 37.5, longitude: -122.25, altitude: 12 },
+};
+
+/**
+ * Walk the marker segments of a JPEG up to the start of scan
+ * @param {Buffer} jpeg - JPEG file contents
+ * @returns {{segments: Array<{marker: number, data: Buffer}>, imageData: Buffer}}
+ */
+function readSegments(jpeg) {
+  assert.equal(jpeg.readUInt16BE(0), 0xFFD8);
+  const segments = [];
+  let offset = 2;
+  while (jpeg[offset + 1] !== 0xDA) {
+    assert.equal(jpeg[offset], 0xFF, `marker at byte ${offset}`);
+    const length = jpeg.readUInt16BE(offset + 2);
+    segments.push({ marker: jpeg[offset + 1], data: jpeg.subarray(offset + 4, offset + 2 + length) });
+    offset += 2 + length;
+  }
+  return { segments, imageData: jpeg.subarray(offset) };
+}
+
+/**
+ * Find the segments with a marker whose data starts with a header
+ * @param {Array<{marker: number, data: Buffer}>} segments - Segments
+ * @param {number} marker - Marker
+ * @param {Buffer} header - Header, e.g. JpegMetadataWriter.EXIF_HEADER
+ */
+function findApp(segments, marker, header) {
+  return segments.filter(s => s.marker === marker && s.data.subarray(0, header.length).equals(header));
+}
+
+/**
+ * Read a TIFF IFD into a map of tag to entry
+ * @param {Buffer} tiff - TIFF data
+ * @param {number} [offset] - IFD offset; IFD0 if omitted
+ * @returns {Map<number, {type: number, count: number, value: number, inline: Buffer}>}
+ */
+function readIfd(tiff, offset) {
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const read16 = at => (le ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const read32 = at => (le ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  offset ??= read32(4);
+  const entries = new Map();
+  for (let i = 0; i < read16(offset); i++) {
+    const at = offset + 2 + i * 12;
+    entries.set(read16(at), { type: read16(at + 2), count: read32(at + 4), value: read32(at + 8), inline: tiff.subarray(at + 8, at + 12) });
+  }
+  return entries;
+}
+
+/**
+ * Read the Photoshop resources of an APP13 segment, and the IPTC-IIM datasets in it
+ * @param {Buffer} data - APP13 contents
+ */
+function readPhotoshop(data) {
+  const resources = new Map();
+  let offset = JpegMetadataWriter.PHOTOSHOP_HEADER.length;
+  while (offset < data.length) {
+    assert.equal(data.toString('latin1', offset, offset + 4), '8BIM');
+    const size = data.readUInt32BE(offset + 8); // Every resource written here has an empty name
+    resources.set(data.readUInt16BE(offset + 4), data.subarray(offset + 12, offset + 12 + size));
+    offset += 12 + size + (size % 2);
+  }
+
+  const iptc = resources.get(JpegMetadataWriter.RESOURCE_IPTC);
+  const datasets = [];
+  for (let at = 0; iptc && at < iptc.length;) {
+    assert.equal(iptc[at], 0x1C);
+    const length = iptc.readUInt16BE(at + 3);
+    datasets.push({ id: `${iptc[at + 1]}:${iptc[at + 2]}`, value: iptc.subarray(at + 5, at + 5 + length) });
+    at += 5 + length;
+  }
+  return { resources, iptc, datasets };
+}
+
+test('embedding metadata into a real JPEG leaves the image data untouched', async () => {
+  const original = await fs.readFile(SAMPLE_JPEG);
+  const before = readSegments(original);
+  const [originalExif] = findApp(before.segments, 0xE1, JpegMetadataWriter.EXIF_HEADER);
+
+  const { buffer, segments } = new JpegMetadataWriter().write(original, METADATA);
+  assert.deepEqual(segments, ['exif', 'xmp', 'iptc']);
+
+  const after = readSegments(buffer);
+  assert.ok(after.imageData.equals(before.imageData));
+  assert.ok(buffer.subarray(buffer.length - 2).equals(Buffer.from([0xFF, 0xD9])));
+
+  // EXIF: the original data is kept as is, with IFD0 repointed to a copy that links the GPS IFD
+  const [exif] = findApp(after.segments, 0xE1, JpegMetadataWriter.EXIF_HEADER);
+  const tiff = exif.data.subarray(JpegMetadataWriter.EXIF_HEADER.length);
+  const originalTiff = originalExif.data.subarray(JpegMetadataWriter.EXIF_HEADER.length);
+  assert.ok(tiff.subarray(8, originalTiff.length).equals(originalTiff.subarray(8)));
+  const gps = readIfd(tiff, readIfd(tiff).get(0x8825).value);
+  assert.equal(gps.get(0x0001).inline.toString('latin1', 0, 1), 'N');
+  assert.equal(gps.get(0x0003).inline.toString('latin1', 0, 1), 'W');
+  assert.equal(gps.get(0x0002).count, 3);
+
+  // XMP: one packet, carrying the title and keywords
+  const xmp = findApp(after.segments, 0xE1, JpegMetadataWriter.XMP_HEADER);
+  assert.equal(xmp.length, 1);
+  const packet = xmp[0].data.subarray(JpegMetadataWriter.XMP_HEADER.length).toString('utf8');
+  assert.match(packet, /<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Sunset<\/rdf:li>/);
+  assert.match(packet, /<rdf:li>beach<\/rdf:li><rdf:li>evening<\/rdf:li>/);
+
+  // IPTC: UTF-8 title, keywords and caption, with a matching digest
+  const [app13] = findApp(after.segments, 0xED, JpegMetadataWriter.PHOTOSHOP_HEADER);
+  const { resources, iptc, datasets } = readPhotoshop(app13.data);
+  const text = id => datasets.filter(d => d.id === id).map(d => d.value.toString('utf8'));
+  assert.deepEqual(text('2:5'), ['Sunset']);
+  assert.deepEqual(text('2:25'), ['beach', 'evening']);
+  assert.deepEqual(text('2:120'), ['Über the bay']);
+  assert.ok(resources.get(JpegMetadataWriter.RESOURCE_IPTC_DIGEST).equals(crypto.createHash('md5').update(iptc).digest()));
+
+  // Writing again replaces the segments instead of adding more
+  const rewritten = readSegments(new JpegMetadataWriter().write(buffer, METADATA).buffer);
+  assert.equal(findApp(rewritten.segments, 0xE1, JpegMetadataWriter.XMP_HEADER).length, 1);
+  assert.equal(findApp(rewritten.segments, 0xED, JpegMetadataWriter.PHOTOSHOP_HEADER).length, 1);
+  assert.ok(rewritten.imageData.equals(before.imageData));
+});
+
+test('a JPEG without EXIF gets a new one, and other Photoshop resources are kept', () => {
+  const segment = (marker, data) => {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+  };
+  const resolution = Buffer.concat([Buffer.from('8BIM', 'latin1'), Buffer.from([0x03, 0xED, 0, 0, 0, 0, 0, 4]), Buffer.from([1, 2, 3, 4])]);
+  const imageData = Buffer.concat([segment(0xDA, Buffer.from([1, 1, 0, 0, 63, 0])), Buffer.from([0x12, 0xFF, 0x00, 0x34]), Buffer.from([0xFF, 0xD9])]);
+  const jpeg = Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    segment(0xE0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+    segment(0xED, Buffer.concat([JpegMetadataWriter.PHOTOSHOP_HEADER, resolution])),
+    imageData,
+  ]);
+
+  const { buffer } = new JpegMetadataWriter().write(jpeg, METADATA);
+  const after = readSegments(buffer);
+
+  assert.ok(after.imageData.equals(imageData));
+  // JFIF stays first, followed by EXIF, XMP and IPTC
+  assert.equal(after.segments[0].marker, 0xE0);
+  assert.ok(after.segments[1].data.subarray(0, 6).equals(JpegMetadataWriter.EXIF_HEADER));
+
+  const tiff = after.segments[1].data.subarray(JpegMetadataWriter.EXIF_HEADER.length);
+  assert.equal(readIfd(tiff, readIfd(tiff).get(0x8825).value).get(0x0006).count, 1);
+
+  const { resources } = readPhotoshop(after.segments[3].data);
+  assert.deepEqual([...resources.keys()], [0x03ED, JpegMetadataWriter.RESOURCE_IPTC, JpegMetadataWriter.RESOURCE_IPTC_DIGEST]);
+  assert.ok(resources.get(0x03ED).equals(Buffer.from([1, 2, 3, 4])));
+});
@@ -0,0 +1,96 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import MigrationOrchestrator from '../src/services/MigrationOrchestrator.js';
+import CheckpointJournal from '../src/services/CheckpointJournal.js';
+import SyncManifest from '../src/services/SyncManifest.js';
+import Asset from '../src/models/Asset.js';
+
+let stateDir;
+
+beforeEach(async () => {
+  stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'orchestrator-test-'));
+});
+
+afterEach(async () => {
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test('resuming restores the settings that shape keys and sidecars from the session record', async () => {
+  const journal = new CheckpointJournal('session-1', stateDir);
+  await journal.initialize({
+    pathTemplate: '{album}/{filename}',
+    excludeVideos: true,
+    sidecarFormat: 'both',
+    embedMetadata: true,
+    keepOriginals: true,
+    includeComments: true,
+    testMode: true,
+  });
+
+  // A client with different defaults resumes the session
+  const orchestrator = new MigrationOrchestrator({
+    destinationType: 'local',
+    stateDir,
+    pathTemplate: '{year}/{filename}',
+    preserveStructure: false,
+    excludeVideos: false,
+    sidecarFormat: 'json',
+    testMode: false,
+  }, 'session-1');
+  await orchestrator.loadCheckpoint();
+
+  assert.equal(orchestrator.config.pathTemplate, '{album}/{filename}');
+  assert.equal(orchestrator.config.preserveStructure, undefined);
+  assert.equal(orchestrator.config.excludeVideos, true);
+  assert.equal(orchestrator.config.sidecarFormat, 'both');
+  assert.equal(orchestrator.config.embedMetadata, true);
+  assert.equal(orchestrator.config.keepOriginals, true);
+  assert.equal(orchestrator.config.includeComments, true);
+  // Settings that don't shape the stored files stay as sent
+  assert.equal(orchestrator.config.testMode, false);
+  assert.equal(orchestrator.getPathTemplate().toString(), '{album}/{filename}');
+});
+
+test('assets a sync run skipped are listed under the key the manifest recorded', async () => {
+  const asset = new Asset(
+    { ImageKey: 'img1', FileName: 'photo.jpg', Format: 'JPG' },
+    { name: 'Trip', albumKey: 'trip', uri: '/api/v2/album/trip', folderPath: [] }
+  );
+  const orchestrator = new MigrationOrchestrator({ destinationType: 'local', stateDir, pathTemplate: '{album}/{filename}' }, 'session-2');
+  orchestrator.syncManifest = new SyncManifest({ userNickName: 'user', destinationType: 'local', destination: stateDir, directory: stateDir });
+  await orchestrator.syncManifest.load();
+  orchestrator.syncManifest.manifest.assets[asset.getInventoryKey()] = SyncManifest.createEntry(asset, 'Trip/photo_1.jpg');
+  const unchangedKeys = new Set([asset.getInventoryKey()]);
+
+  // The earlier run had to suffix the asset, so the rendered Trip/photo.jpg is someone else's
+  assert.equal(orchestrator.getStoredKey(asset, unchangedKeys), 'Trip/photo_1.jpg');
+  assert.equal(orchestrator.getStoredKey(asset, new Set()), null);
+});
+
+test('retrying only retryable failures matches errors to assets by inventory key, not filename', async () => {
+  const parent = new CheckpointJournal('parent-1', stateDir);
+  await parent.initialize({});
+  const entries = ['trip', 'party'].map(albumKey => ({ key: `${albumKey}:img-${albumKey}`, assetId: `img-${albumKey}`, filename: 'IMG_0001.jpg' }));
+  await parent.saveInventory(entries);
+  for (const entry of entries) {
+    await parent.recordAsset(
+      { getInventoryKey: () => entry.key, assetId: entry.assetId, filename: entry.filename },
+      CheckpointJournal.STATUS.FAILED,
+      { phase: 'upload' }
+    );
+  }
+
+  // Same filename in two albums: only the Trip copy failed with a retryable error
+  const errors = [
+    { phase: 'upload', filename: 'IMG_0001.jpg', assetKey: 'trip:img-trip', retryable: true },
+    { phase: 'upload', filename: 'IMG_0001.jpg', assetKey: 'party:img-party', retryable: false },
+  ];
+  const orchestrator = new MigrationOrchestrator({ destinationType: 'local', stateDir }, 'child-1');
+  const result = await orchestrator.prepareRetry('parent-1', { errors, onlyRetryable: true });
+
+  assert.equal(result.selected, 1);
+  assert.deepEqual([...orchestrator.retry.keys], ['trip:img-trip']);
+});
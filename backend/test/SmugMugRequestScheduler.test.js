@@ -0,0 +1,115 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import SmugMugRequestScheduler from '../src/services/SmugMugRequestScheduler.js';
+
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+});
+
+/**
+ * Build a scheduler that records its waits instead of sleeping
+ * @param {object} options - Scheduler options
+ */
+function createScheduler(options = {}) {
+  const scheduler = new SmugMugRequestScheduler({ minInterval: 0, ...options });
+  scheduler.slept = [];
+  scheduler.sleep = async ms => { scheduler.slept.push(ms); };
+  return scheduler;
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+/**
+ * A request that fails with the given errors in turn, then succeeds
+ * @param {Array<Error>} errors - Errors to throw
+ */
+function failing(errors) {
+  const request = async () => {
+    request.calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return 'ok';
+  };
+  request.calls = 0;
+  return request;
+}
+
+test('Retry-After in seconds or as an HTTP date sets the wait before the next attempt', async () => {
+  const scheduler = createScheduler();
+
+  assert.equal(scheduler.getRetryAfter({ 'retry-after': '3' }), 3000);
+  assert.equal(scheduler.getRetryAfter({ 'retry-after': new Date(Date.now() - 1000).toUTCString() }), 0);
+  const fromDate = scheduler.getRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+  assert.ok(fromDate > 8000 && fromDate <= 10000, `${fromDate}`);
+  assert.equal(scheduler.getRetryAfter({ 'retry-after': 'soon' }), null);
+  assert.equal(scheduler.getRetryAfter({}), null);
+
+  const request = failing([httpError(429, { 'retry-after': '2' })]);
+  assert.equal(await scheduler.schedule(request), 'ok');
+  assert.equal(request.calls, 2);
+  // The stubbed sleep doesn't move the clock, so the queue pause is waited out again after it
+  assert.equal(scheduler.slept[0], 2000);
+  assert.deepEqual(scheduler.getStats(), { requests: 2, retries: 1, throttled: 1, serverErrors: 0, gaveUp: 0 });
+});
+
+test('a 429 pauses every queued request, not just the one that saw it', async () => {
+  const scheduler = createScheduler();
+  const before = Date.now();
+
+  await scheduler.schedule(failing([httpError(429, { 'retry-after': '30' })]));
+
+  assert.ok(scheduler.pausedUntil >= before + 30000);
+  const waits = scheduler.slept.length;
+  await scheduler.schedule(async () => 'ok');
+  assert.equal(scheduler.slept.length, waits + 1);
+  assert.ok(scheduler.slept.at(-1) > 29000, `${scheduler.slept.at(-1)}`);
+});
+
+test('backoff grows exponentially, with jitter, and never exceeds maxDelay', () => {
+  const scheduler = createScheduler({ baseDelay: 1000, maxDelay: 8000 });
+
+  for (let i = 0; i < 20; i++) {
+    const first = scheduler.getBackoffDelay(1);
+    assert.ok(first >= 500 && first <= 1000, `${first}`);
+    const third = scheduler.getBackoffDelay(3);
+    assert.ok(third >= 2000 && third <= 4000, `${third}`);
+    const tenth = scheduler.getBackoffDelay(10);
+    assert.ok(tenth >= 4000 && tenth <= 8000, `${tenth}`);
+  }
+});
+
+test('requests give up once maxAttempts or maxWait is used up', async () => {
+  const byAttempts = createScheduler({ maxAttempts: 3, baseDelay: 10 });
+  const request = failing(Array.from({ length: 5 }, () => httpError(503)));
+
+  await assert.rejects(byAttempts.schedule(request), /status code 503 \(gave up after 3 attempts\)/);
+  assert.equal(request.calls, 3);
+  assert.equal(byAttempts.getStats().gaveUp, 1);
+
+  // A Retry-After longer than the wait budget is not waited out
+  const byWait = createScheduler({ maxWait: 60000 });
+  const throttled = failing([httpError(429, { 'retry-after': '120' })]);
+
+  await assert.rejects(byWait.schedule(throttled), /\(gave up after 1 attempt\)/);
+  assert.equal(throttled.calls, 1);
+  assert.deepEqual(byWait.slept, []);
+});
+
+test('client errors fail at once and network errors are retried', async () => {
+  const scheduler = createScheduler({ baseDelay: 10 });
+  const notFound = failing([httpError(404)]);
+
+  await assert.rejects(scheduler.schedule(notFound), /status code 404$/);
+  assert.equal(notFound.calls, 1);
+
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const flaky = failing([reset]);
+  assert.equal(await scheduler.schedule(flaky), 'ok');
+  assert.equal(flaky.calls, 2);
+  assert.equal(scheduler.getStats().retries, 1);
+});
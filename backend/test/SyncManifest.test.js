@@ -0,0 +1,91 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import SyncManifest from '../src/services/SyncManifest.js';
+import Asset from '../src/models/Asset.js';
+
+const ALBUM = { name: 'Trip', albumKey: 'trip', uri: '/api/v2/album/trip', folderPath: [] };
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-manifest-test-'));
+});
+
+afterEach(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+function createAsset(imageKey, archivedMD5, lastUpdated = '2024-01-01T00:00:00Z') {
+  return new Asset({ ImageKey: imageKey, FileName: `${imageKey}.jpg`, Format: 'JPG', ArchivedMD5: archivedMD5, LastUpdated: lastUpdated }, ALBUM);
+}
+
+/**
+ * Load a manifest in the test directory holding entries for the given assets
+ * @param {Array<Asset>} assets - Assets a previous run stored under Trip/<filename>
+ */
+async function loadManifest(assets) {
+  const manifest = new SyncManifest({ userNickName: 'user', destinationType: 'local', destination: '/photos', directory });
+  await manifest.load();
+  for (const asset of assets) {
+    manifest.manifest.assets[asset.getInventoryKey()] = SyncManifest.createEntry(asset, `Trip/${asset.filename}`);
+  }
+  manifest.manifest.lastSyncAt = '2024-01-02T00:00:00Z';
+  return manifest;
+}
+
+test('compare sorts a fresh inventory into added, modified, unchanged and deleted', async () => {
+  const manifest = await loadManifest([createAsset('kept', 'a'), createAsset('edited', 'b'), createAsset('gone', 'c')]);
+
+  const diff = manifest.compare([
+    createAsset('kept', 'a'),
+    createAsset('edited', 'b', '2024-03-01T00:00:00Z'),
+    createAsset('new', 'd'),
+  ]);
+
+  assert.deepEqual(diff.added.map(asset => asset.imageKey), ['new']);
+  assert.deepEqual(diff.modified.map(asset => asset.imageKey), ['edited']);
+  assert.deepEqual(diff.unchanged.map(asset => asset.imageKey), ['kept']);
+  assert.deepEqual(diff.deleted.map(entry => entry.key), ['trip:gone']);
+  assert.deepEqual(manifest.getChangedAssets().map(asset => asset.imageKey), ['new', 'edited']);
+
+  // A new ArchivedMD5 alone also counts as a change
+  assert.deepEqual(manifest.compare([createAsset('kept', 'a2')]).modified.map(asset => asset.imageKey), ['kept']);
+});
+
+test('a partial inventory reports no deletions', async () => {
+  const manifest = await loadManifest([createAsset('kept', 'a'), createAsset('video', 'v')]);
+
+  // e.g. a run with excludeVideos, test mode, an album selection or a filter
+  const diff = manifest.compare([createAsset('kept', 'a')], false);
+
+  assert.deepEqual(diff.deleted, []);
+  assert.equal(manifest.getReport().deletedOnSmugMug, 0);
+});
+
+test('save records stored keys and keeps the previous entry of assets that failed', async () => {
+  const manifest = await loadManifest([createAsset('edited', 'b'), createAsset('failed', 'c'), createAsset('gone', 'e')]);
+  manifest.compare([
+    createAsset('edited', 'b2'),
+    createAsset('failed', 'c2'),
+    createAsset('new', 'd'),
+  ]);
+
+  const stored = { 'trip:edited': 'Trip/edited.jpg', 'trip:new': 'Trip/new_1.jpg' };
+  await manifest.save(asset => stored[asset.getInventoryKey()] || null, 'session-1');
+
+  const reloaded = new SyncManifest({ userNickName: 'user', destinationType: 'local', destination: '/photos', directory });
+  await reloaded.load();
+  const { assets, lastSessionId } = reloaded.manifest;
+
+  assert.equal(lastSessionId, 'session-1');
+  assert.ok(reloaded.hasPreviousRun());
+  assert.deepEqual(Object.keys(assets).sort(), ['trip:edited', 'trip:failed', 'trip:new']);
+  assert.equal(assets['trip:edited'].archivedMD5, 'b2');
+  assert.equal(assets['trip:new'].destinationKey, 'Trip/new_1.jpg');
+  // The failed asset keeps its old fingerprint, so the next run picks it up again
+  assert.equal(assets['trip:failed'].archivedMD5, 'c');
+  assert.equal(reloaded.getDestinationKey(createAsset('new', 'd')), 'Trip/new_1.jpg');
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import migrationRoutes from '../src/routes/migration.routes.js';
+import MigrationConfig from '../src/services/MigrationConfig.js';
+
+const TRAVERSAL_ID = '..%2F..%2Fetc';
+
+// Passes MigrationConfig validation, so only the session ID check can reject it
+const MIGRATION_BODY = {
+  smugmug: { apiKey: 'key', apiSecret: 'secret', accessToken: 'token', accessTokenSecret: 'token-secret' },
+  destinationType: 'local',
+  localStorage: { path: '/nonexistent' },
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/migration', migrationRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/migration`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a request and return the status with the parsed body
+ * @param {string} method - HTTP method
+ * @param {string} route - Path under /api/migration
+ * @param {object} [payload] - Request body for non-GET requests
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function request(method, route, payload = MIGRATION_BODY) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: method === 'GET' ? undefined : JSON.stringify(payload),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /resume/:sessionId rejects session IDs that leave the session directories', async () => {
+  const { status, body } = await request('POST', `/resume/${TRAVERSAL_ID}`);
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid session ID: ../../etc');
+});
+
+test('POST /:sessionId/retry-failed rejects invalid parent session IDs', async () => {
+  const { status, body } = await request('POST', `/${TRAVERSAL_ID}/retry-failed`);
+
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid session ID: ../../etc');
+});
+
+test('GET /plan/:sessionId and /sessions/:sessionId share the session ID check', async () => {
+  for (const route of [`/plan/${TRAVERSAL_ID}`, `/sessions/${TRAVERSAL_ID}`]) {
+    const { status, body } = await request('GET', route);
+
+    assert.equal(status, 400, route);
+    assert.equal(body.error, 'Invalid session ID: ../../etc', route);
+  }
+});
+
+test('POST and GET /:sessionId/verify reject invalid session IDs', async () => {
+  for (const method of ['POST', 'GET']) {
+    const { status, body } = await request(method, `/${TRAVERSAL_ID}/verify`);
+
+    assert.equal(status, 400, method);
+    assert.equal(body.error, 'Invalid session ID: ../../etc', method);
+  }
+});
+
+test('verify routes ignore a stateDir sent by the client', async () => {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-state-test-'));
+  try {
+    // A report and journal the caller planted outside the server's state directory
+    await fs.writeFile(path.join(stateDir, 'verify-report-planted-1.json'), '{"items":[]}');
+    await fs.writeFile(path.join(stateDir, 'checkpoint-planted-1.jsonl'), '');
+
+    const read = await request('GET', `/planted-1/verify?stateDir=${encodeURIComponent(stateDir)}`);
+    assert.equal(read.status, 404);
+    assert.equal(read.body.error, 'No verification report found for session planted-1');
+
+    const run = await request('POST', '/planted-1/verify', { ...MIGRATION_BODY, stateDir });
+    assert.equal(run.status, 404);
+    assert.equal(run.body.error, 'No checkpoint journal found for session planted-1');
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+});
+
+test('only the CLI can choose the state directory of a migration', () => {
+  const body = { ...MIGRATION_BODY, stateDir: '/tmp/elsewhere' };
+
+  assert.equal(MigrationConfig.build(body).config.stateDir, process.env.STATE_DIR || null);
+  assert.equal(MigrationConfig.build(body, { allowStateDir: true }).config.stateDir, '/tmp/elsewhere');
+});
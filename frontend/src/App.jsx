@@ -2,14 +2,21 @@ import { useState } from 'react';
 import ConfigurationScreen from './components/ConfigurationScreen';
 import ProgressMonitor from './components/ProgressMonitor';
 import CompletionSummary from './components/CompletionSummary';
+import SessionHistory from './components/SessionHistory';
 
 function App() {
-  const [screen, setScreen] = useState('config'); // 'config', 'progress', 'complete'
+  const [screen, setScreen] = useState('config'); // 'config', 'progress', 'complete', 'history'
   const [sessionId, setSessionId] = useState(null);
   const [migrationResults, setMigrationResults] = useState(null);
+  // Last start request (with credentials), reused to retry failed items
+  const [migrationRequest, setMigrationRequest] = useState(null);
 
-  const handleMigrationStart = (session) => {
+  const handleMigrationStart = (session, request) => {
     setSessionId(session);
+    if (request) {
+      setMigrationRequest(request);
+    }
+    setMigrationResults(null);
     setScreen('progress');
   };
 
@@ -21,6 +28,7 @@ function App() {
   const handleStartNew = () => {
     setSessionId(null);
     setMigrationResults(null);
+    setMigrationRequest(null);
     setScreen('config');
   };
 
@@ -28,6 +36,11 @@ function App() {
     <div className="app">
       <header className="app-header">
         <h1>SmugMug Asset Retrieval System</h1>
+        {screen !== 'progress' && screen !== 'history' && (
+          <button onClick={() => setScreen('history')} className="history-button">
+            History
+          </button>
+        )}
       </header>
 
       <main className="app-main">
@@ -45,9 +58,15 @@ function App() {
         {screen === 'complete' && (
           <CompletionSummary
             results={migrationResults}
+            retryRequest={migrationRequest}
+            onRetryStart={handleMigrationStart}
             onStartNew={handleStartNew}
           />
         )}
+
+        {screen === 'history' && (
+          <SessionHistory onBack={handleStartNew} />
+        )}
       </main>
 
       <footer className="app-footer">
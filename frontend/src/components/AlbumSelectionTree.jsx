@@ -0,0 +1,163 @@
+import { useState } from 'react';
+
+const collectAlbumKeys = (folder, keys = new Set()) => {
+  folder.albums.forEach(album => keys.add(album.albumKey));
+  folder.subfolders.forEach(subfolder => collectAlbumKeys(subfolder, keys));
+  return keys;
+};
+
+const collectFolderIds = (folder, ids = new Set()) => {
+  folder.subfolders.forEach(subfolder => {
+    ids.add(subfolder.folderId);
+    collectFolderIds(subfolder, ids);
+  });
+  return ids;
+};
+
+/**
+ * Checkbox tree of the account's folders and albums, loaded from /api/migration/discover
+ * Checking a folder selects its whole subtree by folder ID, so albums added to it
+ * later are included too.
+ */
+function AlbumSelectionTree({ smugmug, selection, onChange, disabled }) {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  const loadAccount = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/migration/discover', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(smugmug)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        // Albums outside the folder tree (e.g. if folder discovery failed) are shown at the root
+        const inFolders = new Set();
+        data.folders.forEach(folder => collectAlbumKeys(folder, inFolders));
+        setAccount({
+          folders: data.folders,
+          albums: data.albums.filter(album => !inFolders.has(album.albumKey)),
+          stats: data.stats
+        });
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleAlbum = (albumKey, checked) => {
+    const albumKeys = selection.albumKeys.filter(key => key !== albumKey);
+    onChange({ ...selection, albumKeys: checked ? [...albumKeys, albumKey] : albumKeys });
+  };
+
+  const toggleFolder = (folder, checked) => {
+    // A checked folder covers its subtree, so drop selections inside it
+    const albumKeys = collectAlbumKeys(folder);
+    const folderIds = collectFolderIds(folder);
+    const remainingFolders = selection.folderIds.filter(id => id !== folder.folderId && !folderIds.has(id));
+
+    onChange({
+      ...selection,
+      albumKeys: selection.albumKeys.filter(key => !albumKeys.has(key)),
+      folderIds: checked ? [...remainingFolders, folder.folderId] : remainingFolders
+    });
+  };
+
+  const renderAlbum = (album, coveredByFolder) => (
+    <li key={album.albumKey}>
+      <label>
+        <input
+          type="checkbox"
+          checked={coveredByFolder || selection.albumKeys.includes(album.albumKey)}
+          disabled={disabled || coveredByFolder}
+          onChange={(e) => toggleAlbum(album.albumKey, e.target.checked)}
+        />
+        {album.name}
+        <span className="album-tree-count">{album.imageCount + album.videoCount}</span>
+      </label>
+    </li>
+  );
+
+  const renderFolder = (folder, coveredByParent) => {
+    const checked = coveredByParent || selection.folderIds.includes(folder.folderId);
+    const isExpanded = expanded[folder.folderId];
+
+    return (
+      <li key={folder.folderId}>
+        <button
+          type="button"
+          className="album-tree-toggle"
+          onClick={() => setExpanded(prev => ({ ...prev, [folder.folderId]: !isExpanded }))}
+        >
+          {isExpanded ? '▾' : '▸'}
+        </button>
+        <label>
+          <input
+            type="checkbox"
+            checked={checked}
+            disabled={disabled || coveredByParent}
+            onChange={(e) => toggleFolder(folder, e.target.checked)}
+          />
+          <strong>{folder.name}</strong>
+        </label>
+        {isExpanded && (
+          <ul>
+            {folder.subfolders.map(subfolder => renderFolder(subfolder, checked))}
+            {folder.albums.map(album => renderAlbum(album, checked))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  const selectedCount = selection.albumKeys.length + selection.folderIds.length;
+
+  return (
+    <div className="album-selection">
+      <button
+        type="button"
+        onClick={loadAccount}
+        className="test-button"
+        disabled={disabled || loading}
+      >
+        {loading ? 'Loading albums...' : account ? 'Reload Albums' : 'Load Albums'}
+      </button>
+      {selectedCount > 0 && (
+        <button
+          type="button"
+          onClick={() => onChange({ ...selection, albumKeys: [], folderIds: [] })}
+          className="test-button"
+        >
+          Clear Selection ({selectedCount})
+        </button>
+      )}
+      {error && <span className="error">{error}</span>}
+
+      {account && (
+        <>
+          <small>
+            {account.stats.totalFolders} folders, {account.stats.totalAlbums} albums. Leave everything
+            unchecked to migrate the whole account.
+          </small>
+          <ul className="album-tree">
+            {account.folders.map(folder => renderFolder(folder, false))}
+            {account.albums.map(album => renderAlbum(album, false))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AlbumSelectionTree;
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+
+const FORMAT_GROUPS = [
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'raw', label: 'RAW' },
+  { value: 'PNG', label: 'PNG' },
+  { value: 'HEIC', label: 'HEIC' },
+  { value: 'video', label: 'Video' }
+];
+
+const PRIVACY_VALUES = ['Public', 'Unlisted', 'Private'];
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+/**
+ * Asset filter form with a live count of matching assets
+ * The count comes from /api/migration/filter/preview: the first count enumerates the
+ * account, later ones re-use that inventory and follow the form as it changes.
+ */
+function AssetFilterEditor({ form, onChange, previewRequest, disabled }) {
+  const [preview, setPreview] = useState(null);
+  const [counting, setCounting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => onChange({ ...form, [field]: value });
+
+  const toggleValue = (field, value, checked) => {
+    const values = form[field].filter(v => v !== value);
+    update(field, checked ? [...values, value] : values);
+  };
+
+  const requestCount = async (inventoryId, signal) => {
+    setCounting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/migration/filter/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...previewRequest, inventoryId }),
+        signal
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        setPreview(data);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message);
+      }
+    } finally {
+      setCounting(false);
+    }
+  };
+
+  // Once an inventory is cached, recount whenever the filters or selection change
+  const previewKey = JSON.stringify({
+    selection: previewRequest.selection,
+    excludeVideos: previewRequest.excludeVideos,
+    filter: previewRequest.filter
+  });
+
+  useEffect(() => {
+    if (!preview?.inventoryId) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => requestCount(preview.inventoryId, controller.signal), 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [previewKey]);
+
+  return (
+    <div className="asset-filter">
+      <div className="form-group">
+        <label>Combine Conditions</label>
+        <select value={form.match} onChange={(e) => update('match', e.target.value)}>
+          <option value="all">Match all conditions (AND)</option>
+          <option value="any">Match any condition (OR)</option>
+        </select>
+        <small>Excluded keywords always apply.</small>
+      </div>
+
+      <div className="filter-row">
+        <div className="form-group">
+          <label>Taken From</label>
+          <input type="date" value={form.takenFrom} onChange={(e) => update('takenFrom', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Taken To</label>
+          <input type="date" value={form.takenTo} onChange={(e) => update('takenTo', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="filter-row">
+        <div className="form-group">
+          <label>Uploaded From</label>
+          <input type="date" value={form.uploadedFrom} onChange={(e) => update('uploadedFrom', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Uploaded To</label>
+          <input type="date" value={form.uploadedTo} onChange={(e) => update('uploadedTo', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="filter-row">
+        <div className="form-group">
+          <label>Keywords (any of, comma separated)</label>
+          <input
+            type="text"
+            value={form.includeKeywords}
+            onChange={(e) => update('includeKeywords', e.target.value)}
+            placeholder="portfolio, best"
+          />
+        </div>
+        <div className="form-group">
+          <label>Exclude Keywords</label>
+          <input
+            type="text"
+            value={form.excludeKeywords}
+            onChange={(e) => update('excludeKeywords', e.target.value)}
+            placeholder="private"
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>File Formats</label>
+        <div className="filter-options">
+          {FORMAT_GROUPS.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="checkbox"
+                checked={form.formats.includes(value)}
+                onChange={(e) => toggleValue('formats', value, e.target.checked)}
+              />
+              {label}
+            </label>
+          ))}
+          <input
+            type="text"
+            value={form.customFormats}
+            onChange={(e) => update('customFormats', e.target.value)}
+            placeholder="Other, e.g. TIFF, GIF"
+          />
+        </div>
+      </div>
+
+      <div className="filter-row">
+        <div className="form-group">
+          <label>Min Size (MB)</label>
+          <input type="number" min="0" step="any" value={form.minSizeMB} onChange={(e) => update('minSizeMB', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label>Max Size (MB)</label>
+          <input type="number" min="0" step="any" value={form.maxSizeMB} onChange={(e) => update('maxSizeMB', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Album Privacy</label>
+        <div className="filter-options">
+          {PRIVACY_VALUES.map(value => (
+            <label key={value}>
+              <input
+                type="checkbox"
+                checked={form.privacy.includes(value)}
+                onChange={(e) => toggleValue('privacy', value, e.target.checked)}
+              />
+              {value}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="filter-count">
+        <button
+          type="button"
+          onClick={() => requestCount(null)}
+          className="test-button"
+          disabled={disabled || counting}
+        >
+          {counting ? 'Counting...' : preview ? 'Re-read Account' : 'Count Matching Assets'}
+        </button>
+        {preview && (
+          <span className="filter-count-result">
+            <strong>{preview.matching}</strong> of {preview.total} assets match
+            ({preview.images} images, {preview.videos} videos, {formatBytes(preview.totalSize)})
+          </span>
+        )}
+        {!preview && !counting && (
+          <small>The first count enumerates every album, which can take a while for large accounts.</small>
+        )}
+        {error && <span className="error">{error}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default AssetFilterEditor;
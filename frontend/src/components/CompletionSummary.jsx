@@ -1,4 +1,41 @@
-function CompletionSummary({ results, onStartNew }) {
+import { useState } from 'react';
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+function CompletionSummary({ results, retryRequest, onRetryStart, onStartNew }) {
+  const [retrying, setRetrying] = useState(false);
+  const [retryError, setRetryError] = useState(null);
+
+  const outstanding = results.retry ? results.retry.combined.failed : results.failed;
+
+  const handleRetry = async () => {
+    setRetrying(true);
+    setRetryError(null);
+
+    try {
+      const response = await fetch(`/api/migration/${results.sessionId}/retry-failed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(retryRequest)
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        onRetryStart(data.sessionId);
+      } else {
+        setRetryError(data.error);
+      }
+    } catch (error) {
+      setRetryError(error.message);
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   const successRate = results.totalAssets > 0
     ? Math.round((results.successful / results.totalAssets) * 100)
     : 0;
@@ -49,6 +86,97 @@ function CompletionSummary({ results, onStartNew }) {
         </div>
       </div>
 
+      {results.sync && (
+        <div className="sync-report-section">
+          <h3>Incremental Sync</h3>
+          <p>
+            {results.sync.added} new, {results.sync.modified} modified,{' '}
+            {results.sync.unchanged} unchanged since{' '}
+            {results.sync.previousSyncAt
+              ? new Date(results.sync.previousSyncAt).toLocaleString()
+              : 'the first run'}
+          </p>
+          {results.sync.deletedOnSmugMug > 0 && (
+            <>
+              <p>
+                {results.sync.deletedOnSmugMug} previously archived asset
+                {results.sync.deletedOnSmugMug !== 1 ? 's are' : ' is'} no longer on SmugMug
+                (kept at the destination):
+              </p>
+              <ul className="deleted-asset-list">
+                {results.sync.deletedAssets.slice(0, 20).map(asset => (
+                  <li key={`${asset.albumKey}:${asset.imageKey}`}>
+                    {asset.albumName ? `${asset.albumName} / ` : ''}{asset.filename || asset.imageKey}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {results.retry && (
+        <div className="sync-report-section">
+          <h3>Retry of Failed Items</h3>
+          <p>
+            Recovered {results.retry.recovered} of {results.retry.requested} failed asset
+            {results.retry.requested !== 1 ? 's' : ''} from session{' '}
+            <code>{results.retry.parentSessionId}</code>
+            {results.retry.stillFailed > 0 ? `; ${results.retry.stillFailed} still failing` : ''}
+          </p>
+          <p>
+            Combined outcome: {results.retry.combined.successful} of{' '}
+            {results.retry.combined.totalAssets} assets transferred
+            ({results.retry.combined.successRate}%), {results.retry.combined.failed} failed
+          </p>
+        </div>
+      )}
+
+      {results.dedup && (
+        <div className="sync-report-section">
+          <h3>Deduplication</h3>
+          <p>
+            {results.dedup.duplicates} duplicate{results.dedup.duplicates !== 1 ? 's' : ''} of{' '}
+            {results.dedup.uniqueFiles} stored file{results.dedup.uniqueFiles !== 1 ? 's' : ''} were not
+            stored again, saving {formatBytes(results.dedup.bytesSaved)}. Each file's sidecar lists every
+            album it belongs to; <code>dedup-manifest.json</code> at the destination lists all shared files.
+          </p>
+        </div>
+      )}
+
+      {results.comments && (
+        <div className="sync-report-section">
+          <h3>Comments</h3>
+          <p>
+            Captured {results.comments.total} comment{results.comments.total !== 1 ? 's' : ''} on{' '}
+            {results.comments.assetsWithComments} asset{results.comments.assetsWithComments !== 1 ? 's' : ''}
+            {results.comments.failed > 0 && `; comments for ${results.comments.failed} could not be read`}
+          </p>
+        </div>
+      )}
+
+      {results.archiveManifest && (
+        <div className="sync-report-section">
+          <h3>Archive Manifests</h3>
+          <p>
+            <code>manifest.json</code> at the destination root lists every album and asset;{' '}
+            {results.archiveManifest.albumManifests} album{results.archiveManifest.albumManifests !== 1 ? 's' : ''} also
+            got an <code>album.json</code> with its description, keywords, privacy and photo order.
+          </p>
+        </div>
+      )}
+
+      {results.checksums && (
+        <div className="sync-report-section">
+          <h3>Integrity Checks</h3>
+          <p>
+            {results.checksums.sourceVerified} matched SmugMug's archived MD5/size,{' '}
+            {results.checksums.sourceUnverified} had no SmugMug checksum to compare against,{' '}
+            {results.checksums.destinationVerified} confirmed by destination SHA1
+          </p>
+        </div>
+      )}
+
       {results.errorLogPath && results.failed > 0 && (
         <div className="error-log-section">
           <h3>Error Log</h3>
@@ -70,9 +198,19 @@ function CompletionSummary({ results, onStartNew }) {
       )}
 
       <div className="completion-actions">
+        {outstanding > 0 && retryRequest && (
+          <button
+            onClick={handleRetry}
+            disabled={retrying}
+            className="retry-failed-button"
+          >
+            {retrying ? 'Starting retry...' : `Retry failed items (${outstanding})`}
+          </button>
+        )}
         <button onClick={onStartNew} className="new-migration-button">
           Start New Migration
         </button>
+        {retryError && <div className="error-message">{retryError}</div>}
       </div>
 
       <div className="completion-note">
@@ -1,4 +1,50 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import AlbumSelectionTree from './AlbumSelectionTree';
+import AssetFilterEditor from './AssetFilterEditor';
+
+const splitList = (text) => text.split(',').map(value => value.trim()).filter(Boolean);
+
+/**
+ * Turn the filter form into an asset filter for the migration request (null when empty)
+ * Excluded keywords are AND-ed with the other conditions, which combine as chosen.
+ */
+const buildAssetFilter = (form) => {
+  const megabytes = (value) => (value === '' ? null : Math.round(Number(value) * 1024 * 1024));
+  const rules = [];
+
+  if (form.takenFrom || form.takenTo) {
+    rules.push({ field: 'dateTaken', from: form.takenFrom || null, to: form.takenTo || null });
+  }
+  if (form.uploadedFrom || form.uploadedTo) {
+    rules.push({ field: 'dateUploaded', from: form.uploadedFrom || null, to: form.uploadedTo || null });
+  }
+  if (form.includeKeywords.trim()) {
+    rules.push({ field: 'keywords', include: splitList(form.includeKeywords) });
+  }
+  const formats = [...form.formats, ...splitList(form.customFormats)];
+  if (formats.length > 0) {
+    rules.push({ field: 'format', formats });
+  }
+  if (form.minSizeMB !== '' || form.maxSizeMB !== '') {
+    rules.push({ field: 'originalSize', min: megabytes(form.minSizeMB), max: megabytes(form.maxSizeMB) });
+  }
+  if (form.privacy.length > 0) {
+    rules.push({ field: 'albumPrivacy', values: form.privacy });
+  }
+
+  const exclude = splitList(form.excludeKeywords);
+  if (rules.length === 0 && exclude.length === 0) {
+    return null;
+  }
+
+  return {
+    match: 'all',
+    rules: [
+      { match: form.match, rules },
+      ...(exclude.length > 0 ? [{ field: 'keywords', exclude }] : [])
+    ]
+  };
+};
 
 function ConfigurationScreen({ onStart }) {
   const [config, setConfig] = useState({
@@ -11,9 +57,34 @@ function ConfigurationScreen({ onStart }) {
     b2AccountId: '',
     b2ApplicationKey: '',
     b2BucketName: '',
+    b2LargeFileThresholdMB: 200,
     testMode: false,
     testAssetLimit: 10,
-    excludeVideos: true
+    excludeVideos: false,
+    preserveStructure: true,
+    pathTemplate: '',
+    syncMode: false,
+    dedupe: false,
+    sidecarFormat: 'json',
+    embedMetadata: false,
+    keepOriginals: false,
+    includeComments: false,
+    selection: { albumKeys: [], folderIds: [] },
+    albumPatterns: '',
+    filterForm: {
+      match: 'all',
+      takenFrom: '',
+      takenTo: '',
+      uploadedFrom: '',
+      uploadedTo: '',
+      includeKeywords: '',
+      excludeKeywords: '',
+      formats: [],
+      customFormats: '',
+      minSizeMB: '',
+      maxSizeMB: '',
+      privacy: []
+    }
   });
 
   const [oauthState, setOauthState] = useState({
@@ -33,6 +104,56 @@ function ConfigurationScreen({ onStart }) {
 
   const [errors, setErrors] = useState({});
 
+  // Dry-run plan from /api/migration/plan
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+
+  const [pathPreview, setPathPreview] = useState({
+    examples: [],
+    warnings: [],
+    error: null
+  });
+
+  /**
+   * Validate and preview the custom destination path template as it is typed
+   */
+  useEffect(() => {
+    const template = config.pathTemplate.trim();
+    if (!template) {
+      setPathPreview({ examples: [], warnings: [], error: null });
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/migration/path-template/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ template })
+        });
+
+        const data = await response.json();
+        if (cancelled) return;
+
+        setPathPreview({
+          examples: data.examples || [],
+          warnings: data.warnings || [],
+          error: data.success ? null : data.error
+        });
+      } catch (error) {
+        if (!cancelled) {
+          setPathPreview({ examples: [], warnings: [], error: error.message });
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [config.pathTemplate]);
+
   const handleInputChange = (field, value) => {
     setConfig(prev => ({ ...prev, [field]: value }));
     // Clear error for this field
@@ -215,9 +336,11 @@ function ConfigurationScreen({ onStart }) {
     }
   };
 
-  const handleStartMigration = async () => {
-    // Validate all fields
-    console.log('Starting migration with config:', {
+  /**
+   * Validate the form; returns false (and shows field errors) if anything is missing
+   */
+  const validateConfig = () => {
+    console.log('Validating migration config:', {
       smugmugApiKey: config.smugmugApiKey ? 'present' : 'MISSING',
       smugmugApiSecret: config.smugmugApiSecret ? 'present' : 'MISSING',
       smugmugAccessToken: config.smugmugAccessToken ? 'present' : 'MISSING',
@@ -247,35 +370,95 @@ function ConfigurationScreen({ onStart }) {
     if (Object.keys(newErrors).length > 0) {
       console.error('Validation errors:', newErrors);
       setErrors(newErrors);
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Build the request body shared by /start and /plan
+   */
+  const buildRequestBody = () => {
+    const requestBody = {
+      smugmug: {
+        apiKey: config.smugmugApiKey,
+        apiSecret: config.smugmugApiSecret,
+        accessToken: config.smugmugAccessToken,
+        accessTokenSecret: config.smugmugAccessTokenSecret
+      },
+      destinationType: config.destinationType,
+      testMode: config.testMode,
+      testAssetLimit: config.testAssetLimit,
+      excludeVideos: config.excludeVideos,
+      preserveStructure: config.preserveStructure,
+      pathTemplate: config.pathTemplate.trim() || null,
+      syncMode: config.syncMode,
+      dedupe: config.dedupe,
+      sidecarFormat: config.sidecarFormat,
+      embedMetadata: config.embedMetadata,
+      keepOriginals: config.embedMetadata && config.keepOriginals,
+      includeComments: config.includeComments,
+      selection: {
+        ...config.selection,
+        patterns: config.albumPatterns.split('\n').map(pattern => pattern.trim()).filter(Boolean)
+      },
+      filter: buildAssetFilter(config.filterForm)
+    };
+
+    // Add storage-specific config
+    if (config.destinationType === 'local') {
+      requestBody.localStorage = { path: config.localPath };
+    } else {
+      requestBody.backblaze = {
+        accountId: config.b2AccountId,
+        applicationKey: config.b2ApplicationKey,
+        bucketName: config.b2BucketName,
+        largeFileThresholdMB: config.b2LargeFileThresholdMB
+      };
+    }
+
+    return requestBody;
+  };
+
+  const handlePlanMigration = async () => {
+    if (!validateConfig()) {
       return;
     }
 
-    console.log('Validation passed, starting migration...');
+    setPlanning(true);
+    setPlan(null);
+    setErrors({});
 
     try {
-      const requestBody = {
-        smugmug: {
-          apiKey: config.smugmugApiKey,
-          apiSecret: config.smugmugApiSecret,
-          accessToken: config.smugmugAccessToken,
-          accessTokenSecret: config.smugmugAccessTokenSecret
-        },
-        destinationType: config.destinationType,
-        testMode: config.testMode,
-        testAssetLimit: config.testAssetLimit,
-        excludeVideos: config.excludeVideos
-      };
+      const response = await fetch('/api/migration/plan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRequestBody())
+      });
 
-      // Add storage-specific config
-      if (config.destinationType === 'local') {
-        requestBody.localStorage = { path: config.localPath };
+      const data = await response.json();
+      if (data.success) {
+        setPlan(data);
       } else {
-        requestBody.backblaze = {
-          accountId: config.b2AccountId,
-          applicationKey: config.b2ApplicationKey,
-          bucketName: config.b2BucketName
-        };
+        setErrors({ general: data.error });
       }
+    } catch (error) {
+      setErrors({ general: error.message });
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const handleStartMigration = async () => {
+    if (!validateConfig()) {
+      return;
+    }
+
+    console.log('Validation passed, starting migration...');
+
+    try {
+      const requestBody = buildRequestBody();
 
       const response = await fetch('/api/migration/start', {
         method: 'POST',
@@ -285,7 +468,7 @@ function ConfigurationScreen({ onStart }) {
 
       const data = await response.json();
       if (data.success) {
-        onStart(data.sessionId);
+        onStart(data.sessionId, requestBody);
       } else {
         setErrors({ general: data.error });
       }
@@ -294,6 +477,16 @@ function ConfigurationScreen({ onStart }) {
     }
   };
 
+  const formatBytes = (bytes) => {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  };
+
+  // What the asset count depends on, taken from the same request body /start gets
+  const { smugmug, selection, excludeVideos, filter } = buildRequestBody();
+  const filterPreviewRequest = { smugmug, selection, excludeVideos, filter };
+
   return (
     <div className="configuration-screen">
       <h2>Migration Configuration</h2>
@@ -468,6 +661,17 @@ function ConfigurationScreen({ onStart }) {
             {errors.b2BucketName && <span className="error">{errors.b2BucketName}</span>}
           </div>
 
+          <div className="form-group">
+            <label>Large File Threshold (MB)</label>
+            <input
+              type="number"
+              min="5"
+              value={config.b2LargeFileThresholdMB}
+              onChange={(e) => handleInputChange('b2LargeFileThresholdMB', parseInt(e.target.value))}
+            />
+            <small>Files at or above this size upload in parallel parts (needed for videos over 5 GB)</small>
+          </div>
+
           <button
             onClick={testB2Connection}
             disabled={!config.b2AccountId || !config.b2ApplicationKey || !config.b2BucketName || testing.b2}
@@ -492,6 +696,116 @@ function ConfigurationScreen({ onStart }) {
           </label>
         </div>
 
+        <div className="form-group checkbox-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={config.preserveStructure}
+              onChange={(e) => handleInputChange('preserveStructure', e.target.checked)}
+            />
+            Preserve SmugMug folder/album structure (e.g. Family/2019/Beach Trip/IMG_0001.jpg)
+          </label>
+        </div>
+
+        <div className="form-group">
+          <label>Custom Destination Path Template (optional)</label>
+          <input
+            type="text"
+            value={config.pathTemplate}
+            onChange={(e) => handleInputChange('pathTemplate', e.target.value)}
+            placeholder="{folderPath}/{album}/{filename}"
+          />
+          <small>
+            Overrides the structure option above. Tokens: {'{folderPath}'}, {'{album}'}, {'{albumKey}'},
+            {' {yyyy}'}, {'{mm}'}, {'{dd}'} (date taken), {'{imageKey}'}, {'{filename}'}, {'{ext}'}
+          </small>
+          {pathPreview.error && <span className="error">{pathPreview.error}</span>}
+          {pathPreview.examples.length > 0 && (
+            <div className="path-template-preview">
+              <strong>Preview:</strong>
+              <ul>
+                {pathPreview.examples.map(example => (
+                  <li key={example}><code>{example}</code></li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {pathPreview.warnings.map(warning => (
+            <div key={warning} className="path-template-warning">{warning}</div>
+          ))}
+        </div>
+
+        <div className="form-group checkbox-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={config.syncMode}
+              onChange={(e) => handleInputChange('syncMode', e.target.checked)}
+            />
+            Incremental sync (only transfer assets new or changed since the last run)
+          </label>
+        </div>
+
+        <div className="form-group checkbox-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={config.dedupe}
+              onChange={(e) => handleInputChange('dedupe', e.target.checked)}
+            />
+            Store photos that appear in several albums only once (sidecars list every album)
+          </label>
+        </div>
+
+        <div className="form-group">
+          <label>Metadata Sidecars</label>
+          <select
+            value={config.sidecarFormat}
+            onChange={(e) => handleInputChange('sidecarFormat', e.target.value)}
+          >
+            <option value="json">JSON</option>
+            <option value="xmp">XMP (Lightroom, digiKam, darktable, Photo Mechanic)</option>
+            <option value="both">JSON and XMP</option>
+          </select>
+          <small>Written next to each asset, e.g. IMG_0001.CR2.json and IMG_0001.CR2.xmp</small>
+        </div>
+
+        <div className="form-group checkbox-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={config.embedMetadata}
+              onChange={(e) => handleInputChange('embedMetadata', e.target.checked)}
+            />
+            Embed title, caption, keywords and GPS into JPEGs (EXIF, IPTC and XMP)
+          </label>
+        </div>
+
+        {config.embedMetadata && (
+          <div className="form-group checkbox-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={config.keepOriginals}
+                onChange={(e) => handleInputChange('keepOriginals', e.target.checked)}
+              />
+              Also keep the unmodified JPEGs (stored under _originals/)
+            </label>
+          </div>
+        )}
+
+        <div className="form-group checkbox-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={config.includeComments}
+              onChange={(e) => handleInputChange('includeComments', e.target.checked)}
+            />
+            Capture SmugMug comments (author, date and text) in sidecars and album manifests
+          </label>
+          <small>Adds one SmugMug request per image, so enumeration takes longer</small>
+        </div>
+
         <div className="form-group checkbox-group">
           <label>
             <input
@@ -517,8 +831,103 @@ function ConfigurationScreen({ onStart }) {
         )}
       </section>
 
+      <section className="config-section">
+        <h3>Albums to Migrate</h3>
+        <p className="album-selection-help">
+          Migrate only some albums or folders. Checked items and name patterns are combined;
+          with nothing selected the whole account is migrated.
+        </p>
+
+        <AlbumSelectionTree
+          smugmug={{
+            apiKey: config.smugmugApiKey,
+            apiSecret: config.smugmugApiSecret,
+            accessToken: config.smugmugAccessToken,
+            accessTokenSecret: config.smugmugAccessTokenSecret
+          }}
+          selection={config.selection}
+          onChange={(selection) => handleInputChange('selection', selection)}
+          disabled={!oauthState.authenticated}
+        />
+
+        <div className="form-group">
+          <label>Album or Folder Name Patterns (optional, one per line)</label>
+          <textarea
+            rows="3"
+            value={config.albumPatterns}
+            onChange={(e) => handleInputChange('albumPatterns', e.target.value)}
+            placeholder={'Beach*\nFamily/20*'}
+          />
+          <small>
+            <code>*</code> and <code>?</code> match within a name, <code>**</code> across folders.
+            A pattern without <code>/</code> matches an album or folder by name anywhere; one with
+            {' '}<code>/</code> matches the path from the account root. Matching a folder includes everything in it.
+          </small>
+        </div>
+      </section>
+
+      <section className="config-section">
+        <h3>Asset Filters</h3>
+        <p className="album-selection-help">
+          Narrow the selected albums further by date, keyword, file format, size or album privacy.
+          Empty fields are ignored.
+        </p>
+
+        <AssetFilterEditor
+          form={config.filterForm}
+          onChange={(filterForm) => handleInputChange('filterForm', filterForm)}
+          previewRequest={filterPreviewRequest}
+          disabled={!oauthState.authenticated}
+        />
+      </section>
+
       {errors.general && <div className="error-message general-error">{errors.general}</div>}
 
+      {plan && (
+        <section className="config-section migration-plan">
+          <h3>Migration Plan (dry run)</h3>
+          <p>
+            {plan.totals.assets} assets ({plan.totals.images} images, {plan.totals.videos} videos),{' '}
+            {formatBytes(plan.totals.bytes)}
+            {plan.totals.unknownSize > 0 && ` plus ${plan.totals.unknownSize} of unknown size`}
+            {' '}to <strong>{plan.destination}</strong>
+          </p>
+          <p>
+            {plan.totals.clashes} name clash{plan.totals.clashes !== 1 ? 'es' : ''}
+            {plan.totals.renamed > 0 && `, ${plan.totals.renamed} renamed`}
+            {plan.totals.duplicates > 0 && ` · ${plan.totals.duplicates} duplicates stored once (${formatBytes(plan.totals.duplicateBytes)} saved)`}
+            {' · '}{plan.totals.skippedVideos} video{plan.totals.skippedVideos !== 1 ? 's' : ''} skipped
+            {' · '}{plan.totals.existingObjects} files already at the destination
+          </p>
+          {plan.totals.clashes > 0 && (
+            <ul className="plan-clash-list">
+              {plan.items.filter(item => item.clash).slice(0, 20).map(item => (
+                <li key={item.assetId}>
+                  <code>{item.destinationKey}</code>
+                  {item.plannedKey !== item.destinationKey && <> → <code>{item.plannedKey}</code></>}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="plan-downloads">
+            <a href={`/api/migration/plan/${plan.sessionId}?format=csv`} download className="download-button">
+              Download CSV
+            </a>
+            <a href={`/api/migration/plan/${plan.sessionId}`} download={`migration-plan-${plan.sessionId}.json`} className="download-button">
+              Download JSON
+            </a>
+          </div>
+        </section>
+      )}
+
+      <button
+        onClick={handlePlanMigration}
+        className="test-button plan-button"
+        disabled={!oauthState.authenticated || planning}
+      >
+        {planning ? 'Planning...' : 'Preview Plan (dry run)'}
+      </button>
+
       <button
         onClick={handleStartMigration}
         className="start-button"
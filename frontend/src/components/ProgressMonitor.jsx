@@ -8,10 +8,13 @@ function ProgressMonitor({ sessionId, onComplete }) {
     downloaded: 0,
     uploaded: 0,
     errors: 0,
+    controlState: 'running',
     currentOperation: 'Starting migration...'
   });
 
   const [errorLog, setErrorLog] = useState([]);
+  const [controlPending, setControlPending] = useState(false);
+  const [controlError, setControlError] = useState(null);
 
   useSSE(`/api/migration/progress/${sessionId}`, {
     onPhase: (data) => {
@@ -30,6 +33,13 @@ function ProgressMonitor({ sessionId, onComplete }) {
         currentOperation: data.message
       }));
     },
+    onControl: (data) => {
+      setProgress(prev => ({
+        ...prev,
+        controlState: data.controlState,
+        currentOperation: data.message
+      }));
+    },
     onError: (data) => {
       setErrorLog(prev => [...prev, data]);
       setProgress(prev => ({
@@ -42,6 +52,36 @@ function ProgressMonitor({ sessionId, onComplete }) {
     }
   });
 
+  /**
+   * Send pause, resume or cancel to the backend
+   */
+  const sendControl = async (action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this migration? Unfinished assets can be resumed later.')) {
+      return;
+    }
+
+    setControlPending(true);
+    setControlError(null);
+
+    try {
+      const response = await fetch(`/api/migration/${sessionId}/${action}`, {
+        method: 'POST'
+      });
+
+      const data = await response.json();
+      if (!data.success) {
+        setControlError(data.error);
+      }
+    } catch (error) {
+      setControlError(error.message);
+    } finally {
+      setControlPending(false);
+    }
+  };
+
+  const isPaused = progress.controlState === 'paused';
+  const isStopping = progress.controlState === 'cancelling' || progress.controlState === 'cancelled';
+
   const calculatePercentage = (current, total) => {
     if (total === 0) return 0;
     return Math.round((current / total) * 100);
@@ -52,10 +92,43 @@ function ProgressMonitor({ sessionId, onComplete }) {
       <h2>Migration in Progress</h2>
 
       <div className="phase-indicator">
-        <div className="current-phase">{progress.phase}</div>
+        <div className="current-phase">
+          {progress.phase}
+          {progress.controlState !== 'running' && (
+            <span className="control-state"> ({progress.controlState})</span>
+          )}
+        </div>
         <div className="current-operation">{progress.currentOperation}</div>
       </div>
 
+      <div className="migration-controls">
+        {isPaused ? (
+          <button
+            onClick={() => sendControl('resume')}
+            disabled={controlPending || isStopping}
+            className="control-button"
+          >
+            Resume
+          </button>
+        ) : (
+          <button
+            onClick={() => sendControl('pause')}
+            disabled={controlPending || isStopping}
+            className="control-button"
+          >
+            Pause
+          </button>
+        )}
+        <button
+          onClick={() => sendControl('cancel')}
+          disabled={controlPending || isStopping}
+          className="cancel-button"
+        >
+          Cancel Migration
+        </button>
+        {controlError && <div className="error-message">{controlError}</div>}
+      </div>
+
       <div className="progress-stats">
         <div className="stat-card">
           <div className="stat-label">Discovered</div>
@@ -0,0 +1,168 @@
+import { useState, useEffect } from 'react';
+
+const STATE_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  completed_with_errors: 'Completed with errors',
+  cancelled: 'Cancelled',
+  failed: 'Failed',
+  interrupted: 'Interrupted'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+function SessionHistory({ onBack }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const response = await fetch('/api/migration/sessions');
+        const data = await response.json();
+
+        if (data.success) {
+          setSessions(data.sessions);
+        } else {
+          setError(data.error);
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSessions();
+  }, []);
+
+  const handleSelect = async (sessionId) => {
+    if (selected?.sessionId === sessionId) {
+      setSelected(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/migration/sessions/${sessionId}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setSelected(data.session);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="session-history">
+      <h2>Migration History</h2>
+
+      {loading && <p className="progress-note">Loading sessions...</p>}
+      {error && <div className="error-message">{error}</div>}
+
+      {!loading && sessions.length === 0 && !error && (
+        <p className="progress-note">No migrations have been run yet.</p>
+      )}
+
+      {sessions.length > 0 && (
+        <table className="session-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>State</th>
+              <th>Destination</th>
+              <th>Transferred</th>
+              <th>Failed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(session => (
+              <tr
+                key={session.sessionId}
+                onClick={() => handleSelect(session.sessionId)}
+                className={selected?.sessionId === session.sessionId ? 'selected' : ''}
+              >
+                <td>
+                  {formatDate(session.startedAt)}
+                  {session.kind !== 'start' && <span className="session-kind">{session.kind}</span>}
+                  {session.testMode && <span className="session-kind">test</span>}
+                </td>
+                <td>
+                  <span className={`session-state ${session.state}`}>
+                    {STATE_LABELS[session.state] || session.state}
+                  </span>
+                </td>
+                <td>{session.destination || session.destinationType}</td>
+                <td>
+                  {session.totalAssets !== null
+                    ? `${session.successful}/${session.totalAssets}`
+                    : '—'}
+                </td>
+                <td>{session.failed ?? '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && (
+        <div className="session-detail sync-report-section">
+          <h3>Session <code>{selected.sessionId}</code></h3>
+          <p>
+            {STATE_LABELS[selected.state] || selected.state} · started {formatDate(selected.startedAt)}
+            {selected.finishedAt && ` · finished ${formatDate(selected.finishedAt)}`}
+            {selected.runs > 1 && ` · ${selected.runs} runs`}
+          </p>
+          {selected.parentSessionId && (
+            <p>Retry of session <code>{selected.parentSessionId}</code></p>
+          )}
+          {selected.error && <div className="error-message">{selected.error}</div>}
+
+          {selected.summary && (
+            <p>
+              {selected.summary.successful} of {selected.summary.totalAssets} assets transferred
+              ({selected.summary.successRate}%), {selected.summary.failed} failed
+            </p>
+          )}
+          {!selected.summary && selected.progress && (
+            <p>
+              {selected.progress.uploaded} of {selected.progress.discovered} assets uploaded
+              {selected.progress.phase ? ` · ${selected.progress.phase}` : ''}
+            </p>
+          )}
+
+          <h4>Configuration</h4>
+          <pre className="session-config">{JSON.stringify(selected.config, null, 2)}</pre>
+
+          {selected.errorLogPath && (selected.summary?.failed > 0 || selected.state === 'failed') && (
+            <>
+              <div className="error-log-path">
+                <code>{selected.errorLogPath}</code>
+              </div>
+              <a
+                href={`/api/migration/error-log/${selected.sessionId}`}
+                download="error-log.json"
+                className="download-button"
+              >
+                Download Error Log
+              </a>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="completion-actions">
+        <button onClick={onBack} className="new-migration-button">
+          Back
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionHistory;
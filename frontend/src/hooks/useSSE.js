@@ -42,6 +42,13 @@ function useSSE(url, handlers) {
       });
     }
 
+    if (handlers.onControl) {
+      eventSource.addEventListener('control', (event) => {
+        const data = JSON.parse(event.data);
+        handlers.onControl(data);
+      });
+    }
+
     if (handlers.onError) {
       eventSource.addEventListener('error', (event) => {
         const data = JSON.parse(event.data);